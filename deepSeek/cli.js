@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { SiteDownloader } = require('./lib/site-downloader');
+const { ConfigError, findConfigFile, loadConfigFile, resolveConfig } = require('./lib/config');
+const { createReplayServer } = require('./lib/replay-server');
+const { statisticsDir, findLatestStatistics, formatReport } = require('./lib/report');
+const { verifyMirror, findLiveOrigins, formatVerifyReport } = require('./lib/verify');
+const { resolveProfile } = require('./lib/browser-profiles');
+const { CookieJar } = require('./lib/cookie-jar');
+const { downloadFile } = require('./lib/download-file');
+
+const USAGE = `Usage: crawler <command> [options]
+
+Commands:
+  mirror [url]         download a site with all its assets
+  fetch <url>          download a single file with browser headers
+  serve                replay the downloaded mirror locally under its original URLs
+  report [stats.json]  summarize a statistics file (by default the latest one of the mirror)
+  verify [dir]         check the mirror for missing files, live links and orphaned assets
+
+Common options:
+  -c, --config <file>           config file (default: crawler.config.js or crawler.config.json)
+  -o, --output <dir|file>       output directory (fetch: output file)
+  -q, --quiet                   only print errors (mirror, fetch, serve)
+  --profile <name>              browser to impersonate (mirror, fetch): chrome-desktop (default),
+                                chrome-mobile, firefox, safari or one from --profiles
+  --profiles <file>             JSON/JS file with custom browser profiles
+  --cookies <file>              cookies to send (mirror, fetch): Netscape cookies.txt or a JSON export
+  --header <"Name: value">      extra request header for the site, e.g. Authorization (repeatable)
+  -h, --help                    show this help
+
+Mirror options:
+  --timeout <ms>                request timeout
+  --retries <n>                 attempts per request
+  --delay <ms>                  minimum delay between two requests to the same host
+  --max-file-size <bytes>       skip assets larger than this
+  --user-agent <string>         User-Agent header, overriding the profile's
+  --recovery-profile <name>     profile to switch to when a site answers 403/429/503 (default chrome-mobile)
+  --concurrency <n>             parallel requests overall
+  --per-host <n>                parallel requests per host
+  --page-concurrency <n>        pages processed in parallel
+  --resume                      continue an interrupted download from its crawl journal
+  --incremental                 re-mirror into the existing output, only fetching what changed
+  --include <prefix>            crawl pages under this path prefix (repeatable)
+  --exclude <prefix>            skip pages under this path prefix (repeatable)
+  --include-pattern <glob>      crawl paths matching a glob or /regex/ (repeatable)
+  --exclude-pattern <glob>      skip paths matching a glob or /regex/ (repeatable)
+  --allow-subdomain <name>      also crawl this subdomain, * for all (repeatable)
+  --max-depth <n>               follow links at most n levels from the start pages
+  --max-pages <n>               stop queueing pages after n pages
+  --strip-prefix <prefix>       remove this path prefix from saved page paths
+  --trailing-slash <mode>       page URLs: remove (default) or add the trailing slash, or keep it as linked
+  --keep-params                 keep tracking parameters (utm_*, gclid, ...) in page URLs
+  --no-canonical                save pages under the URL they were fetched from, not their rel=canonical
+  --ignore-robots               do not obey robots.txt (it is still read for its
+                                Sitemap: lines unless --no-sitemaps is given)
+  --no-sitemaps                 do not seed the crawl from sitemap.xml
+  --preserve-paths              store assets under assets/<host>/<original path>
+  --render                      render pages in headless Chrome (needs puppeteer)
+  --wait-for <selector>         with --render, wait until this selector appears
+  --browser-arg=<flag>          with --render, pass this flag to Chrome, e.g. --browser-arg=--no-sandbox (repeatable)
+  --link-style <root|relative>  write links from the site root (default) or relative to each file
+  --base-path <path>            with root links, the path the mirror is hosted under (e.g. /docs/mirror)
+  --trackers <action>           analytics and tracking scripts, iframes and snippets: stub (default), strip,
+                                keep (live) or mirror
+  --third-party <action>        other third-party scripts and iframes: mirror (default), strip, stub or keep
+  --meta-urls <local|absolute>  point og:image, Twitter card and JSON-LD images at local copies (default)
+                                or keep them as absolute URLs of the live site
+  --plugin <module>             load a plugin module or package (repeatable)
+  --archive <format>            also write <output>.warc.gz of every request and response, or
+                                <output>.zip / <output>.tar.gz of the mirror: warc, zip, tar.gz (repeatable)
+  --single-file                 also write every page as one self-contained HTML file in <output>.single-file/
+  --max-inline-size <bytes>     with --single-file, link larger files on the live site (default 1048576, 0: no cap)
+  --single-file-scripts <mode>  with --single-file, inline (default) or drop the page's scripts
+
+Serve options:
+  --port <n>                    port to listen on (default 8080)
+  --host <address>              address to listen on (default 127.0.0.1, 0.0.0.0 for every interface)
+  --proxy-misses                fetch URLs that are not in the mirror from the live site
+  --banner                      mark served pages as an offline snapshot`;
+
+const OPTIONS = {
+    config: { type: 'string', short: 'c' },
+    output: { type: 'string', short: 'o' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' },
+    timeout: { type: 'string' },
+    retries: { type: 'string' },
+    delay: { type: 'string' },
+    'max-file-size': { type: 'string' },
+    'user-agent': { type: 'string' },
+    profile: { type: 'string' },
+    profiles: { type: 'string' },
+    cookies: { type: 'string' },
+    header: { type: 'string', multiple: true },
+    'recovery-profile': { type: 'string' },
+    concurrency: { type: 'string' },
+    'per-host': { type: 'string' },
+    'page-concurrency': { type: 'string' },
+    resume: { type: 'boolean' },
+    incremental: { type: 'boolean' },
+    include: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    'include-pattern': { type: 'string', multiple: true },
+    'exclude-pattern': { type: 'string', multiple: true },
+    'allow-subdomain': { type: 'string', multiple: true },
+    'max-depth': { type: 'string' },
+    'max-pages': { type: 'string' },
+    'strip-prefix': { type: 'string' },
+    'trailing-slash': { type: 'string' },
+    'keep-params': { type: 'boolean' },
+    'no-canonical': { type: 'boolean' },
+    'ignore-robots': { type: 'boolean' },
+    'no-sitemaps': { type: 'boolean' },
+    'preserve-paths': { type: 'boolean' },
+    render: { type: 'boolean' },
+    'wait-for': { type: 'string' },
+    'browser-arg': { type: 'string', multiple: true },
+    'link-style': { type: 'string' },
+    'base-path': { type: 'string' },
+    'meta-urls': { type: 'string' },
+    trackers: { type: 'string' },
+    'third-party': { type: 'string' },
+    plugin: { type: 'string', multiple: true },
+    archive: { type: 'string', multiple: true },
+    'single-file': { type: 'boolean' },
+    'max-inline-size': { type: 'string' },
+    'single-file-scripts': { type: 'string' },
+    port: { type: 'string' },
+    host: { type: 'string' },
+    'proxy-misses': { type: 'boolean' },
+    banner: { type: 'boolean' }
+};
+
+// Numbers that do not parse are passed through so validation can name them
+const toInteger = value => /^\d+$/.test(value) ? Number(value) : value;
+
+// ['Authorization: Bearer x'] -> { authorization: 'Bearer x' }; malformed
+// headers are passed through so validation can name them
+const toHeaders = values => values.every(header => header.includes(':'))
+    ? Object.fromEntries(values.map(header => {
+        const separator = header.indexOf(':');
+        return [header.slice(0, separator).trim().toLowerCase(), header.slice(separator + 1).trim()];
+    }))
+    : values;
+
+// Command line flag -> [config key, value parser]
+const FLAG_MAPPING = {
+    output: ['outputDir'],
+    quiet: ['quiet'],
+    timeout: ['timeout', toInteger],
+    retries: ['maxRetries', toInteger],
+    delay: ['delayBetweenRequests', toInteger],
+    'max-file-size': ['maxFileSize', toInteger],
+    'user-agent': ['userAgent'],
+    profile: ['profile'],
+    profiles: ['profilesFile'],
+    cookies: ['cookies'],
+    header: ['headers', toHeaders],
+    'recovery-profile': ['recoveryProfile'],
+    concurrency: ['concurrency', toInteger],
+    'per-host': ['perHostConcurrency', toInteger],
+    'page-concurrency': ['pageConcurrency', toInteger],
+    resume: ['resume'],
+    incremental: ['incremental'],
+    include: ['scope.include'],
+    exclude: ['scope.exclude'],
+    'include-pattern': ['scope.patterns'],
+    'exclude-pattern': ['scope.excludePatterns'],
+    'allow-subdomain': ['scope.allowedSubdomains'],
+    'max-depth': ['scope.maxDepth', toInteger],
+    'max-pages': ['scope.maxPages', toInteger],
+    'strip-prefix': ['scope.stripPrefix'],
+    'trailing-slash': ['normalize.trailingSlash'],
+    'keep-params': ['normalize.stripParams', () => []],
+    'no-canonical': ['normalize.canonical', () => false],
+    'ignore-robots': ['respectRobots', () => false],
+    'no-sitemaps': ['sitemaps', () => false],
+    'preserve-paths': ['preservePaths'],
+    render: ['renderer', () => 'browser'],
+    'wait-for': ['waitForSelector'],
+    'browser-arg': ['browserArgs'],
+    'link-style': ['linkStyle'],
+    'base-path': ['basePath'],
+    'meta-urls': ['metaUrls'],
+    trackers: ['thirdParty.trackers'],
+    'third-party': ['thirdParty.others'],
+    plugin: ['plugins'],
+    archive: ['archives'],
+    'single-file': ['singleFile'],
+    'max-inline-size': ['maxInlineSize', toInteger],
+    'single-file-scripts': ['singleFileScripts']
+};
+
+function flagsToConfig(values) {
+    const config = {};
+    for (const [flag, [key, parse = value => value]] of Object.entries(FLAG_MAPPING)) {
+        if (values[flag] === undefined) continue;
+        const [group, field] = key.split('.');
+        if (field) {
+            config[group] = config[group] || {};
+            config[group][field] = parse(values[flag]);
+        } else {
+            config[key] = parse(values[flag]);
+        }
+    }
+    return config;
+}
+
+function loadConfig(values, positionalUrl) {
+    const configFile = values.config || findConfigFile();
+    const fileConfig = configFile ? loadConfigFile(configFile) : {};
+    const flagConfig = flagsToConfig(values);
+    if (positionalUrl) {
+        flagConfig.url = positionalUrl;
+    }
+
+    const config = resolveConfig(fileConfig, flagConfig, configFile ? path.basename(configFile) : 'config file');
+    // Plugins listed in the config file are found next to it, --plugin ones from the working directory
+    if (configFile && !flagConfig.plugins && config.pluginsDir === undefined) {
+        config.pluginsDir = path.dirname(path.resolve(configFile));
+    }
+    if (configFile && !config.quiet) {
+        console.log(`⚙️ Using config file: ${configFile}`);
+    }
+    return config;
+}
+
+async function mirror(values, positionals) {
+    const { url, outputDir = './public', ...downloaderConfig } = loadConfig(values, positionals[0]);
+    if (!url) {
+        throw new ConfigError(['url: required, pass it as an argument or set it in the config file']);
+    }
+
+    const downloader = new SiteDownloader(url, outputDir, downloaderConfig);
+    await downloader.downloadSite();
+}
+
+async function fetch(values, positionals) {
+    const [url] = positionals;
+    if (!url) {
+        throw new ConfigError(['fetch: a URL is required']);
+    }
+
+    const { profile = 'chrome-mobile', profilesFile, cookies, headers, quiet } = loadConfig(values);
+    await downloadFile(url, values.output || null, {
+        profile: resolveProfile(profile, profilesFile),
+        cookieJar: cookies ? CookieJar.fromFile(cookies) : null,
+        headers,
+        quiet
+    });
+}
+
+async function serve(values) {
+    const { url, outputDir = './public', quiet } = loadConfig(values);
+    const port = values.port === undefined ? 8080 : toInteger(values.port);
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+        throw new ConfigError([`port: must be between 1 and 65535 (got ${JSON.stringify(values.port)})`]);
+    }
+    // The mirror may hold pages only a logged-in user should see, so it stays on this machine by default
+    const host = values.host || '127.0.0.1';
+
+    createReplayServer(outputDir, {
+        origin: url ? new URL(url).origin : null,
+        proxyMisses: Boolean(values['proxy-misses']),
+        banner: Boolean(values.banner),
+        quiet
+    }).listen(port, host, () => {
+        const shown = host === '127.0.0.1' ? 'localhost' : host.includes(':') ? `[${host}]` : host;
+        console.log(`🌐 Serving ${outputDir} at http://${shown}:${port}`);
+    });
+}
+
+async function report(values, positionals) {
+    const { outputDir = './public' } = loadConfig(values);
+    const statsPath = positionals[0] || await findLatestStatistics(statisticsDir(outputDir));
+    if (!statsPath) {
+        throw new ConfigError([`report: no download-statistics-*.json found in ${statisticsDir(outputDir)}`]);
+    }
+
+    const stats = require(path.resolve(statsPath));
+    console.log(`📊 ${statsPath}\n`);
+    console.log(formatReport(stats));
+}
+
+// Exits with 1 when anything is wrong, so it can gate a pipeline
+async function verify(values, positionals) {
+    const { url, outputDir = './public', basePath } = loadConfig(values);
+    const mirrorDir = positionals[0] || outputDir;
+    if (!fs.existsSync(mirrorDir)) {
+        throw new ConfigError([`verify: ${mirrorDir} does not exist`]);
+    }
+
+    const liveOrigins = await findLiveOrigins(mirrorDir, url);
+    const result = await verifyMirror(mirrorDir, { liveOrigins, basePath });
+    console.log(`🔍 ${mirrorDir}${liveOrigins.length > 0 ? ` (live site: ${liveOrigins.join(', ')})` : ''}\n`);
+    console.log(formatVerifyReport(result));
+    return result.ok ? 0 : 1;
+}
+
+const COMMANDS = { mirror, fetch, serve, report, verify };
+
+async function main(argv) {
+    let [command, ...rest] = argv;
+
+    // `node index.js https://example.com` keeps working as a shortcut for mirror
+    if (command && /^https?:\/\//.test(command)) {
+        rest = argv;
+        command = 'mirror';
+    }
+
+    if (!command || command === 'help' || command === '--help' || command === '-h') {
+        console.log(USAGE);
+        return 0;
+    }
+
+    try {
+        if (!COMMANDS[command]) {
+            throw new ConfigError([`unknown command "${command}"`]);
+        }
+
+        const { values, positionals } = parseArgs({ args: rest, options: OPTIONS, allowPositionals: true });
+        if (values.help) {
+            console.log(USAGE);
+            return 0;
+        }
+
+        return (await COMMANDS[command](values, positionals)) || 0;
+    } catch (error) {
+        if (error instanceof ConfigError || (error.code && error.code.startsWith('ERR_PARSE_ARGS'))) {
+            console.error(`❌ ${error.message}\n`);
+            console.error('Run with --help to see the available commands and options.');
+            return 2;
+        }
+        console.error('❌', error.message);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, flagsToConfig, loadConfig };
@@ -0,0 +1,106 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+const { hashContent } = require('./manifest');
+
+function sanitizeSegment(segment) {
+    let decoded = segment;
+    try {
+        decoded = decodeURIComponent(segment);
+    } catch (error) {
+        // Keep the raw segment
+    }
+    return decoded.replace(/[^a-zA-Z0-9.\-_]/g, '_');
+}
+
+function withSuffix(filename, suffix) {
+    const ext = path.posix.extname(filename);
+    const dir = path.posix.dirname(filename);
+    const name = `${path.posix.basename(filename, ext)}-${suffix}${ext}`;
+    return dir === '.' ? name : `${dir}/${name}`;
+}
+
+// Stores downloaded files under baseDir. Identical content is written once and
+// shared, and two different URLs never end up under the same filename: the
+// second one gets a suffix derived from its URL.
+class AssetStore {
+    constructor(baseDir, options = {}) {
+        this.baseDir = baseDir;
+        this.preservePaths = Boolean(options.preservePaths);
+        this.logger = options.logger || console;
+        this.filesByHash = new Map();
+        this.urlsByName = new Map();
+    }
+
+    // Records a file that is already on disk, e.g. kept from a previous run
+    register(url, filename, hash = null) {
+        this.urlsByName.set(filename, url);
+        if (hash) {
+            this.filesByHash.set(hash, filename);
+        }
+    }
+
+    getPreferredName(url, extension) {
+        const urlObj = new URL(url);
+        const segments = urlObj.pathname.split('/').filter(Boolean).map(sanitizeSegment);
+
+        let name = segments.pop() || 'index';
+        if (!path.posix.extname(name)) {
+            name = `${name}.${extension || 'bin'}`;
+        }
+        // gtag/js?id=A and gtag/js?id=B are different files
+        if (urlObj.search) {
+            name = withSuffix(name, hashContent(urlObj.search).slice(0, 8));
+        }
+
+        if (!this.preservePaths) return name;
+        return [sanitizeSegment(urlObj.host), ...segments, name].join('/');
+    }
+
+    getFilename(url, extension) {
+        const preferred = this.getPreferredName(url, extension);
+        const owner = this.urlsByName.get(preferred);
+        if (!owner || owner === url) return preferred;
+        return withSuffix(preferred, hashContent(url).slice(0, 8));
+    }
+
+    // Files that get rewritten after download (stylesheets) pass dedupe: false,
+    // their final content depends on the URL they were fetched from
+    async store(url, data, options = {}) {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        const hash = hashContent(buffer);
+        const dedupe = options.dedupe !== false;
+
+        if (dedupe && this.filesByHash.has(hash)) {
+            const filename = this.filesByHash.get(hash);
+            this.logger.log(`♻️ Same content as ${filename}: ${url}`);
+            return { filename, hash, deduplicated: true };
+        }
+
+        const filename = this.getFilename(url, options.extension);
+        this.register(url, filename, dedupe ? hash : null);
+        await fs.outputFile(path.join(this.baseDir, filename), buffer);
+        return { filename, hash, deduplicated: false };
+    }
+
+    // Like store() for a file that was streamed to tempPath. It is moved into
+    // place with a rename, so a half-written file never shows up in the mirror.
+    async storeFile(url, tempPath, options = {}) {
+        const hash = options.hash || hashContent(await fs.readFile(tempPath));
+        const dedupe = options.dedupe !== false;
+
+        if (dedupe && this.filesByHash.has(hash)) {
+            const filename = this.filesByHash.get(hash);
+            this.logger.log(`♻️ Same content as ${filename}: ${url}`);
+            await fs.remove(tempPath);
+            return { filename, hash, deduplicated: true };
+        }
+
+        const filename = this.getFilename(url, options.extension);
+        this.register(url, filename, dedupe ? hash : null);
+        await fs.move(tempPath, path.join(this.baseDir, filename), { overwrite: true });
+        return { filename, hash, deduplicated: false };
+    }
+}
+
+module.exports = { AssetStore };
@@ -0,0 +1,178 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+const { ConfigError } = require('./config');
+
+// Named browser identities. headers are sent with every request, accept holds
+// the Accept header each browser sends per request destination, and secFetch
+// says whether the browser sends sec-fetch-* metadata.
+const BUILTIN_PROFILES = {
+    'chrome-desktop': {
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Safari/537.36',
+        headers: {
+            'accept-language': 'en-US,en;q=0.9',
+            'sec-ch-ua': '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
+            'sec-ch-ua-mobile': '?0',
+            'sec-ch-ua-platform': '"Windows"'
+        },
+        accept: {
+            document: 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+            image: 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
+            style: 'text/css,*/*;q=0.1',
+            default: '*/*'
+        },
+        secFetch: true
+    },
+    'chrome-mobile': {
+        userAgent: 'Mozilla/5.0 (Linux; Android 6.0; Nexus 5 Build/MRA58N) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Mobile Safari/537.36',
+        headers: {
+            'accept-language': 'en-US,en;q=0.9',
+            'sec-ch-ua': '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
+            'sec-ch-ua-mobile': '?1',
+            'sec-ch-ua-platform': '"Android"'
+        },
+        accept: {
+            document: 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+            image: 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
+            style: 'text/css,*/*;q=0.1',
+            default: '*/*'
+        },
+        secFetch: true
+    },
+    firefox: {
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:143.0) Gecko/20100101 Firefox/143.0',
+        headers: {
+            'accept-language': 'en-US,en;q=0.5'
+        },
+        accept: {
+            document: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            image: 'image/avif,image/webp,image/png,image/svg+xml,image/*;q=0.8,*/*;q=0.5',
+            style: 'text/css,*/*;q=0.1',
+            font: 'application/font-woff2;q=1.0,application/font-woff;q=0.9,*/*;q=0.8',
+            default: '*/*'
+        },
+        secFetch: true
+    },
+    safari: {
+        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.0 Safari/605.1.15',
+        headers: {
+            'accept-language': 'en-US,en;q=0.9'
+        },
+        accept: {
+            document: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            image: 'image/webp,image/avif,image/jxl,image/heic,image/heic-sequence,video/*;q=0.8,image/png,image/svg+xml,image/*;q=0.8,*/*;q=0.5',
+            style: 'text/css,*/*;q=0.1',
+            default: '*/*'
+        },
+        secFetch: true
+    }
+};
+
+const DEFAULT_PROFILE = 'chrome-desktop';
+
+// sec-fetch-mode per destination; anything else is a fetch()-style request
+const FETCH_MODES = {
+    document: 'navigate',
+    image: 'no-cors',
+    style: 'no-cors',
+    script: 'no-cors',
+    video: 'no-cors',
+    audio: 'no-cors',
+    font: 'cors'
+};
+
+// Good enough for the sites we mirror; does not know about public suffixes like co.uk
+function siteOf(hostname) {
+    return hostname.split('.').slice(-2).join('.');
+}
+
+function fetchSite(url, referrer) {
+    if (!referrer) return 'none';
+    const target = new URL(url);
+    const source = new URL(referrer);
+    if (target.origin === source.origin) return 'same-origin';
+    if (target.protocol === source.protocol && siteOf(target.hostname) === siteOf(source.hostname)) return 'same-site';
+    return 'cross-site';
+}
+
+// Headers a browser with this profile sends when it loads url as destination
+// (document, image, style, script, font, video, audio or empty) from referrer
+function requestHeaders(profile, destination, { url, referrer = null } = {}) {
+    const headers = {
+        'user-agent': profile.userAgent,
+        ...profile.headers,
+        'accept': profile.accept[destination] || profile.accept.default || '*/*'
+    };
+
+    if (profile.secFetch) {
+        headers['sec-fetch-dest'] = destination;
+        headers['sec-fetch-mode'] = FETCH_MODES[destination] || 'cors';
+        headers['sec-fetch-site'] = fetchSite(url, referrer);
+    }
+    if (destination === 'document') {
+        headers['upgrade-insecure-requests'] = '1';
+        if (profile.secFetch) headers['sec-fetch-user'] = '?1';
+    }
+    // strict-origin-when-cross-origin, the default referrer policy
+    if (referrer) {
+        headers['referer'] = new URL(referrer).origin === new URL(url).origin ? referrer : `${new URL(referrer).origin}/`;
+    }
+    return headers;
+}
+
+// A custom profile may extend another one and only override what differs
+function mergeProfile(base, custom) {
+    return {
+        ...base,
+        ...custom,
+        headers: { ...(base && base.headers), ...custom.headers },
+        accept: { ...(base && base.accept), ...custom.accept }
+    };
+}
+
+// Profile files hold { "<name>": { extends?, userAgent, headers, accept, secFetch } }
+// and are JSON or a CommonJS module, like config files
+function loadProfiles(filePath) {
+    const resolved = path.resolve(filePath);
+    let custom;
+    try {
+        custom = resolved.endsWith('.json') ? fs.readJsonSync(resolved) : require(resolved);
+    } catch (error) {
+        throw new ConfigError([`could not read profiles file ${filePath}: ${error.message}`]);
+    }
+
+    const profiles = { ...BUILTIN_PROFILES };
+    const problems = [];
+    for (const [name, profile] of Object.entries(custom || {})) {
+        if (!profile || typeof profile !== 'object') {
+            problems.push(`${filePath}: ${name}: must be an object`);
+            continue;
+        }
+        if (profile.extends && !profiles[profile.extends]) {
+            problems.push(`${filePath}: ${name}: extends unknown profile "${profile.extends}"`);
+            continue;
+        }
+        const merged = mergeProfile(profiles[profile.extends], profile);
+        delete merged.extends;
+        if (typeof merged.userAgent !== 'string' || !merged.userAgent) {
+            problems.push(`${filePath}: ${name}: userAgent must be a non-empty string`);
+            continue;
+        }
+        profiles[name] = merged;
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return profiles;
+}
+
+function resolveProfile(name = DEFAULT_PROFILE, profilesFile = null) {
+    const profiles = profilesFile ? loadProfiles(profilesFile) : BUILTIN_PROFILES;
+    const profile = profiles[name || DEFAULT_PROFILE];
+    if (!profile) {
+        throw new ConfigError([`profile: unknown profile "${name}" (available: ${Object.keys(profiles).join(', ')})`]);
+    }
+    return { name: name || DEFAULT_PROFILE, ...profile };
+}
+
+module.exports = { BUILTIN_PROFILES, DEFAULT_PROFILE, requestHeaders, loadProfiles, resolveProfile };
@@ -0,0 +1,480 @@
+// The crawler's own extractors. Each finds one kind of reference in a page,
+// downloads it through the downloader and points the page at the local copy.
+
+const { META_IMAGES, jsonLdImages } = require('./metadata');
+const { STUB_SCRIPT } = require('./third-party');
+
+function isDownloadable(url) {
+    return url && !url.startsWith('data:') && !url.startsWith('/assets/');
+}
+
+// <script type> values that hold JavaScript
+const JS_TYPES = ['text/javascript', 'application/javascript', 'module'];
+
+// Attributes lazy loaders swap in once an element scrolls into view
+const LAZY_SOURCES = ['data-src', 'data-lazy-src', 'data-original'];
+const LAZY_SRCSETS = ['data-srcset', 'data-lazy-srcset'];
+// Backgrounds set from a plain URL or a CSS value with url()
+const LAZY_BACKGROUNDS = ['data-bg', 'data-background', 'data-background-image'];
+// All of them as [selector, attribute], for code that reads the saved pages
+const LAZY_ATTRIBUTES = [
+    ...LAZY_SOURCES.map(attr => [`[${attr}]:not(iframe)`, attr]),
+    ...LAZY_SRCSETS.map(attr => [`[${attr}]`, attr]),
+    ...LAZY_BACKGROUNDS.map(attr => [`[${attr}]`, attr])
+];
+
+// url resolved against base, or null for a value like 'http://[bad' that does not parse
+function resolveUrl(url, base) {
+    try {
+        return new URL(url, base);
+    } catch (error) {
+        return null;
+    }
+}
+
+// A missing src or an inline placeholder the loader would replace
+function isPlaceholder(src) {
+    return !src || src.startsWith('data:');
+}
+
+// A plugin for one attribute of one kind of element, e.g. <video src>.
+// assetDir(downloader) gives the folder the files land in, assets by default.
+function elementAssets(name, { selector, attr, type, emoji, noun, assetDir = null }) {
+    return {
+        name,
+        async onHtml($, { url: pageUrl, downloader }) {
+            const elements = $(selector);
+            downloader.logger.log(`${emoji} Processing ${elements.length} ${noun}`);
+
+            await Promise.all(elements.toArray().map(elem => {
+                const element = $(elem);
+                const value = element.attr(attr);
+
+                if (isDownloadable(value)) {
+                    return downloader.processAsset(value, pageUrl, type, localPath => {
+                        element.attr(attr, downloader.getAssetLink(localPath, pageUrl, assetDir ? assetDir(downloader) : undefined));
+                    });
+                }
+            }));
+        }
+    };
+}
+
+// Applies the third-party policy before the other plugins see the page:
+// stripped elements are gone and kept ones point at their live URL
+const thirdParty = {
+    name: 'third-party',
+    async onHtml($, { url: pageUrl, downloader }) {
+        const policy = downloader.thirdParty;
+        const absolute = value => {
+            try {
+                return new URL(value, pageUrl).href;
+            } catch (error) {
+                return null;
+            }
+        };
+
+        $('script[src]').each((i, elem) => {
+            const script = $(elem);
+            const src = absolute(script.attr('src'));
+            const decision = src && policy.decide(src);
+            if (!decision || !decision.rule) return;
+
+            downloader.recordThirdParty(src, 'script', decision);
+            if (decision.action === 'strip') {
+                script.remove();
+            } else if (decision.action === 'stub') {
+                // The scripts plugin points it at the stand-in, which no hash matches
+                script.removeAttr('integrity');
+            } else if (decision.action === 'keep') {
+                script.attr('src', src);
+            }
+        });
+
+        $('iframe').each((i, elem) => {
+            const iframe = $(elem);
+            for (const attr of ['src', ...LAZY_SOURCES]) {
+                const src = iframe.attr(attr) && absolute(iframe.attr(attr));
+                const decision = src && policy.decide(src);
+                if (!decision || !decision.rule) continue;
+
+                downloader.recordThirdParty(src, 'iframe', decision);
+                if (decision.action === 'strip') {
+                    iframe.remove();
+                    return;
+                }
+                if (decision.action === 'stub') {
+                    iframe.attr(attr, 'about:blank');
+                }
+            }
+        });
+
+        // Inline snippets and their <noscript> pixels are judged by the URLs they load
+        $('script:not([src])').each((i, elem) => {
+            const type = ($(elem).attr('type') || 'text/javascript').toLowerCase();
+            if (!JS_TYPES.includes(type)) return;
+            const decision = policy.decideInline($(elem).html(), pageUrl);
+            if (!decision) return;
+
+            downloader.recordThirdParty(decision.url, 'inline script', decision);
+            if (decision.action === 'strip') {
+                $(elem).remove();
+            } else {
+                $(elem).html(STUB_SCRIPT);
+            }
+        });
+        $('noscript').each((i, elem) => {
+            const decision = policy.decideNoscript($(elem).html(), pageUrl);
+            if (!decision) return;
+
+            downloader.recordThirdParty(decision.url, 'noscript', decision);
+            $(elem).remove();
+        });
+    }
+};
+
+const stylesheets = {
+    name: 'stylesheets',
+    async onHtml($, { url: pageUrl, downloader }) {
+        const links = $('link[rel="stylesheet"]');
+        downloader.logger.log(`📝 Processing ${links.length} stylesheets`);
+
+        await Promise.all(links.toArray().map(elem => {
+            const link = $(elem);
+            const href = link.attr('href');
+
+            if (isDownloadable(href)) {
+                downloader.noteIntegrity(href, pageUrl, link.attr('integrity'));
+                return downloader.processAsset(href, pageUrl, 'css', localPath => {
+                    link.attr('href', downloader.getAssetLink(localPath, pageUrl));
+                    // Checked on download; the rewritten copy no longer matches it
+                    link.removeAttr('integrity');
+                });
+            }
+        }));
+
+        // Inline styles live in the page, so their references are made from the page's location
+        const pagePath = downloader.getPageOutputPath(pageUrl);
+        await Promise.all($('style').toArray().map(async elem => {
+            const css = await downloader.transformCss($(elem).html(), pageUrl, localPath =>
+                downloader.getLocalLink(localPath, pagePath)
+            );
+            $(elem).html(css);
+        }));
+        await Promise.all($('[style]').toArray().map(async elem => {
+            const style = $(elem).attr('style');
+            if (/url\(|image-set\(/i.test(style)) {
+                $(elem).attr('style', await downloader.transformCss(style, pageUrl, localPath =>
+                    downloader.getLocalLink(localPath, pagePath)
+                ));
+            }
+        }));
+    },
+
+    // Downloads what a stylesheet references; context.toReference(localPath)
+    // says how the local paths are written
+    async onCss(css, { url, downloader, toReference }) {
+        return downloader.processCssDependencies(css, url, toReference);
+    }
+};
+
+const scripts = {
+    name: 'scripts',
+    async onHtml($, { url: pageUrl, downloader }) {
+        const elements = $('script[src]');
+        downloader.logger.log(`📜 Processing ${elements.length} scripts`);
+
+        await Promise.all(elements.toArray().map(elem => {
+            const script = $(elem);
+            const src = script.attr('src');
+
+            if (isDownloadable(src)) {
+                downloader.noteIntegrity(src, pageUrl, script.attr('integrity'));
+                return downloader.processAsset(src, pageUrl, 'js', localPath => {
+                    script.attr('src', downloader.getAssetLink(localPath, pageUrl));
+                });
+            }
+        }));
+
+        // Inline scripts import relative to the page
+        const pagePath = downloader.getPageOutputPath(pageUrl);
+        await Promise.all($('script:not([src])').toArray().map(async elem => {
+            const type = ($(elem).attr('type') || 'text/javascript').toLowerCase();
+            if (!JS_TYPES.includes(type)) return;
+            const code = $(elem).html();
+            const rewritten = await downloader.transformJs(code, pageUrl, localPath =>
+                downloader.getLocalLink(localPath, pagePath)
+            );
+            if (rewritten !== code) {
+                $(elem).html(rewritten);
+            }
+        }));
+    },
+
+    // Downloads the modules, chunks and source map a script loads by literal
+    // URL; context.filePath is null for inline scripts, which have no chunks
+    async onJs(code, { url, downloader, toReference, filePath }) {
+        return downloader.processJsDependencies(code, url, toReference, filePath);
+    }
+};
+
+const imageSources = elementAssets('images', {
+    selector: 'img[src]', attr: 'src', type: 'images', emoji: '🖼️', noun: 'images'
+});
+
+// <img src>, responsive candidates in srcset (<picture> sources too) and the
+// lazy-load attributes
+const images = {
+    name: 'images',
+    async onHtml($, context) {
+        await imageSources.onHtml($, context);
+
+        const { url: pageUrl, downloader } = context;
+        await Promise.all($('img[srcset], picture source[srcset]').toArray().map(async elem => {
+            const element = $(elem);
+            const srcset = await downloader.processSrcset(element.attr('srcset'), pageUrl);
+            if (srcset) {
+                element.attr('srcset', srcset);
+            }
+        }));
+
+        // An image that only has its lazy URL gets it as src too, so it shows
+        // even where the loader script does not run offline. Lazy iframes are pages.
+        const lazySources = $(LAZY_SOURCES.map(attr => `[${attr}]:not(iframe)`).join(', ')).toArray();
+        const lazySrcsets = $(LAZY_SRCSETS.map(attr => `[${attr}]`).join(', ')).toArray();
+        const lazyBackgrounds = $(LAZY_BACKGROUNDS.map(attr => `[${attr}]`).join(', ')).toArray();
+        const lazyCount = lazySources.length + lazySrcsets.length + lazyBackgrounds.length;
+        if (lazyCount > 0) {
+            downloader.logger.log(`💤 Processing ${lazyCount} lazy-loaded images`);
+        }
+
+        await Promise.all(lazySources.flatMap(elem => LAZY_SOURCES.map(attr => {
+            const element = $(elem);
+            const value = (element.attr(attr) || '').trim();
+            const resolved = isDownloadable(value) && resolveUrl(value, pageUrl);
+            if (!resolved) return null;
+
+            const type = elem.tagName === 'img' ? 'images' : downloader.getAssetType(resolved.pathname);
+            return downloader.processAsset(value, pageUrl, type, localPath => {
+                const link = downloader.getAssetLink(localPath, pageUrl);
+                element.attr(attr, link);
+                if (elem.tagName === 'img' && isPlaceholder(element.attr('src'))) {
+                    element.attr('src', link);
+                }
+            });
+        })));
+
+        await Promise.all(lazySrcsets.flatMap(elem => LAZY_SRCSETS.map(async attr => {
+            const element = $(elem);
+            const srcset = await downloader.processSrcset(element.attr(attr), pageUrl);
+            if (!srcset) return;
+            element.attr(attr, srcset);
+            if (['img', 'source'].includes(elem.tagName) && isPlaceholder(element.attr('srcset'))) {
+                element.attr('srcset', srcset);
+            }
+        })));
+
+        const pagePath = downloader.getPageOutputPath(pageUrl);
+        await Promise.all(lazyBackgrounds.flatMap(elem => LAZY_BACKGROUNDS.map(async attr => {
+            const element = $(elem);
+            const value = (element.attr(attr) || '').trim();
+            if (/url\(|image-set\(/i.test(value)) {
+                element.attr(attr, await downloader.transformCss(value, pageUrl, localPath =>
+                    downloader.getLocalLink(localPath, pagePath)
+                ));
+            } else if (isDownloadable(value)) {
+                await downloader.processAsset(value, pageUrl, 'images', localPath => {
+                    element.attr(attr, downloader.getAssetLink(localPath, pageUrl));
+                });
+            }
+        })));
+    }
+};
+
+// Queues the in-scope pages a page links to and points the links at their local copies
+const links = {
+    name: 'links',
+    async onHtml($, { url: pageUrl, downloader }) {
+        const anchors = $('a[href]');
+        const depth = (downloader.pageDepths.get(pageUrl) || 0) + 1;
+        downloader.logger.log(`🔗 Processing ${anchors.length} links`);
+
+        for (let i = 0; i < anchors.length; i++) {
+            const link = $(anchors[i]);
+            const href = link.attr('href');
+
+            if (href && !href.startsWith('#') && !href.startsWith('javascript:') &&
+                !href.startsWith('mailto:') && !href.startsWith('/assets/')) {
+
+                try {
+                    const absoluteUrl = new URL(href, pageUrl).href;
+                    downloader.noteEmbeddingPage(absoluteUrl, pageUrl);
+
+                    // Only download pages that are inside the crawl scope and allowed by robots.txt;
+                    // a page over the page limit is never written, so its link stays live
+                    if (downloader.isTargetPage(absoluteUrl, depth) && await downloader.isAllowedByRobots(absoluteUrl) &&
+                        downloader.enqueuePage(absoluteUrl, downloader.generateFilename(absoluteUrl, 'html'), depth)) {
+                        link.attr('href', downloader.getPageLink(absoluteUrl, pageUrl));
+                    } else {
+                        // For external links, out-of-scope and refused pages, keep them as absolute
+                        link.attr('href', absoluteUrl);
+                    }
+                } catch (error) {
+                    downloader.logger.error(`Error processing link ${href}:`, error.message);
+                }
+            }
+        }
+    }
+};
+
+const videos = elementAssets('videos', {
+    selector: 'video source[src], video[src]', attr: 'src', type: 'videos', emoji: '🎥', noun: 'videos'
+});
+
+const audio = elementAssets('audio', {
+    selector: 'audio source[src], audio[src]', attr: 'src', type: 'audio', emoji: '🎵', noun: 'audio files'
+});
+
+const fonts = elementAssets('fonts', {
+    selector: 'link[rel*="font"], link[type*="font"]', attr: 'href', type: 'fonts', emoji: '🔤', noun: 'font links',
+    assetDir: downloader => downloader.fontsDir
+});
+
+const favicons = elementAssets('favicons', {
+    selector: 'link[rel*="icon"], link[rel*="apple-touch-icon"]', attr: 'href', type: 'icons', emoji: '🎯', noun: 'favicons'
+});
+
+const posters = elementAssets('posters', {
+    selector: 'video[poster]', attr: 'poster', type: 'images', emoji: '🎞️', noun: 'video posters'
+});
+
+// SVG <use> and <image> by href or the older xlink:href. A fragment names a
+// symbol inside the file and stays on the link; #id alone is in the page.
+const svgReferences = {
+    name: 'svg',
+    async onHtml($, { url: pageUrl, downloader }) {
+        const references = [];
+        $('use, image').each((i, elem) => {
+            for (const attr of ['href', 'xlink:href']) {
+                const value = ($(elem).attr(attr) || '').trim();
+                if (isDownloadable(value) && !value.startsWith('#')) {
+                    references.push({ element: $(elem), attr, value });
+                }
+            }
+        });
+        downloader.logger.log(`🧩 Processing ${references.length} SVG references`);
+
+        await Promise.all(references.map(({ element, attr, value }) => {
+            const hashIndex = value.indexOf('#');
+            const file = hashIndex === -1 ? value : value.slice(0, hashIndex);
+            const fragment = hashIndex === -1 ? '' : value.slice(hashIndex);
+            return downloader.processAsset(file, pageUrl, 'images', localPath => {
+                element.attr(attr, downloader.getAssetLink(localPath, pageUrl) + fragment);
+            });
+        }));
+    }
+};
+
+// <link rel="preload" as="..."> -> asset type; modulepreload is always a script
+const PRELOAD_TYPES = { style: 'css', script: 'js', font: 'fonts', image: 'images', video: 'videos', audio: 'audio' };
+
+// Open Graph and Twitter card images, Windows tiles, JSON-LD images, preload
+// hints and the web app manifest. Link previews are read by services that
+// need absolute URLs, so with metaUrls: 'absolute' the meta and JSON-LD images
+// are resolved against the page and left on the live site instead.
+const metadata = {
+    name: 'metadata',
+    async onHtml($, { url: pageUrl, downloader }) {
+        const keepAbsolute = downloader.config.metaUrls === 'absolute';
+        const toLocal = (value, type, apply) => {
+            if (!keepAbsolute) {
+                return downloader.processAsset(value, pageUrl, type, localPath => apply(downloader.getAssetLink(localPath, pageUrl)));
+            }
+            const resolved = resolveUrl(value, pageUrl);
+            if (resolved) apply(resolved.href);
+            return null;
+        };
+
+        const metas = $(META_IMAGES).toArray();
+        const jsonLd = $('script[type="application/ld+json"]').toArray();
+        downloader.logger.log(`🏷️ Processing ${metas.length} meta images and ${jsonLd.length} JSON-LD blocks`);
+
+        await Promise.all(metas.map(elem => {
+            const meta = $(elem);
+            const content = (meta.attr('content') || '').trim();
+            if (!isDownloadable(content)) return null;
+            return toLocal(content, 'images', link => meta.attr('content', link));
+        }));
+
+        await Promise.all(jsonLd.map(async elem => {
+            let data;
+            try {
+                data = JSON.parse($(elem).html());
+            } catch (error) {
+                return;
+            }
+            const references = jsonLdImages(data).filter(({ holder, key }) => isDownloadable(holder[key]));
+            if (references.length === 0) return;
+
+            await Promise.all(references.map(({ holder, key }) =>
+                toLocal(holder[key], 'images', link => { holder[key] = link; })
+            ));
+            // '<' escaped so the data cannot end the script element
+            $(elem).html(JSON.stringify(data, null, 2).replace(/</g, '\\u003c'));
+        }));
+
+        // The tile configuration and web manifest are rewritten like stylesheets
+        const browserConfig = $('meta[name="msapplication-config"]');
+        const configUrl = (browserConfig.attr('content') || '').trim();
+        if (isDownloadable(configUrl) && configUrl !== 'none') {
+            await downloader.processAsset(configUrl, pageUrl, 'browserconfig', localPath => {
+                browserConfig.attr('content', downloader.getAssetLink(localPath, pageUrl));
+            });
+        }
+        await Promise.all($('link[rel~="manifest"]').toArray().map(elem => {
+            const link = $(elem);
+            const href = link.attr('href');
+            if (!isDownloadable(href)) return null;
+            return downloader.processAsset(href, pageUrl, 'manifest', localPath => {
+                link.attr('href', downloader.getAssetLink(localPath, pageUrl));
+            });
+        }));
+
+        // Hints for pages and data (as="document", as="fetch", no known extension)
+        // are left alone; font hints with a type went through the fonts plugin
+        const hints = $('link[rel~="preload"], link[rel~="prefetch"], link[rel~="modulepreload"]')
+            .not('[type*="font"]').toArray();
+        await Promise.all(hints.map(async elem => {
+            const link = $(elem);
+            const href = link.attr('href');
+            const rels = (link.attr('rel') || '').split(/\s+/);
+            if (link.attr('imagesrcset')) {
+                const srcset = await downloader.processSrcset(link.attr('imagesrcset'), pageUrl);
+                if (srcset) link.attr('imagesrcset', srcset);
+            }
+            const resolved = isDownloadable(href) && resolveUrl(href, pageUrl);
+            if (!resolved) return;
+
+            const type = rels.includes('modulepreload') ? 'js'
+                : PRELOAD_TYPES[link.attr('as')] || downloader.getAssetType(resolved.pathname);
+            if (type === 'other') {
+                // Hints for pages go where links to them go: the local copy, or the live page
+                const hintedUrl = resolved.href;
+                link.attr('href', downloader.isQueuedPage(hintedUrl) ? downloader.getPageLink(hintedUrl, pageUrl) : hintedUrl);
+                return;
+            }
+
+            downloader.noteIntegrity(href, pageUrl, link.attr('integrity'));
+            await downloader.processAsset(href, pageUrl, type, localPath => {
+                link.attr('href', downloader.getAssetLink(localPath, pageUrl, type === 'fonts' ? downloader.fontsDir : undefined));
+                link.removeAttr('integrity');
+            });
+        }));
+    }
+};
+
+// In the order pages went through them before there were plugins, the newer
+// ones last; the third-party policy goes first so the others skip what it removed
+const BUILTIN_PLUGINS = [thirdParty, stylesheets, scripts, images, links, videos, audio, fonts, favicons, posters, svgReferences, metadata];
+
+module.exports = { BUILTIN_PLUGINS, LAZY_ATTRIBUTES, elementAssets };
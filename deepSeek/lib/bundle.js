@@ -0,0 +1,224 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+// Crawl state stays out of a bundle, except the manifest that maps the files
+// back to their URLs
+function isBundled(relativePath) {
+    return !relativePath.startsWith('.crawler/') || relativePath === '.crawler/manifest.json';
+}
+
+// Files under dir as sorted posix paths relative to it
+async function listBundleFiles(dir, prefix = '') {
+    const files = [];
+    const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            files.push(...await listBundleFiles(dir, relativePath));
+        } else if (entry.isFile() && isBundled(relativePath)) {
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(data, crc = 0) {
+    crc = ~crc;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// A streamed ZIP: sizes and CRC of each entry follow its data in a data
+// descriptor, so no file is read twice. Without ZIP64 it stops at 4 GB and
+// 65535 entries; use tar.gz beyond that.
+async function* zipEntries(dir, files, root) {
+    const central = [];
+    let offset = 0;
+    const tooLarge = () => new Error('The mirror is too large for a ZIP bundle, use tar.gz');
+
+    for (const file of files) {
+        const filePath = path.join(dir, file);
+        const name = Buffer.from(`${root}/${file}`);
+        const { time, date } = dosDateTime((await fs.stat(filePath)).mtime);
+        const entryOffset = offset;
+
+        // Flags: data descriptor follows, names are UTF-8
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0808, 6);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt16LE(name.length, 26);
+        yield Buffer.concat([local, name]);
+        offset += local.length + name.length;
+
+        let crc = 0;
+        let size = 0;
+        let compressedSize = 0;
+        const source = fs.createReadStream(filePath);
+        source.on('data', chunk => {
+            crc = crc32(chunk, crc);
+            size += chunk.length;
+        });
+        for await (const chunk of source.pipe(zlib.createDeflateRaw())) {
+            compressedSize += chunk.length;
+            yield chunk;
+        }
+        offset += compressedSize;
+
+        if (offset > 0xffffffff || size > 0xffffffff || central.length >= 0xffff) {
+            throw tooLarge();
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(crc, 4);
+        descriptor.writeUInt32LE(compressedSize, 8);
+        descriptor.writeUInt32LE(size, 12);
+        yield descriptor;
+        offset += descriptor.length;
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0808, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(time, 12);
+        header.writeUInt16LE(date, 14);
+        header.writeUInt32LE(crc, 16);
+        header.writeUInt32LE(compressedSize, 20);
+        header.writeUInt32LE(size, 24);
+        header.writeUInt16LE(name.length, 28);
+        header.writeUInt32LE(entryOffset, 42);
+        central.push(Buffer.concat([header, name]));
+    }
+
+    const directory = Buffer.concat(central);
+    if (offset + directory.length > 0xffffffff) {
+        throw tooLarge();
+    }
+    yield directory;
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length, 8);
+    end.writeUInt16LE(central.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    yield end;
+}
+
+// "<length> <key>=<value>\n", the length counting itself
+function paxRecord(key, value) {
+    const record = ` ${key}=${value}\n`;
+    const base = Buffer.byteLength(record);
+    let length = base + String(base).length;
+    if (String(length).length > String(base).length) {
+        length = base + String(length).length;
+    }
+    return `${length}${record}`;
+}
+
+function tarHeader(name, size, mtime, type = '0') {
+    const header = Buffer.alloc(512);
+    const octal = (value, width) => value.toString(8).padStart(width - 1, '0') + '\0';
+    header.write(name, 0, 100);
+    header.write(octal(0o644, 8), 100);
+    header.write(octal(0, 8), 108);
+    header.write(octal(0, 8), 116);
+    header.write(octal(size, 12), 124);
+    header.write(octal(mtime, 12), 136);
+    header.write('        ', 148);
+    header.write(type, 156);
+    header.write('ustar\u000000', 257);
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+    return header;
+}
+
+function tarPadding(size) {
+    return Buffer.alloc((512 - (size % 512)) % 512);
+}
+
+// ustar entries; names longer than the header holds and sizes of 8 GB and
+// more go in a PAX extended header in front of the entry
+async function* tarEntries(dir, files, root) {
+    for (const file of files) {
+        const filePath = path.join(dir, file);
+        const name = `${root}/${file}`;
+        const stats = await fs.stat(filePath);
+        const mtime = Math.floor(stats.mtimeMs / 1000);
+
+        const pax = [];
+        if (Buffer.byteLength(name) > 100) pax.push(paxRecord('path', name));
+        if (stats.size >= 8 ** 11) pax.push(paxRecord('size', stats.size));
+        if (pax.length > 0) {
+            const records = Buffer.from(pax.join(''));
+            yield tarHeader(`PaxHeader/${path.posix.basename(name)}`.slice(0, 100), records.length, mtime, 'x');
+            yield records;
+            yield tarPadding(records.length);
+        }
+
+        yield tarHeader(name, stats.size >= 8 ** 11 ? 0 : stats.size, mtime);
+        let written = 0;
+        for await (const chunk of fs.createReadStream(filePath)) {
+            written += chunk.length;
+            yield chunk;
+        }
+        yield tarPadding(written);
+    }
+    // Two empty blocks end the archive
+    yield Buffer.alloc(1024);
+}
+
+// Format -> the stages its bytes go through on the way to the file
+const BUNDLE_FORMATS = {
+    'zip': (dir, files, root) => [zipEntries(dir, files, root)],
+    'tar.gz': (dir, files, root) => [tarEntries(dir, files, root), zlib.createGzip()]
+};
+
+// Packs the mirror in dir into filePath. Entries sit under a folder named
+// like dir, so unpacking gives back the mirror as it was on disk.
+async function createBundle(dir, filePath, format) {
+    if (!BUNDLE_FORMATS[format]) {
+        throw new Error(`Unknown bundle format: ${format}`);
+    }
+    const files = await listBundleFiles(dir);
+    const root = path.basename(path.resolve(dir));
+
+    // Written aside first so a failed run never leaves half an archive
+    const tempPath = `${filePath}.tmp`;
+    try {
+        await pipeline(...BUNDLE_FORMATS[format](dir, files, root), fs.createWriteStream(tempPath));
+        await fs.move(tempPath, filePath, { overwrite: true });
+    } finally {
+        await fs.remove(tempPath);
+    }
+    return { filePath, files: files.length };
+}
+
+module.exports = { BUNDLE_FORMATS, createBundle, listBundleFiles, crc32 };
@@ -0,0 +1,226 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+
+const CONFIG_FILES = ['crawler.config.js', 'crawler.config.json'];
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Keys a config file may set, with the check each value has to pass. Apart
+// from url and outputDir they map one-to-one onto SiteDownloader.config.
+const FIELDS = {
+    url: 'url',
+    outputDir: 'string',
+    timeout: 'positiveInteger',
+    maxRetries: 'positiveInteger',
+    delayBetweenRequests: 'nonNegativeInteger',
+    maxFileSize: 'positiveInteger',
+    userAgent: 'string',
+    profile: 'string',
+    profilesFile: 'string',
+    recovery: 'strategyList',
+    recoveryProfile: 'string',
+    cookies: 'string',
+    headers: 'headerMap',
+    login: 'login',
+    plugins: 'pluginList',
+    pluginsDir: 'string',
+    archives: 'archiveList',
+    singleFile: 'boolean',
+    maxInlineSize: 'nonNegativeInteger',
+    singleFileScripts: 'singleFileScripts',
+    concurrency: 'positiveInteger',
+    perHostConcurrency: 'positiveInteger',
+    pageConcurrency: 'positiveInteger',
+    skipLargeFiles: 'boolean',
+    respectRobots: 'boolean',
+    sitemaps: 'boolean',
+    preservePaths: 'boolean',
+    resume: 'boolean',
+    incremental: 'boolean',
+    handleInterrupt: 'boolean',
+    quiet: 'boolean',
+    logger: 'logger',
+    renderer: 'renderer',
+    waitForSelector: 'string',
+    browserArgs: 'stringList',
+    linkStyle: 'linkStyle',
+    metaUrls: 'metaUrls',
+    basePath: 'string',
+    scope: 'object',
+    normalize: 'object',
+    thirdParty: 'object'
+};
+
+const SCOPE_FIELDS = {
+    include: 'stringList',
+    exclude: 'stringList',
+    patterns: 'stringList',
+    excludePatterns: 'stringList',
+    allowedSubdomains: 'stringList',
+    maxDepth: 'nonNegativeInteger',
+    maxPages: 'positiveInteger',
+    stripPrefix: 'string'
+};
+
+const NORMALIZE_FIELDS = {
+    trailingSlash: 'trailingSlash',
+    stripParams: 'paramList',
+    removeFragment: 'boolean',
+    sortQuery: 'boolean',
+    canonical: 'boolean'
+};
+
+const THIRD_PARTY_FIELDS = {
+    trackers: 'scriptAction',
+    others: 'scriptAction',
+    rules: 'scriptRules'
+};
+
+const SCRIPT_ACTIONS = ['strip', 'stub', 'keep', 'mirror'];
+
+const CHECKS = {
+    url: value => {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http(s) URL';
+        } catch (error) {
+            return 'must be an http(s) URL';
+        }
+    },
+    string: value => typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string',
+    boolean: value => typeof value === 'boolean' ? null : 'must be true or false',
+    renderer: value => ['static', 'browser'].includes(value) ? null : 'must be "static" or "browser"',
+    trailingSlash: value => ['keep', 'add', 'remove'].includes(value) ? null : 'must be "keep", "add" or "remove"',
+    // May be empty, to keep every parameter
+    paramList: value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0)
+        ? null : 'must be a list of parameter names',
+    linkStyle: value => ['root', 'relative'].includes(value) ? null : 'must be "root" or "relative"',
+    metaUrls: value => ['local', 'absolute'].includes(value) ? null : 'must be "local" or "absolute"',
+    singleFileScripts: value => ['inline', 'drop'].includes(value) ? null : 'must be "inline" or "drop"',
+    // Anything shaped like console
+    logger: value => value && typeof value.log === 'function' && typeof value.error === 'function'
+        ? null : 'must be an object with log and error functions',
+    object: value => value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object',
+    headerMap: value => value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.values(value).every(item => typeof item === 'string')
+        ? null : 'must be an object of header names and string values',
+    // A login script, or the form to fill in: { url, fields, form?, action?, method? }
+    login: value => {
+        if (typeof value === 'function') return null;
+        if (!value || typeof value !== 'object' || CHECKS.url(value.url) !== null) {
+            return 'must be a function or { url, fields } with an http(s) url';
+        }
+        return value.fields && typeof value.fields === 'object' ? null : 'fields must be an object of form values';
+    },
+    positiveInteger: value => Number.isInteger(value) && value > 0 ? null : 'must be a positive integer',
+    nonNegativeInteger: value => Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer',
+    // Built-in strategy names are checked when the chain is built
+    strategyList: value => Array.isArray(value) && value.every(item =>
+        (typeof item === 'string' && item.length > 0) || (item && typeof item.apply === 'function'))
+        ? null : 'must be a list of strategy names or { name, apply } objects',
+    // Module names and paths, [module, options] pairs or plugin objects; hooks are checked on load
+    pluginList: value => Array.isArray(value) && value.every(item =>
+        (typeof item === 'string' && item.length > 0) ||
+        (Array.isArray(item) && typeof item[0] === 'string' && item.length <= 2) ||
+        (item && typeof item === 'object' && !Array.isArray(item)))
+        ? null : 'must be a list of module names, [module, options] pairs or plugin objects',
+    scriptAction: value => SCRIPT_ACTIONS.includes(value) ? null : `must be one of ${SCRIPT_ACTIONS.join(', ')}`,
+    scriptRules: value => Array.isArray(value) && value.every(rule => rule && typeof rule.match === 'string' &&
+        rule.match.length > 0 && SCRIPT_ACTIONS.includes(rule.action))
+        ? null : `must be a list of { match, action } with action one of ${SCRIPT_ACTIONS.join(', ')}`,
+    archiveList: value => Array.isArray(value) && value.every(item => ['warc', 'zip', 'tar.gz'].includes(item))
+        ? null : 'must be a list of "warc", "zip" and "tar.gz"',
+    stringList: value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0)
+        ? null : 'must be a list of non-empty strings'
+};
+
+function checkFields(values, fields, prefix, problems) {
+    for (const [key, value] of Object.entries(values)) {
+        if (value === undefined) continue;
+        if (!fields[key]) {
+            problems.push(`${prefix}${key}: unknown option`);
+            continue;
+        }
+        const problem = CHECKS[fields[key]](value);
+        if (problem) {
+            problems.push(`${prefix}${key}: ${problem} (got ${JSON.stringify(value)})`);
+        }
+    }
+}
+
+function validateConfig(config, source = '') {
+    const problems = [];
+    const prefix = source ? `${source}: ` : '';
+    checkFields(config, FIELDS, prefix, problems);
+    if (config.scope && CHECKS.object(config.scope) === null) {
+        checkFields(config.scope, SCOPE_FIELDS, `${prefix}scope.`, problems);
+    }
+    if (config.normalize && CHECKS.object(config.normalize) === null) {
+        checkFields(config.normalize, NORMALIZE_FIELDS, `${prefix}normalize.`, problems);
+    }
+    if (config.thirdParty && CHECKS.object(config.thirdParty) === null) {
+        checkFields(config.thirdParty, THIRD_PARTY_FIELDS, `${prefix}thirdParty.`, problems);
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return config;
+}
+
+function findConfigFile(cwd = process.cwd()) {
+    for (const name of CONFIG_FILES) {
+        const filePath = path.join(cwd, name);
+        if (fs.existsSync(filePath)) return filePath;
+    }
+    return null;
+}
+
+function loadConfigFile(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+        throw new ConfigError([`config file not found: ${filePath}`]);
+    }
+    try {
+        if (resolved.endsWith('.json')) {
+            return fs.readJsonSync(resolved);
+        }
+        return require(resolved);
+    } catch (error) {
+        throw new ConfigError([`could not read ${filePath}: ${error.message}`]);
+    }
+}
+
+// Defaults < config file < command line flags; scope rules, normalize rules and headers are merged key by key
+function resolveConfig(fileConfig, flagConfig, source = 'config file') {
+    validateConfig(fileConfig, source);
+    const config = { ...fileConfig, ...flagConfig };
+    if (fileConfig.scope || flagConfig.scope) {
+        config.scope = { ...fileConfig.scope, ...flagConfig.scope };
+    }
+    if (fileConfig.normalize || flagConfig.normalize) {
+        config.normalize = { ...fileConfig.normalize, ...flagConfig.normalize };
+    }
+    if (fileConfig.thirdParty || flagConfig.thirdParty) {
+        config.thirdParty = { ...fileConfig.thirdParty, ...flagConfig.thirdParty };
+    }
+    // Malformed flag headers stay as they are so validation can name them
+    if (fileConfig.headers && flagConfig.headers && !Array.isArray(flagConfig.headers)) {
+        config.headers = { ...fileConfig.headers, ...flagConfig.headers };
+    }
+    return validateConfig(config);
+}
+
+module.exports = {
+    ConfigError,
+    validateConfig,
+    findConfigFile,
+    loadConfigFile,
+    resolveConfig,
+    CONFIG_FILES
+};
@@ -0,0 +1,243 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+const { ConfigError } = require('./config');
+
+// A small RFC 6265 cookie store: enough to keep a login, consent or geo cookie
+// across requests, redirects and resumed runs.
+
+function defaultPath(pathname) {
+    if (!pathname || !pathname.startsWith('/') || pathname.lastIndexOf('/') === 0) return '/';
+    return pathname.slice(0, pathname.lastIndexOf('/'));
+}
+
+function domainMatches(hostname, cookie) {
+    if (cookie.hostOnly) return hostname === cookie.domain;
+    return hostname === cookie.domain || hostname.endsWith(`.${cookie.domain}`);
+}
+
+function pathMatches(pathname, cookiePath) {
+    if (pathname === cookiePath) return true;
+    if (!pathname.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith('/') || pathname[cookiePath.length] === '/';
+}
+
+// Export formats give expiry in seconds; session cookies have none (or -1)
+function toExpires(seconds) {
+    return typeof seconds === 'number' && seconds > 0 ? Math.round(seconds * 1000) : null;
+}
+
+class CookieJar {
+    constructor(cookies = []) {
+        this.cookies = new Map();
+        cookies.forEach(cookie => this.add(cookie));
+    }
+
+    static key(cookie) {
+        return `${cookie.domain};${cookie.path};${cookie.name}`;
+    }
+
+    // Netscape cookies.txt (curl, wget, browser extensions) or a JSON export:
+    // an array of cookies or Playwright's { cookies: [...] }
+    static fromFile(filePath) {
+        const jar = new CookieJar();
+        try {
+            const content = fs.readFileSync(filePath, 'utf8');
+            if (path.extname(filePath).toLowerCase() === '.json') {
+                jar.importJson(JSON.parse(content));
+            } else {
+                jar.importNetscape(content);
+            }
+        } catch (error) {
+            throw new ConfigError([`could not read cookies file ${filePath}: ${error.message}`]);
+        }
+        return jar;
+    }
+
+    add(cookie) {
+        const normalized = {
+            name: cookie.name,
+            value: cookie.value,
+            domain: cookie.domain.replace(/^\./, '').toLowerCase(),
+            hostOnly: Boolean(cookie.hostOnly),
+            path: cookie.path || '/',
+            expires: cookie.expires !== undefined ? cookie.expires : null,
+            secure: Boolean(cookie.secure),
+            httpOnly: Boolean(cookie.httpOnly)
+        };
+        if (normalized.expires !== null && normalized.expires <= Date.now()) {
+            this.cookies.delete(CookieJar.key(normalized));
+            return;
+        }
+        this.cookies.set(CookieJar.key(normalized), normalized);
+    }
+
+    // One Set-Cookie header received from url
+    setCookie(header, url) {
+        const urlObj = new URL(url);
+        const [pair, ...attributes] = header.split(';');
+        const separator = pair.indexOf('=');
+        if (separator === -1) return;
+
+        const cookie = {
+            name: pair.slice(0, separator).trim(),
+            value: pair.slice(separator + 1).trim(),
+            domain: urlObj.hostname,
+            hostOnly: true,
+            path: defaultPath(urlObj.pathname),
+            expires: null
+        };
+        if (!cookie.name) return;
+
+        for (const attribute of attributes) {
+            const [rawName, ...rest] = attribute.split('=');
+            const name = rawName.trim().toLowerCase();
+            const value = rest.join('=').trim();
+
+            if (name === 'domain' && value) {
+                const domain = value.replace(/^\./, '').toLowerCase();
+                // A site may not set cookies for a domain it is not part of
+                if (!domainMatches(urlObj.hostname, { domain, hostOnly: false })) return;
+                cookie.domain = domain;
+                cookie.hostOnly = false;
+            } else if (name === 'path' && value.startsWith('/')) {
+                cookie.path = value;
+            } else if (name === 'max-age' && /^-?\d+$/.test(value)) {
+                // Max-Age wins over Expires
+                cookie.maxAge = Number(value);
+            } else if (name === 'expires' && cookie.expires === null) {
+                const date = Date.parse(value);
+                if (!Number.isNaN(date)) cookie.expires = date;
+            } else if (name === 'secure') {
+                cookie.secure = true;
+            } else if (name === 'httponly') {
+                cookie.httpOnly = true;
+            }
+        }
+        if (cookie.maxAge !== undefined) {
+            cookie.expires = cookie.maxAge <= 0 ? 0 : Date.now() + cookie.maxAge * 1000;
+        }
+        // An expiry in the past deletes the cookie
+        this.add(cookie);
+    }
+
+    storeResponseCookies(url, setCookieHeaders) {
+        if (!setCookieHeaders) return;
+        const headers = Array.isArray(setCookieHeaders) ? setCookieHeaders : [setCookieHeaders];
+        headers.forEach(header => this.setCookie(header, url));
+    }
+
+    getCookies(url) {
+        const urlObj = new URL(url);
+        const now = Date.now();
+        return Array.from(this.cookies.values())
+            .filter(cookie => cookie.expires === null || cookie.expires > now)
+            .filter(cookie => domainMatches(urlObj.hostname, cookie))
+            .filter(cookie => pathMatches(urlObj.pathname || '/', cookie.path))
+            .filter(cookie => !cookie.secure || urlObj.protocol === 'https:')
+            // Longer paths first, as browsers send them
+            .sort((a, b) => b.path.length - a.path.length);
+    }
+
+    getCookieHeader(url) {
+        return this.getCookies(url).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    }
+
+    importNetscape(text) {
+        for (const rawLine of text.split(/\r?\n/)) {
+            let line = rawLine.trim();
+            let httpOnly = false;
+            if (line.startsWith('#HttpOnly_')) {
+                line = line.slice('#HttpOnly_'.length);
+                httpOnly = true;
+            }
+            if (!line || line.startsWith('#')) continue;
+
+            const fields = line.split('\t');
+            if (fields.length < 7) continue;
+            const [domain, includeSubdomains, cookiePath, secure, expires, name, ...value] = fields;
+            this.add({
+                name,
+                value: value.join('\t'),
+                domain,
+                hostOnly: includeSubdomains.toUpperCase() !== 'TRUE',
+                path: cookiePath,
+                expires: toExpires(Number(expires)),
+                secure: secure.toUpperCase() === 'TRUE',
+                httpOnly
+            });
+        }
+    }
+
+    importJson(data) {
+        const cookies = Array.isArray(data) ? data : (data && data.cookies) || [];
+        for (const cookie of cookies) {
+            if (!cookie.name || !cookie.domain) continue;
+            this.add({
+                name: cookie.name,
+                value: String(cookie.value),
+                domain: cookie.domain,
+                // Exports mark domain cookies with a leading dot or hostOnly: false
+                hostOnly: cookie.hostOnly !== undefined ? cookie.hostOnly : !cookie.domain.startsWith('.'),
+                path: cookie.path,
+                expires: toExpires(cookie.expirationDate !== undefined ? cookie.expirationDate : cookie.expires),
+                secure: cookie.secure,
+                httpOnly: cookie.httpOnly
+            });
+        }
+    }
+
+    // Session cookies included, so a resumed run keeps its login
+    toJSON() {
+        return Array.from(this.cookies.values());
+    }
+
+    get size() {
+        return this.cookies.size;
+    }
+}
+
+// Sends the jar's cookies with every request of an axios instance and stores
+// what comes back, including Set-Cookie headers of redirects along the way
+function attachCookieJar(instance, jar) {
+    const remember = response => {
+        if (!response || !response.config) return;
+        // After redirects the cookies belong to the final URL
+        const res = response.request && response.request.res;
+        const url = (res && res.responseUrl) || response.config.url;
+        jar.storeResponseCookies(url, response.headers['set-cookie']);
+    };
+
+    instance.interceptors.request.use(config => {
+        let currentUrl = config.url;
+        const cookie = jar.getCookieHeader(currentUrl);
+        if (cookie) {
+            const existing = config.headers.get('cookie');
+            config.headers.set('cookie', existing ? `${existing}; ${cookie}` : cookie);
+        }
+        // A beforeRedirect given with the request still runs
+        const requestBeforeRedirect = config.beforeRedirect;
+        config.beforeRedirect = (options, responseDetails) => {
+            if (requestBeforeRedirect) requestBeforeRedirect(options, responseDetails);
+            jar.storeResponseCookies(currentUrl, responseDetails.headers['set-cookie']);
+            currentUrl = options.href;
+            for (const name of Object.keys(options.headers)) {
+                if (name.toLowerCase() === 'cookie') delete options.headers[name];
+            }
+            const redirectCookie = jar.getCookieHeader(currentUrl);
+            if (redirectCookie) options.headers.cookie = redirectCookie;
+        };
+        return config;
+    });
+
+    instance.interceptors.response.use(response => {
+        remember(response);
+        return response;
+    }, error => {
+        remember(error.response);
+        return Promise.reject(error);
+    });
+    return instance;
+}
+
+module.exports = { CookieJar, attachCookieJar };
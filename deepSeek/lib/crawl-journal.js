@@ -0,0 +1,81 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const JOURNAL_VERSION = 1;
+
+// Writes are at most this far apart however often the crawl changes
+const DEFAULT_SAVE_INTERVAL = 2000;
+
+class CrawlJournal {
+    constructor(stateDir, { saveInterval = DEFAULT_SAVE_INTERVAL, logger = console } = {}) {
+        this.stateDir = stateDir;
+        this.logger = logger;
+        this.filePath = path.join(stateDir, 'journal.json');
+        this.saveInterval = saveInterval;
+        this.lastSave = 0;
+        this.pending = null;
+        this.timer = null;
+    }
+
+    async load() {
+        try {
+            const state = await fs.readJson(this.filePath);
+            if (state.version !== JOURNAL_VERSION) {
+                this.logger.log(`⚠️ Ignoring crawl journal with unsupported version: ${state.version}`);
+                return null;
+            }
+            return state;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            this.logger.error('Error reading crawl journal:', error.message);
+            return null;
+        }
+    }
+
+    // Written synchronously (temp file + rename) so the SIGINT handler can
+    // flush it and a crash mid-write never leaves a truncated journal behind.
+    save(state) {
+        const tempPath = `${this.filePath}.tmp`;
+        fs.ensureDirSync(this.stateDir);
+        fs.writeFileSync(tempPath, JSON.stringify({
+            version: JOURNAL_VERSION,
+            updatedAt: new Date().toISOString(),
+            ...state
+        }));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // Saves what getState() returns once the interval since the last write
+    // has passed; calls in between only replace the pending state
+    schedule(getState) {
+        this.pending = getState;
+        if (this.timer) return;
+        const wait = Math.max(0, this.lastSave + this.saveInterval - Date.now());
+        this.timer = setTimeout(() => this.flush(), wait);
+        this.timer.unref();
+    }
+
+    // Writes the pending state now, e.g. on an error or SIGINT
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.pending) return;
+        const getState = this.pending;
+        this.pending = null;
+        try {
+            this.save(getState());
+            this.lastSave = Date.now();
+        } catch (error) {
+            this.logger.error('Error saving crawl journal:', error.message);
+        }
+    }
+
+    async remove() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pending = null;
+        await fs.remove(this.filePath);
+    }
+}
+
+module.exports = { CrawlJournal, DEFAULT_SAVE_INTERVAL };
@@ -0,0 +1,181 @@
+// Small CSS scanner that finds every external reference in a stylesheet:
+// @import (string or url()), url(), bare strings inside image-set() and the
+// url() sources of @font-face. Comments and strings are skipped properly, so
+// commented-out rules and url-like text inside content: '' are not picked up.
+
+const IMAGE_SET_FUNCTIONS = ['image-set', '-webkit-image-set'];
+
+function isIdentChar(char) {
+    return /[a-zA-Z0-9_\-]/.test(char);
+}
+
+function unescapeCss(value) {
+    return value.replace(/\\([0-9a-fA-F]{1,6}\s?|.)/g, (match, escaped) => {
+        if (/^[0-9a-fA-F]/.test(escaped)) {
+            return String.fromCodePoint(parseInt(escaped.trim(), 16));
+        }
+        return escaped;
+    });
+}
+
+// Reads a quoted string starting at css[start]; returns the index after the closing quote
+function readString(css, start) {
+    const quote = css[start];
+    let i = start + 1;
+    while (i < css.length && css[i] !== quote) {
+        if (css[i] === '\\') i++;
+        if (css[i] === '\n') break;
+        i++;
+    }
+    return Math.min(i + 1, css.length);
+}
+
+function extractCssDependencies(css) {
+    const dependencies = [];
+    const blocks = [];
+    const parens = [];
+    let atRule = null;
+    let importTaken = false;
+    let i = 0;
+
+    const add = (start, end, kind) => {
+        const raw = css.slice(start, end);
+        const url = unescapeCss(raw.trim());
+        if (url) {
+            dependencies.push({ url, kind, start, end });
+        }
+    };
+    const inFontFace = () => blocks.includes('font-face');
+
+    while (i < css.length) {
+        const char = css[i];
+
+        if (char === '/' && css[i + 1] === '*') {
+            const end = css.indexOf('*/', i + 2);
+            i = end === -1 ? css.length : end + 2;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            const end = readString(css, i);
+            const inImageSet = parens.length > 0 && IMAGE_SET_FUNCTIONS.includes(parens[parens.length - 1]);
+            if (atRule === 'import' && !importTaken && parens.length === 0) {
+                add(i + 1, end - 1, 'import');
+                importTaken = true;
+            } else if (inImageSet) {
+                add(i + 1, end - 1, 'image-set');
+            }
+            i = end;
+            continue;
+        }
+
+        if (char === '@') {
+            let end = i + 1;
+            while (end < css.length && isIdentChar(css[end])) end++;
+            atRule = css.slice(i + 1, end).toLowerCase();
+            importTaken = false;
+            i = end;
+            continue;
+        }
+
+        if (char === '{') {
+            blocks.push(atRule || 'rule');
+            atRule = null;
+            i++;
+            continue;
+        }
+        if (char === '}') {
+            blocks.pop();
+            atRule = null;
+            i++;
+            continue;
+        }
+        if (char === ';') {
+            atRule = null;
+            i++;
+            continue;
+        }
+        if (char === '(') {
+            parens.push('');
+            i++;
+            continue;
+        }
+        if (char === ')') {
+            parens.pop();
+            i++;
+            continue;
+        }
+
+        if (isIdentChar(char) && (i === 0 || !isIdentChar(css[i - 1]))) {
+            let end = i;
+            while (end < css.length && isIdentChar(css[end])) end++;
+            const name = css.slice(i, end).toLowerCase();
+
+            if (css[end] !== '(') {
+                i = end;
+                continue;
+            }
+
+            if (name === 'url') {
+                let kind = 'url';
+                if (atRule === 'import' && !importTaken && parens.length === 0) {
+                    kind = 'import';
+                    importTaken = true;
+                } else if (inFontFace()) {
+                    kind = 'font';
+                }
+
+                let start = end + 1;
+                while (/\s/.test(css[start] || '')) start++;
+
+                if (css[start] === '"' || css[start] === "'") {
+                    const stringEnd = readString(css, start);
+                    add(start + 1, stringEnd - 1, kind);
+                    const close = css.indexOf(')', stringEnd);
+                    i = close === -1 ? css.length : close + 1;
+                } else {
+                    const close = css.indexOf(')', start);
+                    const valueEnd = close === -1 ? css.length : close;
+                    add(start, valueEnd, kind);
+                    i = close === -1 ? css.length : close + 1;
+                }
+                continue;
+            }
+
+            parens.push(name);
+            i = end + 1;
+            continue;
+        }
+
+        i++;
+    }
+
+    return dependencies;
+}
+
+function isExternalReference(url) {
+    return !url.startsWith('data:') && !url.startsWith('#') && !url.startsWith('about:') &&
+           !url.startsWith('javascript:');
+}
+
+// Replaces every dependency for which replacer(dependency, index) returns a string.
+// Quoting is kept as it was; unquoted values that need quoting get it.
+function rewriteCss(css, dependencies, replacer) {
+    let result = '';
+    let last = 0;
+
+    dependencies.forEach((dependency, index) => {
+        const replacement = replacer(dependency, index);
+        if (typeof replacement !== 'string') return;
+
+        const quoted = css[dependency.start - 1] === '"' || css[dependency.start - 1] === "'";
+        const needsQuotes = !quoted && /[\s()'"]/.test(replacement);
+        result += css.slice(last, dependency.start);
+        result += needsQuotes ? `"${replacement.replace(/"/g, '\\"')}"` : replacement;
+        last = dependency.end;
+    });
+
+    return result + css.slice(last);
+}
+
+module.exports = { extractCssDependencies, rewriteCss, isExternalReference };
@@ -0,0 +1,89 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { resolveProfile } = require('./browser-profiles');
+const { withRecovery, headersFor } = require('./recovery');
+const { attachCookieJar } = require('./cookie-jar');
+const { streamToFile } = require('./streaming');
+const { createLogger } = require('./logger');
+
+function getFilenameFromUrl(fileUrl) {
+    try {
+        const parsedUrl = new URL(fileUrl);
+        let filename = path.basename(parsedUrl.pathname);
+
+        // URL decode the filename
+        filename = decodeURIComponent(filename);
+
+        // Remove query parameters from filename if any
+        filename = filename.split('?')[0];
+
+        // If no valid filename, generate one with timestamp
+        if (!filename || filename === '/' || filename === parsedUrl.pathname) {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            return `download-${timestamp}.bin`;
+        }
+
+        return filename;
+    } catch (error) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return `download-${timestamp}.bin`;
+    }
+}
+
+// options.profile is a browser profile object or name, mobile Chrome by default;
+// options.cookieJar (a CookieJar) and options.headers are sent along and the
+// jar keeps the cookies the server sets. options.maxSize aborts downloads that
+// grow past it. The file only appears once it is complete and checked.
+// Progress goes to options.logger (the console by default), options.quiet
+// keeps only the errors.
+async function downloadFile(fileUrl, customFilename = null, options = {}) {
+    const logger = createLogger(options);
+    const outputFilename = customFilename || getFilenameFromUrl(fileUrl);
+    const profile = typeof options.profile === 'object' ? options.profile : resolveProfile(options.profile || 'chrome-mobile');
+    const http = options.cookieJar ? attachCookieJar(axios.create(), options.cookieJar) : axios;
+
+    try {
+        const request = {
+            url: fileUrl,
+            destination: 'document',
+            profile,
+            referrer: null,
+            embeddingPage: null,
+            extraHeaders: { 'cache-control': 'no-cache', 'pragma': 'no-cache', ...options.headers }
+        };
+        // 403/429/503 walk the recovery chain before giving up
+        const response = await withRecovery(attempt => http({
+            method: 'GET',
+            url: fileUrl,
+            responseType: 'stream',
+            decompress: false,
+            headers: headersFor(attempt)
+        }), request, { escalationProfile: resolveProfile('chrome-mobile'), logger });
+
+        // Written next to the target and renamed, checked against Content-Length and any Digest header
+        const tempFilename = `${outputFilename}.part`;
+        let size;
+        try {
+            ({ size } = await streamToFile(response, tempFilename, { url: fileUrl, maxSize: options.maxSize }));
+        } catch (error) {
+            fs.unlink(tempFilename, () => {});
+            throw error;
+        }
+        fs.renameSync(tempFilename, outputFilename);
+
+        logger.log(`✓ Downloaded: ${outputFilename} (${(size / 1024).toFixed(2)} KB)`);
+        return {
+            filename: outputFilename,
+            size,
+            status: response.status,
+            url: fileUrl
+        };
+
+    } catch (error) {
+        logger.error('✗ Download failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = { downloadFile, getFilenameFromUrl };
@@ -0,0 +1,421 @@
+// Small JavaScript scanner that finds the files a script loads by literal URL:
+// static import/export ... from, import('...'), new URL('...', import.meta.url),
+// the sourceMappingURL comment and the chunk file names of a webpack runtime.
+// Nothing is executed. Comments, strings, templates and regular expressions
+// are skipped properly; specifiers built at run time are left alone.
+
+// After these a '/' starts a regular expression, not a division
+const REGEX_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'];
+
+const PUNCTUATORS = ['...', '===', '!==', '**=', '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/='];
+
+const WHITESPACE = /\s+/y;
+const IDENTIFIER = /[A-Za-z_$\u0080-\uffff][\w$\u0080-\uffff]*/y;
+const NUMBER = /\.?[0-9][\w.]*/y;
+
+// Reads the run of text pattern matches at code[start]; returns the index after it, or -1
+function readSticky(pattern, code, start) {
+    pattern.lastIndex = start;
+    return pattern.test(code) ? pattern.lastIndex : -1;
+}
+
+// webpack runtime properties: .u names JS chunks, .miniCssF CSS chunks, .p is the public path
+const CHUNK_FUNCTIONS = { u: 'js', miniCssF: 'css' };
+
+function isIdentChar(char) {
+    return /[\w$\u0080-\uffff]/.test(char);
+}
+
+// Reads a quoted string starting at code[start]; returns the index after the closing quote
+function readString(code, start) {
+    const quote = code[start];
+    let i = start + 1;
+    while (i < code.length && code[i] !== quote) {
+        if (code[i] === '\\') i++;
+        if (code[i] === '\n') break;
+        i++;
+    }
+    return Math.min(i + 1, code.length);
+}
+
+// Reads a template literal starting at code[start], nested ${} included;
+// returns the index after it and whether it had substitutions
+function readTemplate(code, start) {
+    let i = start + 1;
+    let substitutions = false;
+    while (i < code.length && code[i] !== '`') {
+        if (code[i] === '\\') {
+            i += 2;
+            continue;
+        }
+        if (code[i] === '$' && code[i + 1] === '{') {
+            substitutions = true;
+            i = readSubstitution(code, i + 2);
+            continue;
+        }
+        i++;
+    }
+    return { end: Math.min(i + 1, code.length), substitutions };
+}
+
+function readSubstitution(code, start) {
+    let depth = 1;
+    let i = start;
+    while (i < code.length && depth > 0) {
+        const char = code[i];
+        if (char === '"' || char === "'") {
+            i = readString(code, i);
+        } else if (char === '`') {
+            i = readTemplate(code, i).end;
+        } else {
+            if (char === '{') depth++;
+            if (char === '}') depth--;
+            i++;
+        }
+    }
+    return i;
+}
+
+function readRegex(code, start) {
+    let i = start + 1;
+    let inClass = false;
+    while (i < code.length && code[i] !== '\n') {
+        const char = code[i];
+        if (char === '\\') {
+            i += 2;
+            continue;
+        }
+        if (char === '[') inClass = true;
+        if (char === ']') inClass = false;
+        if (char === '/' && !inClass) break;
+        i++;
+    }
+    i++;
+    while (i < code.length && isIdentChar(code[i])) i++;
+    return i;
+}
+
+function startsRegex(previous) {
+    if (!previous) return true;
+    if (previous.type === 'ident') return REGEX_KEYWORDS.includes(previous.value);
+    if (previous.type === 'punct') return ![')', ']'].includes(previous.value);
+    return false;
+}
+
+// Strings keep their raw text between the quotes as value; a template
+// without substitutions counts as a string
+function tokenize(code) {
+    const tokens = [];
+    let previous = null;
+    let i = 0;
+
+    const push = token => {
+        tokens.push(token);
+        if (token.type !== 'comment') previous = token;
+    };
+
+    while (i < code.length) {
+        const char = code[i];
+        const start = i;
+
+        const blank = readSticky(WHITESPACE, code, i);
+        if (blank !== -1) {
+            i = blank;
+            continue;
+        }
+
+        if (char === '/' && code[i + 1] === '/') {
+            const end = code.indexOf('\n', i);
+            i = end === -1 ? code.length : end;
+            push({ type: 'comment', value: code.slice(start, i), start, end: i });
+            continue;
+        }
+        if (char === '/' && code[i + 1] === '*') {
+            const end = code.indexOf('*/', i + 2);
+            i = end === -1 ? code.length : end + 2;
+            push({ type: 'comment', value: code.slice(start, i), start, end: i });
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            i = readString(code, i);
+            push({ type: 'string', quote: char, value: code.slice(start + 1, i - 1), start, end: i });
+            continue;
+        }
+        if (char === '`') {
+            const { end, substitutions } = readTemplate(code, i);
+            i = end;
+            push(substitutions
+                ? { type: 'template', start, end }
+                : { type: 'string', quote: '`', value: code.slice(start + 1, end - 1), start, end });
+            continue;
+        }
+
+        if (char === '/' && startsRegex(previous)) {
+            i = readRegex(code, i);
+            push({ type: 'regex', start, end: i });
+            continue;
+        }
+
+        const identEnd = readSticky(IDENTIFIER, code, i);
+        if (identEnd !== -1) {
+            i = identEnd;
+            push({ type: 'ident', value: code.slice(start, i), start, end: i });
+            continue;
+        }
+        const numberEnd = readSticky(NUMBER, code, i);
+        if (numberEnd !== -1) {
+            i = numberEnd;
+            push({ type: 'number', value: code.slice(start, i), start, end: i });
+            continue;
+        }
+
+        const punctuator = (/[.=!*<>&|?+\-/]/.test(char) && PUNCTUATORS.find(candidate => code.startsWith(candidate, i))) || char;
+        i += punctuator.length;
+        push({ type: 'punct', value: punctuator, start, end: i });
+    }
+
+    return tokens;
+}
+
+// A string usable as a URL: no escapes to decode
+function isLiteral(token) {
+    return token && token.type === 'string' && token.value.length > 0 && !token.value.includes('\\');
+}
+
+function is(token, value) {
+    return Boolean(token) && (token.type === 'punct' || token.type === 'ident') && token.value === value;
+}
+
+// { key: "value", ... } at tokens[start]; returns [Map, index after it] or null
+function readObjectLiteral(tokens, start) {
+    const map = new Map();
+    let i = start + 1;
+    while (!is(tokens[i], '}')) {
+        const key = tokens[i];
+        if (!key || !['ident', 'number', 'string'].includes(key.type) || !is(tokens[i + 1], ':')) return null;
+        const value = tokens[i + 2];
+        if (!value || value.type !== 'string') return null;
+        map.set(key.value, value.value);
+        i += 3;
+        if (is(tokens[i], ',')) i++;
+        else if (!is(tokens[i], '}')) return null;
+    }
+    return [map, i + 1];
+}
+
+// The body of a webpack chunk file name function: string literals, the chunk
+// id, { id: "name" }[id] lookups, || fallbacks and the public path (X.p), all
+// joined with +. Returns the file name of every chunk id the lookups list.
+function readChunkNames(tokens, start, param) {
+    const maps = [];
+    let i = start;
+
+    // { ... }[id] or ({ ... })[id]
+    function lookup() {
+        const wrapped = is(tokens[i], '(');
+        const object = readObjectLiteral(tokens, wrapped ? i + 1 : i);
+        if (!object) return null;
+        const [map] = object;
+        let next = object[1];
+        if (wrapped) {
+            if (!is(tokens[next], ')')) return null;
+            next++;
+        }
+        if (!is(tokens[next], '[') || !is(tokens[next + 1], param) || !is(tokens[next + 2], ']')) return null;
+        i = next + 3;
+        maps.push(map);
+        return id => map.get(id);
+    }
+
+    function primary() {
+        const token = tokens[i];
+        if (!token) return null;
+        if (token.type === 'string' && !token.value.includes('\\')) {
+            i++;
+            return () => token.value;
+        }
+        if (is(token, param)) {
+            i++;
+            return id => id;
+        }
+        // The public path is prepended by the runtime itself
+        if (token.type === 'ident' && is(tokens[i + 1], '.') && is(tokens[i + 2], 'p')) {
+            i += 3;
+            return () => '';
+        }
+        // ({ ... }[id] || id) is a group, not a wrapped object
+        if (is(token, '{') || (is(token, '(') && is(tokens[i + 1], '{'))) {
+            const found = lookup();
+            if (found || is(token, '{')) return found;
+        }
+        if (is(token, '(')) {
+            i++;
+            const inner = either();
+            if (!inner || !is(tokens[i], ')')) return null;
+            i++;
+            return inner;
+        }
+        return null;
+    }
+
+    // Parts joined with +; undefined when a lookup misses
+    function sum() {
+        let left = primary();
+        while (left && is(tokens[i], '+')) {
+            i++;
+            const right = primary();
+            if (!right) return null;
+            const head = left;
+            left = id => {
+                const a = head(id);
+                const b = right(id);
+                return a === undefined || b === undefined ? undefined : a + b;
+            };
+        }
+        return left;
+    }
+
+    function either() {
+        const left = sum();
+        if (!left || !is(tokens[i], '||')) return left;
+        i++;
+        const right = sum();
+        return right ? id => left(id) || right(id) : null;
+    }
+
+    const name = either();
+    const end = tokens[i];
+    if (!name || (end && ![',', ';', '}', ')'].includes(end.value))) return [];
+
+    const ids = new Set(maps.flatMap(map => Array.from(map.keys())));
+    return Array.from(new Set(Array.from(ids).map(name).filter(value => typeof value === 'string')));
+}
+
+// The parameter and first body token of e=>, (e)=> or function(e){return
+function readFunctionHead(tokens, start) {
+    const [a, b, c, d, e, f] = tokens.slice(start, start + 6);
+    if (a && a.type === 'ident' && is(b, '=>')) return { param: a.value, body: start + 2 };
+    if (is(a, '(') && b && b.type === 'ident' && is(c, ')') && is(d, '=>')) return { param: b.value, body: start + 4 };
+    if (is(a, 'function') && is(b, '(') && c && c.type === 'ident' && is(d, ')') && is(e, '{') && is(f, 'return')) {
+        return { param: c.value, body: start + 6 };
+    }
+    return null;
+}
+
+// Finds the dependencies of a script. Each is { url, kind, start, end } with
+// start/end around the URL text; kind is import, dynamic-import, url or
+// sourcemap. chunks are { name, type } file names relative to the public
+// path; publicPath is the runtime's public path string, shaped like a
+// dependency, if it sets one.
+function extractJsDependencies(code) {
+    const tokens = tokenize(code);
+    const syntax = tokens.filter(token => token.type !== 'comment');
+    const dependencies = [];
+    const chunks = [];
+    let publicPath = null;
+    let inDeclaration = false;
+
+    const add = (token, kind) => dependencies.push({ url: token.value, kind, start: token.start + 1, end: token.end - 1 });
+
+    for (let i = 0; i < syntax.length; i++) {
+        const token = syntax[i];
+        const previous = syntax[i - 1];
+        const next = syntax[i + 1];
+        const isProperty = is(previous, '.') || is(previous, '?.');
+
+        if (is(token, ';')) {
+            inDeclaration = false;
+            continue;
+        }
+        if (token.type !== 'ident') continue;
+
+        if (isProperty) {
+            if (CHUNK_FUNCTIONS[token.value] && is(next, '=')) {
+                const head = readFunctionHead(syntax, i + 2);
+                if (head) {
+                    const type = CHUNK_FUNCTIONS[token.value];
+                    readChunkNames(syntax, head.body, head.param)
+                        .filter(name => name.split('?')[0].endsWith(`.${type}`))
+                        .forEach(name => chunks.push({ name, type }));
+                }
+            } else if (token.value === 'p' && is(next, '=') && syntax[i + 2] && syntax[i + 2].type === 'string') {
+                publicPath = { url: syntax[i + 2].value, kind: 'public-path', start: syntax[i + 2].start + 1, end: syntax[i + 2].end - 1 };
+            }
+            continue;
+        }
+
+        if (token.value === 'import') {
+            if (is(next, '(')) {
+                if (isLiteral(syntax[i + 2]) && (is(syntax[i + 3], ')') || is(syntax[i + 3], ','))) {
+                    add(syntax[i + 2], 'dynamic-import');
+                }
+            } else if (isLiteral(next)) {
+                add(next, 'import');
+            } else if (!is(next, '.')) {
+                inDeclaration = true;
+            }
+        } else if (token.value === 'export') {
+            inDeclaration = true;
+        } else if (token.value === 'from' && inDeclaration && isLiteral(next)) {
+            add(next, 'import');
+            inDeclaration = false;
+        } else if (token.value === 'new' && is(next, 'URL') && is(syntax[i + 2], '(') && isLiteral(syntax[i + 3]) &&
+            is(syntax[i + 4], ',') && is(syntax[i + 5], 'import') && is(syntax[i + 6], '.') && is(syntax[i + 7], 'meta')) {
+            add(syntax[i + 3], 'url');
+        } else if (token.value === 'return' && syntax[i + 1] && syntax[i + 1].type === 'ident' &&
+            is(syntax[i + 2], '.') && is(syntax[i + 3], 'p') && is(syntax[i + 4], '+')) {
+            // webpack 4: function(e){return o.p+...+".js"}
+            const param = is(previous, '{') && is(syntax[i - 2], ')') && syntax[i - 3] && syntax[i - 3].type === 'ident'
+                ? syntax[i - 3].value : null;
+            if (param) {
+                readChunkNames(syntax, i + 1, param)
+                    .filter(name => name.split('?')[0].endsWith('.js'))
+                    .forEach(name => chunks.push({ name, type: 'js' }));
+            }
+        }
+    }
+
+    // Only the last sourceMappingURL counts
+    const mapComment = tokens.filter(token => token.type === 'comment')
+        .map(token => ({ token, match: /^\/[/*][#@]\s*sourceMappingURL=(\S+?)(?:\s|\*\/|$)/.exec(token.value) }))
+        .filter(({ match }) => match)
+        .pop();
+    if (mapComment) {
+        const start = mapComment.token.start + mapComment.match[0].indexOf('=') + 1;
+        dependencies.push({ url: mapComment.match[1], kind: 'sourcemap', start, end: start + mapComment.match[1].length });
+    }
+
+    // A .p assignment only means a public path next to a chunk function
+    return { dependencies, chunks, publicPath: chunks.length > 0 ? publicPath : null };
+}
+
+// Relative module specifiers need ./ or ../, anything else would be a bare name
+function toSpecifier(reference) {
+    return /^(\.{0,2}\/|[a-z][a-z0-9+.-]*:)/i.test(reference) ? reference : `./${reference}`;
+}
+
+// Replaces every dependency (the public path included) for which
+// replacer(dependency, index) returns a string, escaped for the quotes around it.
+function rewriteJs(code, dependencies, replacer) {
+    let result = '';
+    let last = 0;
+
+    [...dependencies].map((dependency, index) => ({ dependency, index }))
+        .sort((a, b) => a.dependency.start - b.dependency.start)
+        .forEach(({ dependency, index }) => {
+            const replacement = replacer(dependency, index);
+            if (typeof replacement !== 'string') return;
+
+            const quote = code[dependency.start - 1];
+            const escaped = ['"', "'", '`'].includes(quote)
+                ? replacement.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`)
+                : replacement;
+            result += code.slice(last, dependency.start) + escaped;
+            last = dependency.end;
+        });
+
+    return result + code.slice(last);
+}
+
+module.exports = { extractJsDependencies, rewriteJs, toSpecifier, tokenize };
@@ -0,0 +1,8 @@
+// Progress goes to logger.log and problems to logger.error. logger is anything
+// shaped like console (console itself by default); quiet keeps only the problems.
+function createLogger({ logger = null, quiet = false } = {}) {
+    const target = logger || console;
+    return quiet ? { log() {}, error: (...args) => target.error(...args) } : target;
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,81 @@
+const cheerio = require('cheerio');
+const { URL } = require('url');
+
+// Inputs a browser leaves out of a submitted form
+const UNSUBMITTED_TYPES = ['submit', 'button', 'image', 'reset', 'file'];
+
+// The form to submit: the one given by selector, else the one asking for a password
+function findForm($, selector) {
+    if (selector) return $(selector).first();
+    const passwordForm = $('input[type="password"]').first().closest('form');
+    return passwordForm.length > 0 ? passwordForm : $('form').first();
+}
+
+// What the form would submit untouched: hidden inputs such as CSRF tokens,
+// prefilled values, checked boxes and selected options
+function formValues($, form) {
+    const values = {};
+    form.find('input[name], select[name], textarea[name]').each((i, elem) => {
+        const $elem = $(elem);
+        const name = $elem.attr('name');
+        const type = ($elem.attr('type') || 'text').toLowerCase();
+
+        if (elem.tagName === 'select') {
+            const option = $elem.find('option[selected]').first().length > 0
+                ? $elem.find('option[selected]').first()
+                : $elem.find('option').first();
+            values[name] = option.attr('value') !== undefined ? option.attr('value') : option.text();
+        } else if (elem.tagName === 'textarea') {
+            values[name] = $elem.text();
+        } else if (UNSUBMITTED_TYPES.includes(type)) {
+            return;
+        } else if (['checkbox', 'radio'].includes(type)) {
+            if ($elem.attr('checked') !== undefined) values[name] = $elem.attr('value') || 'on';
+        } else {
+            values[name] = $elem.attr('value') || '';
+        }
+    });
+    return values;
+}
+
+// Runs once before the crawl so the cookie jar holds a session. login is either
+// a function receiving { http, jar, cheerio, headers } or a form description:
+// { url, fields, form?, action?, method? }. headers(url, referrer) gives the
+// browser headers for a page request.
+async function performLogin(login, { http, jar, headers, logger = console }) {
+    if (typeof login === 'function') {
+        await login({ http, jar, cheerio, headers });
+        return;
+    }
+
+    const page = await http.get(login.url, { headers: headers(login.url, null), responseType: 'text' });
+    const pageUrl = (page.request && page.request.res && page.request.res.responseUrl) || login.url;
+    const $ = cheerio.load(page.data);
+    const form = findForm($, login.form);
+    if (form.length === 0 && !login.action) {
+        throw new Error(`Login page ${login.url} has no ${login.form ? `form matching ${login.form}` : 'form'}`);
+    }
+
+    const values = { ...(form.length > 0 ? formValues($, form) : {}), ...login.fields };
+    const action = new URL(login.action || form.attr('action') || '', pageUrl).href;
+    const method = (login.method || form.attr('method') || 'post').toLowerCase();
+    const body = new URLSearchParams(values).toString();
+
+    const response = method === 'get'
+        ? await http.get(`${action.split('?')[0]}?${body}`, { headers: headers(action, pageUrl), responseType: 'text' })
+        : await http.post(action, body, {
+            headers: {
+                ...headers(action, pageUrl),
+                'content-type': 'application/x-www-form-urlencoded',
+                'origin': new URL(pageUrl).origin
+            },
+            responseType: 'text'
+        });
+
+    // Most sites answer a failed login with the form again
+    if (typeof response.data === 'string' && cheerio.load(response.data)('input[type="password"]').length > 0) {
+        logger.log(`⚠️ Still seeing a password field after logging in at ${action}, the login may have failed`);
+    }
+}
+
+module.exports = { performLogin };
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Types whose saved file is rewritten after download. Their original body is
+// kept in the cache so a 304 can still be re-processed for links and assets.
+const CACHED_TYPES = ['page', 'css', 'js', 'manifest', 'browserconfig'];
+
+function hashContent(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+class MirrorManifest {
+    constructor(outputDir, stateDir, { logger = console } = {}) {
+        this.outputDir = outputDir;
+        this.logger = logger;
+        this.filePath = path.join(stateDir, 'manifest.json');
+        this.cacheDir = path.join(stateDir, 'cache');
+        this.previous = new Map();
+        this.entries = new Map();
+        // URLs that answered 404 or 410 this run, and ones that failed otherwise
+        this.gone = new Set();
+        this.failed = new Set();
+    }
+
+    async load() {
+        try {
+            const manifest = await fs.readJson(this.filePath);
+            this.previous = new Map(Object.entries(manifest.entries || {}));
+            this.logger.log(`📒 Loaded manifest with ${this.previous.size} entries from previous run`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Error reading manifest:', error.message);
+            }
+            this.previous = new Map();
+        }
+    }
+
+    async save() {
+        await fs.outputJson(this.filePath, {
+            generatedAt: new Date().toISOString(),
+            entries: Object.fromEntries(this.entries)
+        }, { spaces: 2 });
+    }
+
+    getPrevious(url) {
+        return this.previous.get(url) || null;
+    }
+
+    // Validators are only sent when whatever a 304 relies on is still on disk
+    conditionalHeaders(url) {
+        const previous = this.getPrevious(url);
+        if (!previous || !previous.file) return {};
+        if (!fs.existsSync(path.join(this.outputDir, previous.file))) return {};
+        if (CACHED_TYPES.includes(previous.type) && !fs.existsSync(this.getCachePath(previous.hash))) return {};
+
+        const headers = {};
+        if (previous.etag) headers['If-None-Match'] = previous.etag;
+        if (previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+        return headers;
+    }
+
+    getCachePath(hash) {
+        return path.join(this.cacheDir, hash);
+    }
+
+    async readCached(url) {
+        const previous = this.getPrevious(url);
+        if (!previous) return null;
+        try {
+            return await fs.readFile(this.getCachePath(previous.hash));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Streamed files pass their hash and size instead of the data
+    async record(url, { type, filePath, response, data, hash, size }) {
+        if (data !== undefined) {
+            data = Buffer.isBuffer(data) ? data : Buffer.from(data);
+            hash = hashContent(data);
+            size = data.length;
+        }
+        const previous = this.getPrevious(url);
+
+        let change = 'added';
+        if (previous) {
+            change = previous.hash === hash ? 'unchanged' : 'changed';
+        }
+
+        if (CACHED_TYPES.includes(type)) {
+            await fs.outputFile(this.getCachePath(hash), data);
+        }
+
+        this.entries.set(url, {
+            url,
+            type,
+            file: path.relative(this.outputDir, filePath).split(path.sep).join('/'),
+            contentType: response.headers['content-type'] || null,
+            etag: response.headers['etag'] || null,
+            lastModified: response.headers['last-modified'] || null,
+            hash,
+            size,
+            change,
+            fetchedAt: new Date().toISOString(),
+            // Redirects followed on the way, for replay
+            ...(response.redirects && response.redirects.length > 0 ? { redirects: response.redirects } : {})
+        });
+        return change;
+    }
+
+    // A stub written where a page would have been, pointing at the URL it was saved under
+    recordRedirect(url, { filePath, location, redirects = [] }) {
+        const previous = this.getPrevious(url);
+        let change = 'added';
+        if (previous) {
+            change = previous.location === location ? 'unchanged' : 'changed';
+        }
+
+        this.entries.set(url, {
+            url,
+            type: 'redirect',
+            file: path.relative(this.outputDir, filePath).split(path.sep).join('/'),
+            location,
+            change,
+            fetchedAt: new Date().toISOString(),
+            ...(redirects.length > 0 ? { redirects } : {})
+        });
+    }
+
+    // A 304 keeps the previous entry, validators included
+    recordNotModified(url) {
+        const previous = this.getPrevious(url);
+        this.entries.set(url, {
+            ...previous,
+            change: 'unchanged',
+            fetchedAt: new Date().toISOString()
+        });
+    }
+
+    recordGone(url) {
+        this.gone.add(url);
+    }
+
+    recordFailed(url) {
+        this.failed.add(url);
+    }
+
+    // Keeps the entries of the previous run that this run did not record, so a
+    // failed request or a page cut off by maxPages never costs the mirror its
+    // copy. Left out, and pruned, are URLs that answered 404 or 410 and pages
+    // isDropped(url) says left the crawl on purpose. An asset no page loaded
+    // this time is only kept while some page of the previous run is, as that
+    // page may still use it.
+    carryForward(isDropped = () => false) {
+        const isPage = entry => ['page', 'redirect'].includes(entry.type);
+        const missing = Array.from(this.previous).filter(([url]) => !this.entries.has(url) && !this.gone.has(url));
+        const pages = missing.filter(([url, entry]) => isPage(entry) && (this.failed.has(url) || !isDropped(url)));
+        const assets = missing.filter(([url, entry]) => !isPage(entry) && (this.failed.has(url) || pages.length > 0));
+
+        for (const [url, entry] of [...pages, ...assets]) {
+            this.entries.set(url, { ...entry, change: 'unchanged' });
+        }
+        return pages.length + assets.length;
+    }
+
+    getChanges() {
+        const changes = { added: [], changed: [], removed: [], unchanged: 0 };
+
+        for (const entry of this.entries.values()) {
+            if (entry.change === 'unchanged') {
+                changes.unchanged++;
+            } else {
+                changes[entry.change].push({ url: entry.url, file: entry.file });
+            }
+        }
+        for (const [url, entry] of this.previous) {
+            if (!this.entries.has(url)) {
+                changes.removed.push({ url, file: entry.file });
+            }
+        }
+        return changes;
+    }
+
+    // Deletes files of entries that disappeared since the previous run, unless
+    // another current entry still points at the same file. Run carryForward()
+    // first, or everything this run did not reach is deleted.
+    async pruneRemoved() {
+        const currentFiles = new Set(Array.from(this.entries.values()).map(entry => entry.file));
+        const currentHashes = new Set(Array.from(this.entries.values()).map(entry => entry.hash));
+
+        for (const [url, entry] of this.previous) {
+            if (this.entries.has(url)) continue;
+            if (entry.file && !currentFiles.has(entry.file)) {
+                this.logger.log(`🗑️ Removing file no longer on the site: ${entry.file}`);
+                await fs.remove(path.join(this.outputDir, entry.file));
+            }
+        }
+
+        if (await fs.pathExists(this.cacheDir)) {
+            for (const hash of await fs.readdir(this.cacheDir)) {
+                if (!currentHashes.has(hash)) {
+                    await fs.remove(this.getCachePath(hash));
+                }
+            }
+        }
+    }
+}
+
+module.exports = { MirrorManifest, hashContent };
@@ -0,0 +1,55 @@
+// Where pages keep image URLs for link previews, pinned tiles and installed
+// apps. Shared by the metadata plugin, which downloads them, and verify.
+
+// Open Graph, Twitter card and Windows tile images in <meta content>
+const META_IMAGES = [
+    'meta[property="og:image"]', 'meta[property="og:image:url"]', 'meta[property="og:image:secure_url"]',
+    'meta[name="twitter:image"]', 'meta[name="twitter:image:src"]', 'meta[property="twitter:image"]',
+    'meta[name="msapplication-TileImage"]', 'meta[name^="msapplication-"][name$="logo"]'
+].join(', ');
+
+// JSON-LD properties whose string values are images; so are the url and
+// contentUrl of an ImageObject
+const JSON_LD_IMAGE_KEYS = ['image', 'logo', 'thumbnailUrl', 'photo'];
+
+// The strings in a JSON-LD value that are image URLs, as { holder, key } to
+// read or rewrite
+function jsonLdImages(value, isImage = false, found = []) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+            if (typeof item === 'string') {
+                if (isImage) found.push({ holder: value, key: index });
+            } else {
+                jsonLdImages(item, isImage, found);
+            }
+        });
+    } else if (value && typeof value === 'object') {
+        const isImageObject = isImage || value['@type'] === 'ImageObject';
+        for (const [key, item] of Object.entries(value)) {
+            const holdsImage = JSON_LD_IMAGE_KEYS.includes(key) || (isImageObject && ['url', 'contentUrl'].includes(key));
+            if (typeof item === 'string') {
+                if (holdsImage) found.push({ holder: value, key });
+            } else {
+                jsonLdImages(item, holdsImage, found);
+            }
+        }
+    }
+    return found;
+}
+
+// The icons, screenshots and shortcut icons of a web app manifest: the
+// objects whose src names an image
+function webManifestImages(manifest) {
+    if (!manifest || typeof manifest !== 'object') return [];
+    const list = value => Array.isArray(value) ? value : [];
+    return [
+        ...list(manifest.icons),
+        ...list(manifest.screenshots),
+        ...list(manifest.shortcuts).flatMap(shortcut => list(shortcut && shortcut.icons))
+    ].filter(image => image && typeof image.src === 'string' && !image.src.startsWith('data:'));
+}
+
+// Tile images in a browserconfig.xml loaded with cheerio in XML mode
+const BROWSER_CONFIG_IMAGES = 'tile [src]';
+
+module.exports = { META_IMAGES, BROWSER_CONFIG_IMAGES, jsonLdImages, webManifestImages };
@@ -0,0 +1,106 @@
+const path = require('path');
+const { ConfigError } = require('./config');
+
+// Hooks a plugin may implement, in the order a page goes through them:
+//   beforeRequest(request, context)   change the request (extraHeaders, profile, referrer) before it is sent
+//   afterResponse(response, context)  look at or change a response before it is used
+//   onHtml($, context)                extract from and transform a page's cheerio document
+//   onCss(css, context)               transform a stylesheet, returns the new CSS (or nothing to keep it)
+//   onJs(code, context)               transform a script file or inline script, returns the new code
+//   onAsset(asset, context)           an asset { url, type, filePath } was saved
+//   beforeWrite(content, context)     last change to a page, stylesheet or script before it is written, returns the new content
+//   onComplete(stats, context)        the crawl finished
+// context always holds { url, downloader }; see README.md for the rest.
+const HOOKS = ['beforeRequest', 'afterResponse', 'onHtml', 'onCss', 'onJs', 'onAsset', 'beforeWrite', 'onComplete'];
+
+function checkPlugin(plugin, source) {
+    if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || !plugin.name) {
+        return [`plugins: ${source} must be an object with a name`];
+    }
+    return Object.keys(plugin)
+        .filter(key => key !== 'name' && typeof plugin[key] === 'function' && !HOOKS.includes(key))
+        .map(key => `plugins: ${plugin.name}: unknown hook "${key}" (available: ${HOOKS.join(', ')})`);
+}
+
+// A plugin is an object, a module path or package name, or [module, options].
+// Modules export a plugin or a factory (options) => plugin. Paths and package
+// names are both looked up from baseDir, not from this file.
+function loadPlugin(spec, baseDir = process.cwd()) {
+    const [moduleName, options] = Array.isArray(spec) ? spec : [spec, {}];
+    if (typeof moduleName !== 'string') return moduleName;
+
+    let exported;
+    try {
+        const resolved = moduleName.startsWith('.') || path.isAbsolute(moduleName)
+            ? path.resolve(baseDir, moduleName)
+            : require.resolve(moduleName, { paths: [baseDir] });
+        exported = require(resolved);
+    } catch (error) {
+        throw new ConfigError([`plugins: could not load "${moduleName}": ${error.message}`]);
+    }
+    return typeof exported === 'function' ? exported(options || {}) : exported;
+}
+
+// Runs hooks in plugin order. Built-in plugins come first; a custom plugin
+// with the name of a built-in one takes its place.
+class PluginManager {
+    constructor(builtins = [], specs = [], baseDir = process.cwd()) {
+        const plugins = [...builtins];
+        const problems = [];
+
+        for (const spec of specs) {
+            const plugin = loadPlugin(spec, baseDir);
+            const pluginProblems = checkPlugin(plugin, JSON.stringify(spec));
+            if (pluginProblems.length > 0) {
+                problems.push(...pluginProblems);
+                continue;
+            }
+            const index = plugins.findIndex(existing => existing.name === plugin.name);
+            if (index === -1) {
+                plugins.push(plugin);
+            } else {
+                plugins[index] = plugin;
+            }
+        }
+        if (problems.length > 0) {
+            throw new ConfigError(problems);
+        }
+        this.plugins = plugins;
+    }
+
+    names() {
+        return this.plugins.map(plugin => plugin.name);
+    }
+
+    // Calls hook on every plugin that has it, one after the other
+    async run(hook, subject, context) {
+        for (const plugin of this.plugins) {
+            if (typeof plugin[hook] !== 'function') continue;
+            await this.call(plugin, hook, subject, context);
+        }
+    }
+
+    // Like run(), but each plugin gets what the previous one returned; a plugin
+    // returning undefined leaves the value as it is
+    async transform(hook, value, context) {
+        for (const plugin of this.plugins) {
+            if (typeof plugin[hook] !== 'function') continue;
+            const result = await this.call(plugin, hook, value, context);
+            if (result !== undefined) {
+                value = result;
+            }
+        }
+        return value;
+    }
+
+    async call(plugin, hook, subject, context) {
+        try {
+            return await plugin[hook](subject, context);
+        } catch (error) {
+            error.message = `plugin ${plugin.name} (${hook}): ${error.message}`;
+            throw error;
+        }
+    }
+}
+
+module.exports = { HOOKS, PluginManager, loadPlugin };
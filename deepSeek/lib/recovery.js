@@ -0,0 +1,153 @@
+const { requestHeaders } = require('./browser-profiles');
+const { ConfigError } = require('./config');
+
+// Statuses a server uses to turn away clients it does not trust or that go too fast
+const RECOVERABLE_STATUSES = [403, 429, 503];
+
+// Tried in order, one step per failed attempt; a step that does not apply is
+// skipped. Once all are used up the URL is reported as blocked.
+const DEFAULT_STRATEGIES = ['retry-after', 'backoff', 'backoff', 'escalate-profile', 'referer'];
+
+const DEFAULTS = {
+    strategies: DEFAULT_STRATEGIES,
+    escalationProfile: null,
+    maxRetryAfter: 60000,
+    backoffBase: 1000,
+    backoffMax: 30000,
+    logger: console
+};
+
+// What bypass403.js sent on top of the mobile Chrome headers
+const ESCALATION_HEADERS = {
+    'cache-control': 'no-cache',
+    'pragma': 'no-cache',
+    'dnt': '1',
+    'sec-gpc': '1'
+};
+
+class BlockedError extends Error {
+    constructor(url, status, tried) {
+        super(`Blocked with status ${status} after trying: ${tried.length > 0 ? tried.join(', ') : 'nothing'}`);
+        this.name = 'BlockedError';
+        this.url = url;
+        this.status = status;
+        this.tried = tried;
+    }
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    if (/^\s*\d+\s*$/.test(value)) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Exponential, with half of it random so parallel requests do not retry in step
+function backoffDelay(attempt, base = DEFAULTS.backoffBase, max = DEFAULTS.backoffMax) {
+    const ceiling = Math.min(max, base * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// A request is { url, destination, profile, referrer, embeddingPage, extraHeaders };
+// strategies change it between attempts
+function headersFor(request) {
+    return {
+        ...requestHeaders(request.profile, request.destination, { url: request.url, referrer: request.referrer }),
+        ...request.extraHeaders
+    };
+}
+
+// A strategy is { name, apply(request, error, settings) }; apply may wait and
+// change the request, and returns false when it has nothing to offer
+const STRATEGIES = {
+    'retry-after': {
+        name: 'retry-after',
+        async apply(request, error, settings) {
+            const delay = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+            if (delay === null || delay > settings.maxRetryAfter) return false;
+            await wait(delay);
+        }
+    },
+    backoff: {
+        name: 'backoff',
+        async apply(request, error, settings) {
+            request.backoffs = (request.backoffs || 0) + 1;
+            await wait(backoffDelay(request.backoffs, settings.backoffBase, settings.backoffMax));
+        }
+    },
+    'escalate-profile': {
+        name: 'escalate-profile',
+        apply(request, error, settings) {
+            if (settings.escalationProfile) {
+                request.profile = settings.escalationProfile;
+            }
+            request.extraHeaders = { ...request.extraHeaders, ...ESCALATION_HEADERS };
+        }
+    },
+    referer: {
+        name: 'referer',
+        apply(request) {
+            if (!request.embeddingPage || request.referrer === request.embeddingPage) return false;
+            request.referrer = request.embeddingPage;
+        }
+    }
+};
+
+// Names refer to the built-in strategies, objects are custom ones
+function resolveStrategies(strategies) {
+    const unknown = strategies.filter(strategy => typeof strategy === 'string' && !STRATEGIES[strategy]);
+    if (unknown.length > 0) {
+        throw new ConfigError(unknown.map(name =>
+            `recovery: unknown strategy "${name}" (available: ${Object.keys(STRATEGIES).join(', ')})`
+        ));
+    }
+    return strategies.map(strategy => typeof strategy === 'string' ? STRATEGIES[strategy] : strategy);
+}
+
+// Sends the request and walks the strategy chain on 403, 429 and 503. Other
+// errors are thrown as they are; running out of strategies throws BlockedError.
+async function withRecovery(send, request, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const strategies = resolveStrategies(settings.strategies);
+    const tried = [];
+    let next = 0;
+
+    while (true) {
+        try {
+            return await send(request);
+        } catch (error) {
+            const status = error.response && error.response.status;
+            if (!RECOVERABLE_STATUSES.includes(status)) throw error;
+
+            let applied = false;
+            while (!applied && next < strategies.length) {
+                const strategy = strategies[next++];
+                applied = (await strategy.apply(request, error, settings)) !== false;
+                if (applied) {
+                    tried.push(strategy.name);
+                    settings.logger.log(`🛡️ ${status} for ${request.url}, retrying after ${strategy.name}`);
+                }
+            }
+            if (!applied) {
+                throw new BlockedError(request.url, status, tried);
+            }
+        }
+    }
+}
+
+module.exports = {
+    BlockedError,
+    RECOVERABLE_STATUSES,
+    DEFAULT_STRATEGIES,
+    STRATEGIES,
+    resolveStrategies,
+    withRecovery,
+    headersFor,
+    parseRetryAfter,
+    backoffDelay
+};
@@ -0,0 +1,132 @@
+// Optional rendering backend: loads pages in headless Chrome so markup built by
+// scripts and resources requested lazily end up in the mirror. puppeteer is an
+// optional peer dependency and is only required when a renderer is created.
+
+// Requests worth mirroring; XHR/fetch responses are data, not files
+const CAPTURED_TYPES = ['stylesheet', 'script', 'image', 'font', 'media'];
+const MAX_SCROLL_STEPS = 50;
+
+function loadPuppeteer() {
+    try {
+        return require('puppeteer');
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND') {
+            throw new Error('Browser rendering needs puppeteer, install it with: npm install puppeteer');
+        }
+        throw error;
+    }
+}
+
+class BrowserRenderer {
+    constructor(options = {}) {
+        this.options = {
+            timeout: 30000,
+            userAgent: null,
+            waitForSelector: null,
+            cookieJar: null,
+            // Extra Chrome flags, e.g. ['--no-sandbox'] where the sandbox cannot run
+            browserArgs: [],
+            puppeteer: null,
+            ...options
+        };
+        // Fails right away when puppeteer is missing, not on the first page
+        this.puppeteer = this.options.puppeteer || loadPuppeteer();
+        this.browser = null;
+    }
+
+    // Pages rendered in parallel share one browser
+    launch() {
+        if (!this.browser) {
+            this.browser = this.puppeteer.launch({ headless: true, args: this.options.browserArgs });
+            this.browser.catch(() => {
+                this.browser = null;
+            });
+        }
+        return this.browser;
+    }
+
+    // Resolves to an axios-like response with the rendered HTML as data and
+    // every stylesheet, script, image, font and media file the page requested
+    async render(url) {
+        const browser = await this.launch();
+        const page = await browser.newPage();
+        const resources = new Map();
+        const { timeout } = this.options;
+
+        try {
+            if (this.options.userAgent) {
+                await page.setUserAgent(this.options.userAgent);
+            }
+            // The browser starts without the crawl's session
+            const cookies = this.options.cookieJar ? this.options.cookieJar.getCookies(url) : [];
+            if (cookies.length > 0) {
+                await page.setCookie(...cookies.map(cookie => ({
+                    name: cookie.name,
+                    value: cookie.value,
+                    domain: cookie.hostOnly ? cookie.domain : `.${cookie.domain}`,
+                    path: cookie.path,
+                    secure: cookie.secure,
+                    httpOnly: cookie.httpOnly,
+                    ...(cookie.expires ? { expires: cookie.expires / 1000 } : {})
+                })));
+            }
+            page.on('requestfinished', request => {
+                const response = request.response();
+                if (CAPTURED_TYPES.includes(request.resourceType()) && response && response.ok()) {
+                    resources.set(request.url(), request.resourceType());
+                }
+            });
+
+            const response = await page.goto(url, { waitUntil: 'networkidle0', timeout });
+            if (response && !response.ok()) {
+                const error = new Error(`Request failed with status code ${response.status()}`);
+                error.response = { status: response.status(), headers: response.headers() };
+                throw error;
+            }
+            if (this.options.waitForSelector) {
+                await page.waitForSelector(this.options.waitForSelector, { timeout });
+            }
+
+            await this.triggerLazyLoading(page);
+
+            return {
+                status: response ? response.status() : 200,
+                headers: response ? response.headers() : {},
+                data: await page.content(),
+                resources: Array.from(resources, ([resourceUrl, type]) => ({ url: resourceUrl, type }))
+            };
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+
+    // Scrolls through the page so lazy loaders fire, then waits for their requests
+    async triggerLazyLoading(page) {
+        await page.evaluate(steps => new Promise(resolve => {
+            let step = 0;
+            const timer = setInterval(() => {
+                window.scrollBy(0, window.innerHeight);
+                step++;
+                if (step >= steps || window.scrollY + window.innerHeight >= document.body.scrollHeight) {
+                    clearInterval(timer);
+                    window.scrollTo(0, 0);
+                    resolve();
+                }
+            }, 100);
+        }), MAX_SCROLL_STEPS);
+
+        // A page that keeps polling never goes idle; what has loaded by then is kept
+        await page.waitForNetworkIdle({ idleTime: 500, timeout: this.options.timeout }).catch(() => {});
+    }
+
+    async close() {
+        if (!this.browser) return;
+        const browser = await this.browser.catch(() => null);
+        this.browser = null;
+        if (browser) {
+            await browser.close();
+        }
+    }
+}
+
+module.exports = { BrowserRenderer, CAPTURED_TYPES };
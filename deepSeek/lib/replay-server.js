@@ -0,0 +1,254 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { getContentType, resolveRequestPath } = require('./static-server');
+const { createLogger } = require('./logger');
+
+// Saved pages and stylesheets are rewritten copies in UTF-8, whatever the site sent
+const REWRITTEN_TYPES = {
+    page: 'text/html; charset=utf-8',
+    css: 'text/css; charset=utf-8'
+};
+
+// Headers that belong to one connection and are not passed on by the proxy
+const HOP_BY_HOP = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'proxy-connection'];
+
+function withoutFragment(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+}
+
+// Where a manifest file is served from: about/index.html -> /about/
+function localPath(file) {
+    return `/${file}`.replace(/(^|\/)index\.html$/, '$1');
+}
+
+// Index of the crawl manifest: original URL -> { entry } or { redirect },
+// mirror file -> entry
+class ReplayIndex {
+    constructor(manifest) {
+        this.urls = new Map();
+        this.files = new Map();
+        const entries = Object.values(manifest.entries || {});
+
+        // URLs that answered with a redirect replay it
+        for (const entry of entries) {
+            if (entry.file && !this.files.has(entry.file)) {
+                this.files.set(entry.file, entry);
+            }
+            for (const hop of entry.redirects || []) {
+                this.urls.set(withoutFragment(hop.url), { redirect: hop });
+            }
+        }
+        // Saved pages belong to their own URL and to where their redirects
+        // ended; stubs fill the gaps, e.g. a page that named a canonical URL
+        const ordered = [
+            ...entries.filter(entry => entry.type !== 'redirect'),
+            ...entries.filter(entry => entry.type === 'redirect')
+        ];
+        for (const entry of ordered) {
+            const hops = entry.redirects || [];
+            const urls = [entry.url];
+            if (hops.length > 0 && entry.type !== 'redirect') {
+                urls.push(hops[hops.length - 1].location);
+            }
+            for (const url of urls.map(withoutFragment)) {
+                if (!this.urls.has(url)) {
+                    this.urls.set(url, { entry });
+                }
+            }
+        }
+
+        this.origin = this.guessOrigin(entries);
+    }
+
+    // The origin most pages came from
+    guessOrigin(entries) {
+        const counts = new Map();
+        for (const entry of entries.filter(entry => entry.type === 'page')) {
+            const origin = new URL(entry.url).origin;
+            counts.set(origin, (counts.get(origin) || 0) + 1);
+        }
+        const [origin] = Array.from(counts).sort((a, b) => b[1] - a[1])[0] || [null];
+        return origin;
+    }
+
+    lookup(url) {
+        return this.urls.get(withoutFragment(url)) || null;
+    }
+
+    // The same URL with a trailing slash added or removed, then without its query
+    rewrite(url) {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        const candidates = [];
+        const toggle = target => {
+            const copy = new URL(target);
+            copy.pathname = copy.pathname.endsWith('/') ? copy.pathname.slice(0, -1) || '/' : `${copy.pathname}/`;
+            return copy.href;
+        };
+        candidates.push(toggle(parsed.href));
+        if (parsed.search) {
+            parsed.search = '';
+            candidates.push(parsed.href, toggle(parsed.href));
+        }
+        for (const candidate of candidates) {
+            const found = this.lookup(candidate);
+            if (found) return { url: candidate, ...found };
+        }
+        return null;
+    }
+
+    // Where a client should go for url: its mirror file, or the URL itself
+    locationFor(url) {
+        const found = this.lookup(url);
+        if (found && found.entry && found.entry.file) {
+            return localPath(found.entry.file);
+        }
+        const parsed = new URL(url);
+        return parsed.origin === this.origin ? `${parsed.pathname}${parsed.search}` : url;
+    }
+}
+
+function bannerHtml(entry) {
+    const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    const taken = entry.fetchedAt ? ` taken ${escape(entry.fetchedAt.slice(0, 10))}` : '';
+    return `<div id="deepsik-snapshot-banner" style="position:sticky;top:0;z-index:2147483647;padding:6px 12px;` +
+        `background:#fff3cd;color:#664d03;border-bottom:1px solid #ffda6a;font:14px/1.4 sans-serif">` +
+        `Offline snapshot of <a href="${escape(entry.url)}" style="color:inherit">${escape(entry.url)}</a>${taken}</div>`;
+}
+
+function injectBanner(html, entry) {
+    const banner = bannerHtml(entry);
+    return /<body[^>]*>/i.test(html) ? html.replace(/<body[^>]*>/i, match => match + banner) : banner + html;
+}
+
+// Serves a mirror with the semantics of the site it came from, using
+// .crawler/manifest.json: original URLs (query strings and paths the mirror
+// stored elsewhere included) map to their files, recorded Content-Types and
+// redirects are replayed. URLs the crawl never saw are answered with a
+// rewrite to a close match, passed on to the live site with proxyMisses, or a 404.
+// options.logger and options.quiet work as for SiteDownloader.
+function createReplayServer(rootDir, options = {}) {
+    const { origin = null, proxyMisses = false, banner = false } = options;
+    const logger = createLogger(options);
+    const manifestPath = path.join(rootDir, '.crawler', 'manifest.json');
+    const manifest = fs.existsSync(manifestPath) ? fs.readJsonSync(manifestPath) : { entries: {} };
+    const index = new ReplayIndex(manifest);
+    if (origin) {
+        index.origin = origin;
+    }
+    if (!index.origin) {
+        logger.log(`⚠️ No crawl manifest in ${rootDir}, serving plain files`);
+    }
+
+    async function sendFile(res, filePath, entry) {
+        const contentType = entry
+            ? REWRITTEN_TYPES[entry.type] || entry.contentType || getContentType(filePath)
+            : getContentType(filePath);
+
+        if (banner && entry && contentType.startsWith('text/html')) {
+            const html = injectBanner(await fs.readFile(filePath, 'utf8'), entry);
+            res.writeHead(200, { 'Content-Type': contentType });
+            res.end(html);
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': contentType });
+        await pipeline(fs.createReadStream(filePath), res);
+    }
+
+    function redirect(res, status, location) {
+        res.writeHead(status, { 'Location': location });
+        res.end();
+    }
+
+    async function proxy(req, res, url) {
+        try {
+            const upstream = await axios.get(url, {
+                responseType: 'stream',
+                decompress: false,
+                maxRedirects: 0,
+                validateStatus: () => true,
+                headers: { 'user-agent': req.headers['user-agent'] || '', 'accept': req.headers['accept'] || '*/*' }
+            });
+            const headers = Object.fromEntries(Object.entries(upstream.headers)
+                .filter(([name]) => !HOP_BY_HOP.includes(name.toLowerCase())));
+            if (headers.location) {
+                headers.location = index.locationFor(new URL(headers.location, url).href);
+            }
+            res.writeHead(upstream.status, headers);
+            // A connection the live site drops mid-body fails this response only
+            await pipeline(upstream.data, res);
+        } catch (error) {
+            logger.log(`❌ 502 ${url}: ${error.message}`);
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            res.writeHead(502, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(`Could not reach ${url}`);
+        }
+    }
+
+    async function handle(req, res) {
+        // '//host/path' must not leave the origin
+        const url = index.origin ? new URL(req.url.replace(/^\/+/, '/'), index.origin).href : null;
+        const found = url && index.lookup(url);
+
+        // The file at a redirecting URL is only a stub standing in for the redirect
+        if (found && found.redirect) {
+            logger.log(`↪️ ${found.redirect.status} ${req.url} -> ${found.redirect.location}`);
+            redirect(res, found.redirect.status, index.locationFor(found.redirect.location));
+            return;
+        }
+
+        // Links inside the mirror point at its files; with a query string the
+        // original URL comes first
+        const filePath = resolveRequestPath(rootDir, req.url);
+        if ((!req.url.includes('?') || !found) && filePath && await fs.pathExists(filePath)) {
+            const file = path.relative(rootDir, filePath).split(path.sep).join('/');
+            await sendFile(res, filePath, index.files.get(file));
+            return;
+        }
+        if (found && found.entry && found.entry.file && await fs.pathExists(path.join(rootDir, found.entry.file))) {
+            await sendFile(res, path.join(rootDir, found.entry.file), found.entry);
+            return;
+        }
+
+        const rewritten = url && index.rewrite(url);
+        if (rewritten) {
+            const location = index.locationFor(rewritten.url);
+            logger.log(`🔀 Not in the mirror: ${req.url}, rewritten to ${location}`);
+            redirect(res, 302, location);
+            return;
+        }
+
+        if (proxyMisses && url) {
+            logger.log(`🌍 Not in the mirror: ${req.url}, fetching ${url}`);
+            await proxy(req, res, url);
+            return;
+        }
+
+        logger.log(`❌ 404 ${req.url}${url ? ` (${url} is not in the mirror)` : ''}`);
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+    }
+
+    // A file that cannot be read fails its own request, not the server
+    return http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            logger.log(`❌ 500 ${req.url}: ${error.message}`);
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Internal server error');
+        });
+    });
+}
+
+module.exports = { createReplayServer, ReplayIndex, injectBanner };
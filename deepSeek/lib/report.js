@@ -0,0 +1,85 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Every run keeps its statistics with the crawl state of the mirror
+function statisticsDir(outputDir) {
+    return path.join(outputDir, '.crawler', 'statistics');
+}
+
+async function findLatestStatistics(dir = process.cwd()) {
+    if (!(await fs.pathExists(dir))) return null;
+    const files = (await fs.readdir(dir))
+        .filter(file => file.startsWith('download-statistics-') && file.endsWith('.json'))
+        .sort();
+    return files.length > 0 ? path.join(dir, files[files.length - 1]) : null;
+}
+
+function formatByType(byType) {
+    const entries = Object.entries(byType || {});
+    if (entries.length === 0) return '    (none)';
+    return entries.map(([type, count]) => `    ${type}: ${count}`).join('\n');
+}
+
+function formatReport(stats) {
+    const { metadata, summary, detailed, urls } = stats;
+    const lines = [
+        '=== Download Report ===',
+        `Site:         ${metadata.baseUrl}`,
+        `Started:      ${metadata.startTime}`,
+        `Finished:     ${metadata.endTime}`,
+        `Duration:     ${(metadata.duration / 1000).toFixed(1)} s`,
+        `Downloads:    ${summary.successful} successful, ${summary.failed} failed (${summary.successRate})`,
+        `Pages:        ${detailed.successful.pages} saved, ${detailed.failed.pages} failed`,
+        `Assets:       ${detailed.successful.assets} saved, ${detailed.failed.assets} failed`,
+        '  Saved by type:',
+        formatByType(detailed.successful.byType),
+        '  Failed by type:',
+        formatByType(detailed.failed.byType)
+    ];
+
+    if (stats.changes) {
+        lines.push(
+            `Changes:      ${stats.changes.added.length} added, ${stats.changes.changed.length} changed, ` +
+            `${stats.changes.removed.length} removed, ${stats.changes.unchanged} unchanged`
+        );
+    }
+
+    if (urls.skipped && urls.skipped.length > 0) {
+        lines.push(`Skipped:      ${urls.skipped.length} URLs`);
+        for (const skipped of urls.skipped) {
+            lines.push(`  [${skipped.type}] ${skipped.url} - ${skipped.reason}`);
+        }
+    }
+
+    if (urls.blocked && urls.blocked.length > 0) {
+        lines.push(`Blocked:      ${urls.blocked.length} URLs`);
+        for (const blocked of urls.blocked) {
+            lines.push(`  [${blocked.type}] ${blocked.url} - ${blocked.reason}`);
+        }
+    }
+
+    if (urls.redirects && urls.redirects.length > 0) {
+        lines.push(`Moved:        ${urls.redirects.length} URLs`);
+        for (const redirect of urls.redirects) {
+            lines.push(`  ${redirect.url} -> ${redirect.location} (${redirect.reason})`);
+        }
+    }
+
+    if (urls.thirdParty && urls.thirdParty.length > 0) {
+        lines.push(`Third party:  ${urls.thirdParty.length} scripts, iframes and snippets`);
+        for (const entry of urls.thirdParty) {
+            lines.push(`  [${entry.element}] ${entry.action} ${entry.url} (${entry.rule}, ${entry.pages} pages)`);
+        }
+    }
+
+    if (urls.failed.length > 0) {
+        lines.push('Failed URLs:');
+        for (const failure of urls.failed) {
+            lines.push(`  [${failure.type}] ${failure.url} - ${failure.error}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = { statisticsDir, findLatestStatistics, formatReport };
@@ -0,0 +1,121 @@
+// robots.txt parsing and matching, following RFC 9309: the most specific
+// user-agent group applies, the longest matching rule wins and Allow wins a tie.
+
+function patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const source = body
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+class RobotsRules {
+    constructor(groups = [], sitemaps = []) {
+        this.groups = groups;
+        this.sitemaps = sitemaps;
+    }
+
+    static allowAll() {
+        return new RobotsRules();
+    }
+
+    static disallowAll() {
+        return new RobotsRules([{ agents: ['*'], rules: [{ allow: false, path: '/', regex: /^\// }], crawlDelay: null }]);
+    }
+
+    static parse(text) {
+        const groups = [];
+        const sitemaps = [];
+        let current = null;
+        let lastWasAgent = false;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) continue;
+
+            const field = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            if (field === 'user-agent') {
+                // Consecutive User-agent lines share one group
+                if (!lastWasAgent) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                continue;
+            }
+            lastWasAgent = false;
+
+            if (field === 'sitemap') {
+                if (value) sitemaps.push(value);
+            } else if (current && (field === 'allow' || field === 'disallow')) {
+                // An empty Disallow allows everything and adds no rule
+                if (value) {
+                    current.rules.push({ allow: field === 'allow', path: value, regex: patternToRegExp(value) });
+                }
+            } else if (current && field === 'crawl-delay') {
+                const delay = parseFloat(value);
+                if (!Number.isNaN(delay) && delay >= 0) {
+                    current.crawlDelay = delay;
+                }
+            }
+        }
+
+        return new RobotsRules(groups, sitemaps);
+    }
+
+    // Groups naming a token contained in the user agent beat the '*' group;
+    // among those the longest token is the most specific
+    getGroup(userAgent = '*') {
+        const agent = userAgent.toLowerCase();
+        let best = null;
+        let bestLength = -1;
+
+        for (const group of this.groups) {
+            for (const token of group.agents) {
+                if (token !== '*' && agent.includes(token) && token.length > bestLength) {
+                    best = group;
+                    bestLength = token.length;
+                }
+            }
+        }
+        if (best) return best;
+        return this.groups.find(group => group.agents.includes('*')) || null;
+    }
+
+    isAllowed(url, userAgent) {
+        const group = this.getGroup(userAgent);
+        if (!group) return true;
+
+        let target;
+        try {
+            const urlObj = new URL(url);
+            target = `${urlObj.pathname}${urlObj.search}`;
+        } catch (error) {
+            return true;
+        }
+        if (target === '/robots.txt') return true;
+
+        let match = null;
+        for (const rule of group.rules) {
+            if (!rule.regex.test(target)) continue;
+            if (!match || rule.path.length > match.path.length ||
+                (rule.path.length === match.path.length && rule.allow)) {
+                match = rule;
+            }
+        }
+        return match ? match.allow : true;
+    }
+
+    getCrawlDelay(userAgent) {
+        const group = this.getGroup(userAgent);
+        return group ? group.crawlDelay : null;
+    }
+}
+
+module.exports = { RobotsRules };
@@ -0,0 +1,115 @@
+const { URL } = require('url');
+
+// Work queue with a global concurrency limit, a per-host concurrency limit and
+// a minimum delay between two requests to the same host. Jobs are started in
+// FIFO order, skipping the ones whose host is currently saturated.
+class Scheduler {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 5;
+        this.perHostConcurrency = options.perHostConcurrency || this.concurrency;
+        this.delay = options.delay || 0;
+        this.queue = [];
+        this.active = 0;
+        this.activeByHost = new Map();
+        this.lastStartByHost = new Map();
+        this.hostDelays = new Map();
+        this.timer = null;
+        this.idleWaiters = [];
+    }
+
+    static hostOf(url) {
+        try {
+            return new URL(url).host;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    get size() {
+        return this.queue.length + this.active;
+    }
+
+    schedule(url, task) {
+        return this.acquire(url).then(release => Promise.resolve().then(task).finally(release));
+    }
+
+    // Waits for a slot like schedule() and resolves to the function that frees
+    // it, for work that goes on after a request returns, like reading its body
+    acquire(url) {
+        return new Promise(resolve => {
+            this.queue.push({ host: Scheduler.hostOf(url), resolve });
+            this.next();
+        });
+    }
+
+    setHostDelay(host, ms) {
+        this.hostDelays.set(host, ms);
+        this.next();
+    }
+
+    getHostDelay(host) {
+        return this.hostDelays.has(host) ? this.hostDelays.get(host) : this.delay;
+    }
+
+    onIdle() {
+        if (this.size === 0) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    next() {
+        let wait = Infinity;
+        let i = 0;
+
+        while (i < this.queue.length && this.active < this.concurrency) {
+            const job = this.queue[i];
+            if ((this.activeByHost.get(job.host) || 0) >= this.perHostConcurrency) {
+                i++;
+                continue;
+            }
+
+            const readyIn = (this.lastStartByHost.get(job.host) || 0) + this.getHostDelay(job.host) - Date.now();
+            if (readyIn > 0) {
+                wait = Math.min(wait, readyIn);
+                i++;
+                continue;
+            }
+
+            this.queue.splice(i, 1);
+            this.start(job);
+        }
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (wait !== Infinity) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.next();
+            }, wait);
+        }
+
+        if (this.size === 0) {
+            const waiters = this.idleWaiters;
+            this.idleWaiters = [];
+            waiters.forEach(resolve => resolve());
+        }
+    }
+
+    start(job) {
+        this.active++;
+        this.activeByHost.set(job.host, (this.activeByHost.get(job.host) || 0) + 1);
+        this.lastStartByHost.set(job.host, Date.now());
+
+        let released = false;
+        job.resolve(() => {
+            if (released) return;
+            released = true;
+            this.active--;
+            this.activeByHost.set(job.host, this.activeByHost.get(job.host) - 1);
+            this.next();
+        });
+    }
+}
+
+module.exports = { Scheduler };
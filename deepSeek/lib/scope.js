@@ -0,0 +1,134 @@
+const { URL } = require('url');
+
+// '/pattern/flags' is a regular expression, anything else is a glob where
+// '**' crosses path segments and '*' does not
+function toMatcher(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+
+    const regexMatch = /^\/(.+)\/([gimsuy]*)$/.exec(pattern);
+    if (regexMatch) {
+        return new RegExp(regexMatch[1], regexMatch[2]);
+    }
+
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            source += '.*';
+            i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function normalizePrefix(prefix) {
+    let normalized = prefix.startsWith('/') ? prefix : `/${prefix}`;
+    if (normalized.length > 1) {
+        normalized = normalized.replace(/\/+$/, '');
+    }
+    return normalized;
+}
+
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+class CrawlScope {
+    constructor(baseUrl, options = {}) {
+        this.base = new URL(baseUrl);
+        this.rootHost = this.base.hostname.replace(/^www\./, '');
+
+        const basePath = normalizePrefix(this.base.pathname);
+        const include = toList(options.include);
+        this.include = (include.length > 0 ? include : (basePath === '/' ? [] : [basePath])).map(normalizePrefix);
+        this.exclude = toList(options.exclude).map(normalizePrefix);
+        this.patterns = toList(options.patterns).map(toMatcher);
+        this.excludePatterns = toList(options.excludePatterns).map(toMatcher);
+        this.allowedSubdomains = toList(options.allowedSubdomains);
+        this.maxDepth = options.maxDepth !== undefined && options.maxDepth !== null ? options.maxDepth : Infinity;
+        this.maxPages = options.maxPages !== undefined && options.maxPages !== null ? options.maxPages : Infinity;
+        this.stripPrefix = options.stripPrefix ? normalizePrefix(options.stripPrefix) : '';
+    }
+
+    getStartUrls() {
+        if (this.include.length === 0) {
+            return [this.base.href.replace(/\/$/, '')];
+        }
+        return this.include.map(prefix => `${this.base.origin}${prefix === '/' ? '' : prefix}`);
+    }
+
+    isAllowedHost(hostname) {
+        if (hostname === this.base.hostname) return true;
+        if (this.allowedSubdomains.includes('*')) {
+            return hostname === this.rootHost || hostname.endsWith(`.${this.rootHost}`);
+        }
+        return this.allowedSubdomains.some(subdomain => hostname === `${subdomain}.${this.rootHost}`);
+    }
+
+    matchesPrefix(pathname, prefix) {
+        return prefix === '/' || pathname === prefix || pathname.startsWith(`${prefix}/`);
+    }
+
+    matchesPath(pathname) {
+        if (this.exclude.some(prefix => this.matchesPrefix(pathname, prefix))) return false;
+        if (this.excludePatterns.some(pattern => pattern.test(pathname))) return false;
+
+        if (this.include.length === 0 && this.patterns.length === 0) return true;
+        return this.include.some(prefix => this.matchesPrefix(pathname, prefix)) ||
+               this.patterns.some(pattern => pattern.test(pathname));
+    }
+
+    includes(url, depth = 0) {
+        try {
+            const urlObj = new URL(url);
+            if (!['http:', 'https:'].includes(urlObj.protocol)) return false;
+            if (depth > this.maxDepth) return false;
+            return this.isAllowedHost(urlObj.hostname) && this.matchesPath(urlObj.pathname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    allowsMorePages(pageCount) {
+        return pageCount < this.maxPages;
+    }
+
+    // Path a page is saved under: the strip prefix removed, and pages from an
+    // allowed subdomain kept in a folder named after their host
+    toOutputPathname(urlObj) {
+        let pathname = urlObj.pathname;
+
+        if (this.stripPrefix && this.matchesPrefix(pathname, this.stripPrefix)) {
+            pathname = pathname.substring(this.stripPrefix.length);
+        }
+        if (!pathname.startsWith('/')) {
+            pathname = '/' + pathname;
+        }
+        if (urlObj.hostname !== this.base.hostname) {
+            pathname = `/${urlObj.hostname}${pathname}`;
+        }
+        return pathname;
+    }
+
+    toJSON() {
+        return {
+            include: this.include,
+            exclude: this.exclude,
+            patterns: this.patterns.map(String),
+            excludePatterns: this.excludePatterns.map(String),
+            allowedSubdomains: this.allowedSubdomains,
+            maxDepth: this.maxDepth === Infinity ? null : this.maxDepth,
+            maxPages: this.maxPages === Infinity ? null : this.maxPages,
+            stripPrefix: this.stripPrefix || null
+        };
+    }
+}
+
+module.exports = { CrawlScope, toMatcher };
@@ -0,0 +1,303 @@
+const cheerio = require('cheerio');
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+const { extractCssDependencies, rewriteCss, isExternalReference } = require('./css');
+const { extractJsDependencies, rewriteJs } = require('./js');
+const { getContentType, resolveRequestPath } = require('./static-server');
+const { META_IMAGES, jsonLdImages } = require('./metadata');
+const { MIRROR_ORIGIN, toMirrorUrl } = require('./verify');
+const { LAZY_ATTRIBUTES } = require('./builtin-plugins');
+
+// Files larger than this stay on the live site instead of being embedded
+const DEFAULT_MAX_INLINE_SIZE = 1024 * 1024;
+
+// <script type> values that hold JavaScript
+const JS_TYPES = ['text/javascript', 'application/javascript', 'module'];
+
+// Attributes whose files are embedded as data URIs
+const EMBEDDED_ATTRIBUTES = [
+    ['img[src], source[src], track[src], video[src], audio[src], input[src], embed[src]', 'src'],
+    ['img[srcset], source[srcset]', 'srcset'],
+    ['video[poster]', 'poster'],
+    ['object[data]', 'data'],
+    ['link[rel~="icon"], link[rel~="apple-touch-icon"], link[rel~="mask-icon"]', 'href'],
+    ['use[href], image[href]', 'href'],
+    ['use[xlink\\:href], image[xlink\\:href]', 'xlink:href'],
+    // Lazy-load attributes, as the crawler's images plugin reads them
+    ...LAZY_ATTRIBUTES
+];
+
+// Attributes that lead to other pages, which only exist on the live site
+const PAGE_ATTRIBUTES = [
+    ['a[href], area[href]', 'href'],
+    ['iframe[src]', 'src'],
+    ['form[action]', 'action']
+];
+
+// Hints and installed-app metadata that have nothing to point at in a single file
+const DROPPED = [
+    'link[rel~="preload"]', 'link[rel~="prefetch"]', 'link[rel~="modulepreload"]',
+    'link[rel~="manifest"]', 'meta[name="msapplication-config"]'
+].join(', ');
+
+// about/index.html -> about.html, blog/post.html -> blog-post.html
+function exportName(file) {
+    const name = file.replace(/(^|\/)index\.html$/, '').replace(/\.html?$/i, '').split('/').filter(Boolean).join('-');
+    return `${name || 'index'}.html`;
+}
+
+function toDataUri(data, file) {
+    return `data:${getContentType(file).replace(/\s+/g, '')};base64,${data.toString('base64')}`;
+}
+
+// Turns the saved pages of a mirror into self-contained HTML files: stylesheets
+// go into <style>, images, fonts and icons become data URIs, scripts are
+// inlined or dropped. Everything is read from the finished mirror, so the
+// references are the ones the crawl already resolved to local files. Files
+// over maxInlineSize and links to other pages point at the live site.
+class SingleFileExporter {
+    constructor(outputDir, options = {}) {
+        this.outputDir = outputDir;
+        this.basePath = (options.basePath || '').replace(/\/+$/, '');
+        this.maxInlineSize = options.maxInlineSize === undefined ? DEFAULT_MAX_INLINE_SIZE : options.maxInlineSize;
+        this.scripts = options.scripts || 'inline';
+        // Mirror file -> the URL it was downloaded from
+        this.liveUrls = new Map();
+        this.pages = [];
+        // Mirror file -> data URI, shared by every page
+        this.dataUris = new Map();
+    }
+
+    async load() {
+        let manifest;
+        try {
+            manifest = await fs.readJson(path.join(this.outputDir, '.crawler', 'manifest.json'));
+        } catch (error) {
+            manifest = { entries: {} };
+        }
+        // Stubs stand in for redirects, the saved files claim their own URL first
+        const entries = Object.values(manifest.entries || {}).filter(entry => entry.file);
+        for (const entry of [...entries.filter(entry => entry.type !== 'redirect'), ...entries.filter(entry => entry.type === 'redirect')]) {
+            if (!this.liveUrls.has(entry.file)) {
+                this.liveUrls.set(entry.file, entry.url);
+            }
+            if (entry.type === 'page') {
+                this.pages.push(entry.file);
+            }
+        }
+    }
+
+    // The mirror file a reference made from file points at, as { file, hash },
+    // or null for anything that is not in the mirror
+    async resolve(url, file) {
+        if (!url || !isExternalReference(url.trim())) return null;
+        let target;
+        try {
+            target = new URL(url.trim(), toMirrorUrl(file, this.basePath));
+        } catch (error) {
+            return null;
+        }
+        if (target.origin !== MIRROR_ORIGIN || !target.pathname.startsWith(`${this.basePath}/`)) return null;
+
+        const targetPath = resolveRequestPath(this.outputDir, target.pathname.slice(this.basePath.length));
+        if (!targetPath || !(await fs.pathExists(targetPath))) return null;
+        return { file: path.relative(this.outputDir, targetPath).split(path.sep).join('/'), hash: target.hash };
+    }
+
+    liveUrl(target) {
+        const url = this.liveUrls.get(target.file);
+        return url ? `${url.replace(/#.*$/, '')}${target.hash}` : null;
+    }
+
+    // Size of a mirror file, or null when it is gone or not a file
+    async fileSize(file) {
+        try {
+            const stats = await fs.stat(path.join(this.outputDir, file));
+            return stats.isFile() ? stats.size : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // A data URI for what url points at, its live URL when the file is too
+    // large, or null to leave the reference as it is
+    async embed(url, file, seen = new Set()) {
+        const target = await this.resolve(url, file);
+        if (!target) return null;
+        if (seen.has(target.file)) return this.liveUrl(target);
+
+        const size = await this.fileSize(target.file);
+        if (size === null) return null;
+        if (this.maxInlineSize > 0 && size > this.maxInlineSize) {
+            return this.liveUrl(target);
+        }
+        if (!this.dataUris.has(target.file)) {
+            this.dataUris.set(target.file, this.readDataUri(target.file, new Set([...seen, target.file])).catch(() => null));
+        }
+        const dataUri = await this.dataUris.get(target.file);
+        return dataUri && `${dataUri}${target.hash}`;
+    }
+
+    // Stylesheets and scripts have their own references embedded first
+    async readDataUri(file, seen) {
+        const filePath = path.join(this.outputDir, file);
+        if (/\.css$/i.test(file)) {
+            return toDataUri(Buffer.from(await this.inlineCss(await fs.readFile(filePath, 'utf8'), file, seen)), file);
+        }
+        if (/\.m?js$/i.test(file)) {
+            return toDataUri(Buffer.from(await this.inlineJs(await fs.readFile(filePath, 'utf8'), file, seen)), file);
+        }
+        return toDataUri(await fs.readFile(filePath), file);
+    }
+
+    // url(), @import and font sources of css, which was read from file
+    async inlineCss(css, file, seen = new Set()) {
+        const dependencies = extractCssDependencies(css);
+        const replacements = await Promise.all(dependencies.map(dependency => this.embed(dependency.url, file, seen)));
+        return rewriteCss(css, dependencies, (dependency, index) => replacements[index] || undefined);
+    }
+
+    // Modules a script imports by relative URL; bare names, source maps and
+    // webpack chunks are left alone
+    async inlineJs(code, file, seen = new Set()) {
+        const { dependencies } = extractJsDependencies(code);
+        const replacements = await Promise.all(dependencies.map(dependency =>
+            dependency.kind !== 'sourcemap' && /^\.{0,2}\//.test(dependency.url) ? this.embed(dependency.url, file, seen) : null));
+        return rewriteJs(code, dependencies, (dependency, index) => replacements[index] || undefined);
+    }
+
+    async exportPage(file) {
+        const $ = cheerio.load(await fs.readFile(path.join(this.outputDir, file), 'utf8'));
+        $(DROPPED).remove();
+
+        await Promise.all($('link[rel~="stylesheet"][href]').toArray().map(async elem => {
+            const link = $(elem);
+            const target = await this.resolve(link.attr('href'), file);
+            if (!target) return;
+            const size = await this.fileSize(target.file);
+            if (size === null) return;
+            if (this.maxInlineSize > 0 && size > this.maxInlineSize) {
+                link.attr('href', this.liveUrl(target) || link.attr('href'));
+                return;
+            }
+            const source = await fs.readFile(path.join(this.outputDir, target.file), 'utf8').catch(() => null);
+            if (source === null) return;
+            const css = await this.inlineCss(source, target.file, new Set([target.file]));
+            const style = $('<style></style>').text(css.replace(/<\/style/gi, '<\\/style'));
+            if (link.attr('media')) {
+                style.attr('media', link.attr('media'));
+            }
+            link.replaceWith(style);
+        }));
+        await Promise.all($('style').toArray().map(async elem => {
+            $(elem).text(await this.inlineCss($(elem).html(), file));
+        }));
+        await Promise.all($('[style]').toArray().map(async elem => {
+            $(elem).attr('style', await this.inlineCss($(elem).attr('style'), file));
+        }));
+
+        for (const [selector, attr] of EMBEDDED_ATTRIBUTES) {
+            await Promise.all($(selector).toArray().map(async elem => {
+                const value = $(elem).attr(attr);
+                if (!value) return;
+                if (/url\(|image-set\(/i.test(value)) {
+                    $(elem).attr(attr, await this.inlineCss(value, file));
+                } else if (attr.endsWith('srcset')) {
+                    const candidates = await Promise.all(value.split(',').map(async candidate => {
+                        const [url, ...descriptor] = candidate.trim().split(/\s+/);
+                        return [(await this.embed(url, file)) || url, ...descriptor].join(' ');
+                    }));
+                    $(elem).attr(attr, candidates.join(', '));
+                } else {
+                    $(elem).attr(attr, (await this.embed(value, file)) || value);
+                }
+            }));
+        }
+
+        // Link previews need URLs others can fetch
+        await Promise.all($(META_IMAGES).toArray().map(async elem => {
+            const target = await this.resolve($(elem).attr('content'), file);
+            const live = target && this.liveUrl(target);
+            if (live) $(elem).attr('content', live);
+        }));
+        await Promise.all($('script[type="application/ld+json"]').toArray().map(async elem => {
+            let data;
+            try {
+                data = JSON.parse($(elem).html());
+            } catch (error) {
+                return;
+            }
+            await Promise.all(jsonLdImages(data).map(async ({ holder, key }) => {
+                const target = await this.resolve(holder[key], file);
+                const live = target && this.liveUrl(target);
+                if (live) holder[key] = live;
+            }));
+            $(elem).text(JSON.stringify(data).replace(/<\//g, '<\\/'));
+        }));
+
+        for (const [selector, attr] of PAGE_ATTRIBUTES) {
+            await Promise.all($(selector).toArray().map(async elem => {
+                const target = await this.resolve($(elem).attr(attr), file);
+                const live = target && this.liveUrl(target);
+                if (live) $(elem).attr(attr, live);
+            }));
+        }
+
+        await this.applyScriptPolicy($, file);
+        return $.html();
+    }
+
+    async applyScriptPolicy($, file) {
+        const scripts = $('script').toArray()
+            .filter(elem => JS_TYPES.includes(($(elem).attr('type') || 'text/javascript').toLowerCase()));
+
+        // Without scripts the page shows what it has for browsers without them
+        if (this.scripts === 'drop') {
+            scripts.forEach(elem => $(elem).remove());
+            $('noscript').each((i, elem) => {
+                $(elem).replaceWith($(elem).text());
+            });
+            return;
+        }
+
+        await Promise.all(scripts.map(async elem => {
+            const script = $(elem);
+            if (!script.attr('src')) {
+                script.text(await this.inlineJs(script.html(), file));
+                return;
+            }
+            const target = await this.resolve(script.attr('src'), file);
+            if (!target) return;
+            const size = await this.fileSize(target.file);
+            if (size === null) return;
+            if (this.maxInlineSize > 0 && size > this.maxInlineSize) {
+                script.attr('src', this.liveUrl(target) || script.attr('src'));
+                return;
+            }
+            const source = await fs.readFile(path.join(this.outputDir, target.file), 'utf8').catch(() => null);
+            if (source === null) return;
+            const code = await this.inlineJs(source, target.file, new Set([target.file]));
+            script.removeAttr('src').removeAttr('integrity').text(code.replace(/<\/script/gi, '<\\/script'));
+        }));
+    }
+
+    // Writes every page of the mirror into targetDir, replacing what was there
+    async exportAll(targetDir) {
+        await this.load();
+        await fs.emptyDir(targetDir);
+
+        const names = new Set();
+        for (const file of this.pages) {
+            let name = exportName(file);
+            for (let i = 2; names.has(name); i++) {
+                name = exportName(file).replace(/\.html$/, `-${i}.html`);
+            }
+            names.add(name);
+            await fs.outputFile(path.join(targetDir, name), await this.exportPage(file));
+        }
+        return { dir: targetDir, pages: names.size };
+    }
+}
+
+module.exports = { SingleFileExporter, DEFAULT_MAX_INLINE_SIZE };
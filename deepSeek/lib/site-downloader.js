@@ -0,0 +1,1785 @@
+const axios = require('axios');
+const EventEmitter = require('events');
+const cheerio = require('cheerio');
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+const { CrawlJournal } = require('./crawl-journal');
+const { MirrorManifest } = require('./manifest');
+const { Scheduler } = require('./scheduler');
+const { CrawlScope } = require('./scope');
+const { RobotsRules } = require('./robots');
+const { collectSitemapUrls } = require('./sitemap');
+const { AssetStore } = require('./asset-store');
+const { extractCssDependencies, rewriteCss, isExternalReference } = require('./css');
+const { extractJsDependencies, rewriteJs, toSpecifier } = require('./js');
+const { BrowserRenderer } = require('./renderer');
+const { resolveProfile } = require('./browser-profiles');
+const { BlockedError, DEFAULT_STRATEGIES, resolveStrategies, withRecovery, headersFor, backoffDelay } = require('./recovery');
+const { CookieJar, attachCookieJar } = require('./cookie-jar');
+const { performLogin } = require('./login');
+const { SizeLimitError, PartialDownloads, streamToFile, parseIntegrity, continuesAt } = require('./streaming');
+const { PluginManager } = require('./plugins');
+const { createLogger } = require('./logger');
+const { BUILTIN_PLUGINS } = require('./builtin-plugins');
+const { WarcWriter, attachWarc } = require('./warc');
+const { createBundle } = require('./bundle');
+const { SingleFileExporter, DEFAULT_MAX_INLINE_SIZE } = require('./single-file');
+const { UrlNormalizer } = require('./url-normalizer');
+const { BROWSER_CONFIG_IMAGES, webManifestImages } = require('./metadata');
+const { ThirdPartyPolicy, STUB_SCRIPT } = require('./third-party');
+const { statisticsDir } = require('./report');
+
+// Where stubbed third-party scripts point, inside the assets folder
+const THIRD_PARTY_STUB = 'third-party-stub.js';
+
+// Browser resource type -> asset type used for stats and downloads
+const RENDERED_RESOURCE_TYPES = {
+    stylesheet: 'css',
+    script: 'js',
+    image: 'images',
+    font: 'fonts',
+    media: 'videos'
+};
+
+// Asset type -> request destination, which decides the browser-like headers sent
+const REQUEST_DESTINATIONS = {
+    page: 'document',
+    css: 'style',
+    js: 'script',
+    images: 'image',
+    icons: 'image',
+    fonts: 'font',
+    videos: 'video',
+    audio: 'audio'
+};
+
+// Emits progress events, each payload carrying its event name as type:
+//   page-start { url, depth }, page-done { url, filePath, notModified },
+//   asset-done { url, assetType, filePath, notModified }, retry { url, attempt, retries, error },
+//   error { url, kind: 'page' | 'asset', error }, stats { stats }
+class SiteDownloader extends EventEmitter {
+    constructor(baseUrl, outputDir = './public', config = {}) {
+        super();
+        this.baseUrl = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
+        this.outputDir = outputDir;
+        this.assetsDir = path.join(outputDir, 'assets');
+        this.fontsDir = path.join(this.assetsDir, 'fonts');
+        this.stateDir = path.join(outputDir, '.crawler');
+        this.logger = createLogger(config);
+        this.journal = new CrawlJournal(this.stateDir, { logger: this.logger });
+        this.manifest = new MirrorManifest(outputDir, this.stateDir, { logger: this.logger });
+        this.partials = new PartialDownloads(path.join(this.stateDir, 'partial'), { logger: this.logger });
+        this.visitedUrls = new Set();
+        this.frontier = new Set();
+        this.pageDepths = new Map();
+        // Page URL -> URL it is saved under, after a redirect or rel=canonical
+        this.pageLocations = new Map();
+        this.robots = new Map();
+        this.assetMap = new Map();
+        this.pendingDownloads = new Map();
+        // URL -> page or stylesheet it was found in, for the referer recovery step
+        this.embeddingPages = new Map();
+        // Subresource Integrity hashes pages give for their scripts and stylesheets
+        this.integrity = new Map();
+        this.pageTasks = new Set();
+        this.failedDownloads = new Set();
+        this.successfulDownloads = new Set();
+        
+        // Statistics
+        this.stats = {
+            startTime: null,
+            endTime: null,
+            totalPages: 0,
+            totalAssets: 0,
+            successful: {
+                pages: 0,
+                assets: 0,
+                byType: {}
+            },
+            failed: {
+                pages: 0,
+                assets: 0,
+                byType: {}
+            },
+            urls: {
+                successful: [],
+                failed: [],
+                skipped: [],
+                blocked: [],
+                redirects: [],
+                thirdParty: []
+            }
+        };
+        
+        // Configuration
+        this.config = {
+            maxRetries: 3,
+            timeout: 15000,
+            concurrency: 5,
+            perHostConcurrency: 4,
+            pageConcurrency: 2,
+            maxFileSize: 50 * 1024 * 1024,
+            profile: 'chrome-desktop',
+            profilesFile: null,
+            userAgent: null,
+            recovery: DEFAULT_STRATEGIES,
+            recoveryProfile: 'chrome-mobile',
+            delayBetweenRequests: 100,
+            skipLargeFiles: true,
+            downloadAllAssets: true,
+            scope: {},
+            normalize: {},
+            thirdParty: {},
+            respectRobots: true,
+            sitemaps: true,
+            preservePaths: false,
+            resume: false,
+            incremental: false,
+            renderer: 'static',
+            waitForSelector: null,
+            browserArgs: [],
+            linkStyle: 'root',
+            metaUrls: 'local',
+            basePath: '',
+            cookies: null,
+            headers: {},
+            login: null,
+            plugins: [],
+            pluginsDir: null,
+            archives: [],
+            singleFile: false,
+            maxInlineSize: DEFAULT_MAX_INLINE_SIZE,
+            singleFileScripts: 'inline',
+            handleInterrupt: true,
+            quiet: false,
+            logger: null,
+            ...config
+        };
+        
+        // Requests go through one scheduler, whole pages through another so a
+        // page waiting on its assets never holds a request slot
+        this.scheduler = new Scheduler({
+            concurrency: this.config.concurrency,
+            perHostConcurrency: this.config.perHostConcurrency,
+            delay: this.config.delayBetweenRequests
+        });
+        this.pageScheduler = new Scheduler({ concurrency: this.config.pageConcurrency });
+        this.scope = new CrawlScope(this.baseUrl, this.config.scope);
+        this.normalizer = new UrlNormalizer(this.config.normalize);
+        this.thirdParty = new ThirdPartyPolicy(this.baseUrl, this.config.thirdParty);
+        // '/docs/mirror/' -> '/docs/mirror', '/' -> ''
+        this.basePath = this.config.basePath ? `/${this.config.basePath.replace(/^\/+|\/+$/g, '')}`.replace(/^\/$/, '') : '';
+        this.assetStore = new AssetStore(this.assetsDir, { preservePaths: this.config.preservePaths, logger: this.logger });
+        this.fontStore = new AssetStore(this.fontsDir, { preservePaths: this.config.preservePaths, logger: this.logger });
+        // An explicit userAgent overrides the one of the profile
+        this.profile = resolveProfile(this.config.profile, this.config.profilesFile);
+        if (this.config.userAgent) {
+            this.profile = { ...this.profile, userAgent: this.config.userAgent };
+        }
+        this.userAgent = this.profile.userAgent;
+        this.recoveryOptions = {
+            strategies: resolveStrategies(this.config.recovery),
+            escalationProfile: resolveProfile(this.config.recoveryProfile, this.config.profilesFile),
+            logger: this.logger
+        };
+        
+        this.cookieJar = this.loadCookies();
+        this.plugins = new PluginManager(BUILTIN_PLUGINS, this.config.plugins, this.config.pluginsDir || process.cwd());
+        // Asset types saved as rewritten copies pointing at local files; the
+        // original is cached so incremental runs can rewrite it again
+        this.assetRewriters = {
+            css: (filePath, url) => this.processCssFile(filePath, url),
+            js: (filePath, url) => this.processJsFile(filePath, url),
+            manifest: (filePath, url) => this.processWebManifest(filePath, url),
+            browserconfig: (filePath, url) => this.processBrowserConfig(filePath, url)
+        };
+        
+        this.renderer = this.config.renderer === 'browser' ? new BrowserRenderer({
+            timeout: this.config.timeout,
+            userAgent: this.userAgent,
+            waitForSelector: this.config.waitForSelector,
+            browserArgs: this.config.browserArgs,
+            cookieJar: this.cookieJar
+        }) : null;
+        
+        // Headers come from the browser profile per request, see createRequest()
+        this.axios = axios.create({
+            timeout: this.config.timeout,
+            maxRedirects: 5,
+            validateStatus: function (status) {
+                return status >= 200 && status < 400;
+            }
+        });
+        attachCookieJar(this.axios, this.cookieJar);
+        
+        // Archives are written next to the output folder: public.warc.gz, public.zip
+        this.archiveBase = path.resolve(outputDir);
+        this.warc = this.config.archives.includes('warc') ? new WarcWriter(`${this.archiveBase}.warc.gz`) : null;
+        if (this.warc) {
+            attachWarc(this.axios, this.warc);
+        }
+    }
+
+    loadCookies() {
+        if (!this.config.cookies) return new CookieJar();
+        const jar = CookieJar.fromFile(this.config.cookies);
+        this.logger.log(`🍪 Loaded ${jar.size} cookies from ${this.config.cookies}`);
+        return jar;
+    }
+
+    async init() {
+        if (this.config.incremental) {
+            await this.manifest.load();
+            // New URLs must not take the names of files kept from the previous run
+            this.registerStoredAssets(this.manifest.previous.values());
+        }
+        
+        const resumed = this.config.resume && await this.restoreState();
+        this.resumed = resumed;
+        if (!resumed) {
+            // Incremental runs keep the previous mirror and only replace what changed
+            if (!this.config.incremental) {
+                await this.cleanPublicFolder();
+            }
+            this.stats.startTime = new Date().toISOString();
+        }
+        await fs.ensureDir(this.outputDir);
+        await fs.ensureDir(this.assetsDir);
+        await fs.ensureDir(this.fontsDir);
+        
+        this.logger.log(`${resumed ? 'Resuming' : 'Starting'} download from: ${this.baseUrl}`);
+        this.logger.log(`Scope: ${this.scope.getStartUrls().join(', ')}`);
+        this.logger.log(`Output directory: ${this.outputDir}`);
+    }
+
+    async cleanPublicFolder() {
+        try {
+            if (await fs.pathExists(this.outputDir)) {
+                this.logger.log(`🧹 Cleaning public folder: ${this.outputDir}`);
+                const items = await fs.readdir(this.outputDir);
+                
+                for (const item of items) {
+                    const itemPath = path.join(this.outputDir, item);
+                    
+                    // Statistics of earlier runs are kept for `report`
+                    if (itemPath === this.stateDir) {
+                        for (const stateItem of await fs.readdir(itemPath)) {
+                            if (path.join(itemPath, stateItem) !== statisticsDir(this.outputDir)) {
+                                await fs.remove(path.join(itemPath, stateItem));
+                            }
+                        }
+                        continue;
+                    }
+                    
+                    await fs.remove(itemPath);
+                }
+            }
+        } catch (error) {
+            this.logger.error('Error cleaning public folder:', error.message);
+        }
+    }
+
+    async restoreState() {
+        const state = await this.journal.load();
+        if (!state) {
+            this.logger.log('⚠️ No crawl journal found, starting a fresh download');
+            return false;
+        }
+        if (state.baseUrl !== this.baseUrl) {
+            this.logger.log(`⚠️ Crawl journal belongs to ${state.baseUrl}, starting a fresh download`);
+            return false;
+        }
+        
+        // Pages still in the frontier were interrupted mid-way and must be fetched again
+        this.frontier = new Set(state.frontier);
+        this.visitedUrls = new Set(state.visitedUrls.filter(url => !this.frontier.has(url)));
+        this.pageDepths = new Map(state.pageDepths || []);
+        this.pageLocations = new Map(state.pageLocations || []);
+        this.assetMap = new Map(state.assetMap);
+        this.failedDownloads = new Set(state.failedDownloads);
+        this.successfulDownloads = new Set(state.successfulDownloads);
+        // Lists added since the journal was written start out empty
+        this.stats = { ...this.stats, ...state.stats, urls: { ...this.stats.urls, ...state.stats.urls } };
+        this.manifest.entries = new Map(state.manifest || []);
+        // Cookies of the interrupted run are newer than the ones of the cookies file
+        (state.cookies || []).forEach(cookie => this.cookieJar.add(cookie));
+        this.registerStoredAssets();
+        
+        this.logger.log(`📒 Restored crawl journal: ${this.visitedUrls.size} pages, ${this.assetMap.size} assets, ${this.frontier.size} pages pending`);
+        return true;
+    }
+
+    // Lets the asset stores dedupe against files written before a resume or
+    // by the previous run of an incremental mirror
+    registerStoredAssets(entries = this.manifest.entries.values()) {
+        for (const entry of entries) {
+            const filePath = path.join(this.outputDir, entry.file);
+            const store = filePath.startsWith(this.fontsDir + path.sep) ? this.fontStore : this.assetStore;
+            if (entry.type !== 'page' && filePath.startsWith(store.baseDir + path.sep)) {
+                const filename = path.relative(store.baseDir, filePath).split(path.sep).join('/');
+                store.register(entry.url, filename, entry.type === 'css' ? null : entry.hash);
+            }
+        }
+    }
+
+    // Called after every page and asset; the journal throttles the writes
+    saveState() {
+        this.journal.schedule(() => ({
+            baseUrl: this.baseUrl,
+            frontier: Array.from(this.frontier),
+            visitedUrls: Array.from(this.visitedUrls),
+            pageDepths: Array.from(this.pageDepths.entries()),
+            pageLocations: Array.from(this.pageLocations.entries()),
+            assetMap: Array.from(this.assetMap.entries()),
+            failedDownloads: Array.from(this.failedDownloads),
+            successfulDownloads: Array.from(this.successfulDownloads),
+            manifest: Array.from(this.manifest.entries.entries()),
+            cookies: this.cookieJar.toJSON(),
+            stats: this.stats
+        }));
+    }
+
+    // Writes the journal now instead of at the next throttled save
+    flushState() {
+        this.saveState();
+        this.journal.flush();
+    }
+
+    async downloadSite() {
+        const onInterrupt = () => {
+            this.flushState();
+            this.logger.log('\n⏸️ Interrupted, crawl journal saved. Run again with --resume to continue.');
+            process.exit(130);
+        };
+        // Embedding applications handle their own signals
+        if (this.config.handleInterrupt) {
+            process.once('SIGINT', onInterrupt);
+        }
+        
+        try {
+            await this.init();
+            if (this.warc) {
+                // A resumed crawl adds to the archive of the interrupted one
+                this.warc.append = this.resumed;
+                await this.warc.open({ 'isPartOf': this.baseUrl });
+            }
+            await this.login();
+            
+            if (this.frontier.size > 0) {
+                for (const url of Array.from(this.frontier)) {
+                    this.enqueuePage(url, this.generateFilename(url, 'html'), this.pageDepths.get(url) || 0);
+                }
+            } else {
+                for (const startUrl of this.scope.getStartUrls()) {
+                    this.enqueuePage(startUrl, 'index.html', 0);
+                }
+                if (this.config.sitemaps) {
+                    await this.seedFromSitemaps();
+                }
+            }
+            await this.waitForPages();
+            
+            await this.retryFailedDownloads();
+            await this.waitForPages();
+            
+            if (this.config.incremental) {
+                const kept = this.manifest.carryForward(url => this.isDroppedFromMirror(url));
+                if (kept > 0) {
+                    this.logger.log(`📒 Keeping ${kept} files of the previous run this run did not fetch`);
+                }
+                await this.manifest.pruneRemoved();
+            }
+            await this.manifest.save();
+            
+            this.stats.endTime = new Date().toISOString();
+            const stats = await this.generateStatistics();
+            await this.journal.remove();
+            const archives = await this.writeArchives();
+            const singleFiles = await this.writeSingleFiles();
+            this.notify('stats', { stats });
+            await this.plugins.run('onComplete', stats, { url: this.baseUrl, downloader: this });
+            
+            this.logger.log('\n=== Download Summary ===');
+            this.logger.log(`Successfully downloaded: ${this.successfulDownloads.size} items`);
+            this.logger.log(`Failed downloads: ${this.failedDownloads.size}`);
+            this.logger.log(`Pages saved in: ${this.outputDir}`);
+            this.logger.log(`Assets saved in: ${this.assetsDir}`);
+            
+            return {
+                ok: this.failedDownloads.size === 0,
+                url: this.baseUrl,
+                outputDir: this.outputDir,
+                statisticsFile: this.statisticsFile,
+                summary: stats.summary,
+                failed: stats.urls.failed,
+                blocked: stats.urls.blocked,
+                archives,
+                singleFiles,
+                stats
+            };
+        } catch (error) {
+            // The journal lets --resume pick up from here
+            this.flushState();
+            throw error;
+        } finally {
+            process.removeListener('SIGINT', onInterrupt);
+            if (this.renderer) {
+                await this.renderer.close();
+            }
+            if (this.warc) {
+                await this.warc.close();
+            }
+        }
+    }
+
+    // The WARC was written during the crawl; bundles pack the finished mirror
+    async writeArchives() {
+        const archives = [];
+        if (this.warc) {
+            await this.warc.close();
+            this.logger.log(`🗄️ Requests and responses archived in: ${this.warc.filePath}`);
+            archives.push(this.warc.filePath);
+        }
+        for (const format of this.config.archives.filter(format => format !== 'warc')) {
+            const { filePath, files } = await createBundle(this.outputDir, `${this.archiveBase}.${format}`, format);
+            this.logger.log(`📦 Bundled ${files} files in: ${filePath}`);
+            archives.push(filePath);
+        }
+        return archives;
+    }
+
+    // One self-contained HTML file per page, next to the output folder: public.single-file/
+    async writeSingleFiles() {
+        if (!this.config.singleFile) return null;
+        const exporter = new SingleFileExporter(this.outputDir, {
+            basePath: this.basePath,
+            maxInlineSize: this.config.maxInlineSize,
+            scripts: this.config.singleFileScripts
+        });
+        const { dir, pages } = await exporter.exportAll(`${this.archiveBase}.single-file`);
+        this.logger.log(`📎 Exported ${pages} pages as single files in: ${dir}`);
+        return dir;
+    }
+
+    // A resumed run still has the session cookies of the interrupted one
+    async login() {
+        if (!this.config.login) return;
+        if (this.resumed && this.cookieJar.size > 0) {
+            this.logger.log('🔑 Reusing the session of the interrupted run');
+            return;
+        }
+        
+        this.logger.log('🔑 Logging in');
+        await performLogin(this.config.login, {
+            http: this.axios,
+            jar: this.cookieJar,
+            headers: (url, referrer) => headersFor({ ...this.createRequest(url, 'page'), referrer }),
+            logger: this.logger
+        });
+        this.logger.log(`🔑 Logged in, ${this.cookieJar.size} cookies in the jar`);
+    }
+
+    // 'error' is only emitted to listeners, without one EventEmitter would throw
+    notify(event, details) {
+        if (event === 'error' && this.listenerCount('error') === 0) return;
+        this.emit(event, { type: event, ...details });
+    }
+
+    // True when the page is in the mirror's queue, now or from before; false
+    // when the page limit refused it, so links to it must stay absolute
+    enqueuePage(url, filename, depth = 0) {
+        url = this.normalizer.normalize(url);
+        if (this.visitedUrls.has(url)) return true;
+        if (!this.scope.allowsMorePages(this.visitedUrls.size)) {
+            this.logger.log(`⚠️ Page limit of ${this.scope.maxPages} reached, skipping: ${url}`);
+            return false;
+        }
+        this.visitedUrls.add(url);
+        this.frontier.add(url);
+        this.pageDepths.set(url, depth);
+        
+        const task = this.pageScheduler.schedule(url, () => this.downloadPage(url, filename));
+        this.pageTasks.add(task);
+        task.finally(() => this.pageTasks.delete(task));
+        return true;
+    }
+
+    isQueuedPage(url) {
+        try {
+            return this.visitedUrls.has(this.normalizer.normalize(url));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Pages only linked from sitemap.xml are queued as start pages too
+    async seedFromSitemaps() {
+        const origin = new URL(this.baseUrl).origin;
+        const robots = await this.getRobots(this.baseUrl);
+        const sitemapUrls = robots.sitemaps.length > 0 ? robots.sitemaps : [`${origin}/sitemap.xml`];
+        
+        const pageUrls = await collectSitemapUrls(sitemapUrls, async sitemapUrl => {
+            const response = await this.scheduler.schedule(sitemapUrl, () =>
+                this.axios.get(sitemapUrl, { responseType: 'arraybuffer', headers: headersFor(this.createRequest(sitemapUrl, 'other')) })
+            );
+            return response.data;
+        }, { logger: this.logger });
+        
+        let queued = 0;
+        for (const pageUrl of pageUrls.map(url => this.normalizer.normalize(url))) {
+            if (this.visitedUrls.has(pageUrl) || !this.isTargetPage(pageUrl)) continue;
+            if (!(await this.isAllowedByRobots(pageUrl))) continue;
+            this.enqueuePage(pageUrl, this.generateFilename(pageUrl, 'html'), 0);
+            queued++;
+        }
+        this.logger.log(`🗺️ Queued ${queued} pages from sitemaps`);
+    }
+
+    getRobots(url) {
+        const origin = new URL(url).origin;
+        if (!this.robots.has(origin)) {
+            this.robots.set(origin, this.fetchRobots(origin));
+        }
+        return this.robots.get(origin);
+    }
+
+    async fetchRobots(origin) {
+        const robotsUrl = `${origin}/robots.txt`;
+        let rules;
+        
+        try {
+            const response = await this.scheduler.schedule(robotsUrl, () =>
+                this.axios.get(robotsUrl, {
+                    responseType: 'text',
+                    headers: headersFor(this.createRequest(robotsUrl, 'other')),
+                    validateStatus: () => true
+                })
+            );
+            
+            if (response.status >= 200 && response.status < 300) {
+                rules = RobotsRules.parse(String(response.data));
+            } else if (response.status >= 500) {
+                // A failing robots.txt means the site may not be crawled at all
+                this.logger.log(`⚠️ ${robotsUrl} returned ${response.status}, treating the site as disallowed (use --ignore-robots to override)`);
+                rules = RobotsRules.disallowAll();
+            } else {
+                rules = RobotsRules.allowAll();
+            }
+        } catch (error) {
+            this.logger.log(`⚠️ Could not fetch ${robotsUrl}: ${error.message}`);
+            rules = RobotsRules.allowAll();
+        }
+        
+        const crawlDelay = rules.getCrawlDelay(this.userAgent);
+        if (crawlDelay !== null && this.config.respectRobots) {
+            const delay = Math.max(crawlDelay * 1000, this.config.delayBetweenRequests);
+            this.scheduler.setHostDelay(new URL(origin).host, delay);
+            this.logger.log(`🤖 Crawl-delay for ${origin}: ${delay} ms`);
+        }
+        return rules;
+    }
+
+    async isAllowedByRobots(url) {
+        if (!this.config.respectRobots) return true;
+        
+        const rules = await this.getRobots(url);
+        if (rules.isAllowed(url, this.userAgent)) return true;
+        
+        if (!this.isSkipped(url)) {
+            this.logger.log(`🤖 Disallowed by robots.txt: ${url}`);
+            this.stats.urls.skipped.push({
+                url: url,
+                reason: 'robots.txt',
+                type: 'page'
+            });
+        }
+        return false;
+    }
+
+    isSkipped(url) {
+        return this.stats.urls.skipped.some(skipped => skipped.url === url);
+    }
+
+    async waitForPages() {
+        // Pages enqueue more pages while they run, so wait until none are left
+        while (this.pageTasks.size > 0) {
+            await Promise.all(Array.from(this.pageTasks));
+        }
+    }
+
+    async downloadPage(url, filename) {
+        this.visitedUrls.add(url);
+        this.frontier.add(url);
+        // The URL the page is saved under, see relocatePage()
+        let savedUrl = url;
+
+        try {
+            if (!(await this.isAllowedByRobots(url))) return;
+            
+            this.logger.log(`📄 Downloading page: ${url}`);
+            this.notify('page-start', { url, depth: this.pageDepths.get(url) || 0 });
+            
+            const response = this.renderer
+                ? await this.renderPage(url)
+                : await this.fetchResource(url, { responseType: 'text' }, 'page');
+            if (this.renderer && this.warc) {
+                // The browser fetched it; what is kept is the DOM it rendered
+                await this.warc.writeResource(url, 'text/html; charset=utf-8', response.data);
+            }
+            
+            let html = response.data;
+            if (response.notModified) {
+                const cached = await this.manifest.readCached(url);
+                if (!cached) {
+                    throw new Error('Page not modified but its cached copy is missing');
+                }
+                html = cached.toString('utf8');
+                this.logger.log(`♻️ Not modified: ${url}`);
+            }
+
+            // Relative references resolve against where the redirects ended
+            const documentUrl = this.getFinalUrl(url, response);
+            if (documentUrl !== url) {
+                if (!(await this.relocatePage(url, documentUrl, response.redirects))) return;
+                savedUrl = documentUrl;
+            }
+
+            const $ = cheerio.load(html);
+            const canonicalUrl = this.getCanonicalUrl($, documentUrl);
+            if (canonicalUrl !== documentUrl) {
+                if (!(await this.relocatePage(documentUrl, canonicalUrl, []))) return;
+                savedUrl = canonicalUrl;
+            }
+            
+            // Stylesheets, scripts, images, links and the rest are built-in plugins
+            await this.plugins.run('onHtml', $, { url: documentUrl, downloader: this });
+            if (response.resources) {
+                await this.processRenderedResources(response.resources, documentUrl);
+            }
+            
+            this.rewriteUrls($, documentUrl);
+            
+            const outputPath = this.getPageOutputPath(documentUrl, filename);
+            const content = await this.plugins.transform('beforeWrite', $.html(), {
+                url: documentUrl,
+                type: 'page',
+                filePath: outputPath,
+                downloader: this
+            });
+            
+            await fs.outputFile(outputPath, content);
+            
+            if (response.notModified) {
+                this.manifest.recordNotModified(url);
+            } else {
+                await this.manifest.record(savedUrl, { type: 'page', filePath: outputPath, response, data: html });
+            }
+            
+            this.successfulDownloads.add(url);
+            this.stats.urls.successful.push({
+                url: url,
+                localPath: outputPath,
+                type: 'page'
+            });
+            this.stats.successful.pages++;
+            
+            this.logger.log(`✅ Saved: ${outputPath}`);
+            this.notify('page-done', { url, filePath: outputPath, notModified: Boolean(response.notModified) });
+            
+        } catch (error) {
+            this.logger.error(`❌ Error downloading page ${url}:`, error.message);
+            this.notify('error', { url, kind: 'page', error });
+            this.failedDownloads.add(url);
+            this.stats.urls.failed.push({
+                url: url,
+                error: error.message,
+                type: 'page'
+            });
+            this.stats.failed.pages++;
+        } finally {
+            this.frontier.delete(url);
+            this.frontier.delete(savedUrl);
+            this.saveState();
+        }
+    }
+
+    // Where the redirects of a page response ended, if that is still a page of the crawl
+    getFinalUrl(url, response) {
+        const redirects = response.redirects || [];
+        if (redirects.length === 0) return url;
+        const finalUrl = this.normalizer.normalize(redirects[redirects.length - 1].location);
+        return this.isTargetPage(finalUrl) ? finalUrl : url;
+    }
+
+    getCanonicalUrl($, pageUrl) {
+        const href = $('link[rel~="canonical"]').attr('href');
+        if (!this.normalizer.rules.canonical || !href) return pageUrl;
+        try {
+            const canonicalUrl = this.normalizer.normalize(new URL(href, pageUrl).href);
+            return this.isTargetPage(canonicalUrl) ? canonicalUrl : pageUrl;
+        } catch (error) {
+            return pageUrl;
+        }
+    }
+
+    // The page fetched as from is saved under to's path, and from's path gets a
+    // stub pointing there. False when to is crawled on its own, which leaves
+    // from as nothing but a duplicate of it.
+    async relocatePage(from, to, redirects) {
+        const duplicate = this.visitedUrls.has(to);
+        this.visitedUrls.add(to);
+        if (!duplicate) {
+            this.frontier.add(to);
+        }
+        this.pageLocations.set(from, to);
+        if (!this.pageDepths.has(to)) {
+            this.pageDepths.set(to, this.pageDepths.get(from) || 0);
+        }
+
+        this.stats.urls.redirects.push({
+            url: from,
+            location: to,
+            reason: redirects.length > 0 ? redirects.map(hop => hop.status).join(' -> ') : 'rel=canonical'
+        });
+        this.logger.log(`↪️ ${from} -> ${to}${duplicate ? ' (crawled on its own)' : ''}`);
+        await this.writeRedirectStub(from, to, redirects);
+        return !duplicate;
+    }
+
+    // A page that only sends the browser on, for links to the old URL
+    async writeRedirectStub(from, to, redirects) {
+        const stubPath = this.getPagePath(this.normalizer.normalize(from));
+        const targetPath = this.getPageOutputPath(to);
+        const pageSaved = Array.from(this.manifest.entries.values())
+            .some(entry => entry.type === 'page' && path.join(this.outputDir, entry.file) === stubPath);
+        // Query variants share a path, and the page saved there wins
+        if (stubPath === targetPath || pageSaved) return;
+
+        const link = this.getLocalLink(targetPath, stubPath).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+        await fs.outputFile(stubPath, `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Moved</title>
+<link rel="canonical" href="${link}"><meta http-equiv="refresh" content="0; url=${link}"></head>
+<body><a href="${link}">${link}</a></body></html>
+`);
+        this.manifest.recordRedirect(from, { filePath: stubPath, location: to, redirects });
+    }
+
+    // Rendered pages are always fetched in full, there is no conditional request
+    async renderPage(url) {
+        this.logger.log(`🖥️ Rendering page: ${url}`);
+        return this.retryRequest(url, () =>
+            this.scheduler.schedule(url, () => this.renderer.render(url))
+        );
+    }
+
+    // Files the browser requested while rendering (lazy images, chunks loaded
+    // by scripts) are mirrored even when the final DOM does not mention them
+    async processRenderedResources(resources, pageUrl) {
+        await Promise.all(resources.map(resource => {
+            if (!resource.url.startsWith('http')) return null;
+            this.noteEmbeddingPage(resource.url, pageUrl);
+            if (resource.type === 'font' || this.isFontFile(resource.url)) {
+                return this.downloadFontAsset(resource.url);
+            }
+            const type = RENDERED_RESOURCE_TYPES[resource.type] || this.getAssetType(resource.url);
+            return this.downloadAsset(resource.url, type);
+        }));
+    }
+
+    // The no-op script stubbed third-party scripts point at, written once per run
+    async getThirdPartyStub() {
+        if (!this.thirdPartyStub) {
+            this.thirdPartyStub = fs.outputFile(path.join(this.assetsDir, THIRD_PARTY_STUB), STUB_SCRIPT)
+                .then(() => THIRD_PARTY_STUB);
+        }
+        return this.thirdPartyStub;
+    }
+
+    // One entry per URL and element kind, counting the pages it was on
+    recordThirdParty(url, element, { action, rule }) {
+        const existing = this.stats.urls.thirdParty.find(entry => entry.url === url && entry.element === element);
+        if (existing) {
+            existing.pages++;
+            return;
+        }
+        this.stats.urls.thirdParty.push({ url, element, action, rule, pages: 1 });
+    }
+
+    isTargetPage(url, depth = 0) {
+        return this.scope.includes(url, depth);
+    }
+
+    // Pages of a previous run that are out of scope now or that robots.txt disallowed
+    isDroppedFromMirror(url) {
+        return !this.isTargetPage(url) || this.isSkipped(url);
+    }
+
+    async processAsset(url, baseUrl, type, callback) {
+        try {
+            const assetUrl = new URL(url, baseUrl).href;
+            this.noteEmbeddingPage(assetUrl, baseUrl);
+            let localPath;
+            
+            if (type === 'fonts') {
+                localPath = await this.downloadFontAsset(assetUrl);
+            } else {
+                localPath = await this.downloadAsset(assetUrl, type);
+            }
+            
+            if (localPath) {
+                callback(localPath);
+            }
+        } catch (error) {
+            this.logger.error(`❌ Error processing ${type} asset ${url}:`, error.message);
+            this.notify('error', { url, kind: 'asset', error });
+            this.failedDownloads.add(url);
+            this.stats.urls.failed.push({
+                url: url,
+                error: error.message,
+                type: type
+            });
+            
+            if (!this.stats.failed.byType[type]) {
+                this.stats.failed.byType[type] = 0;
+            }
+            this.stats.failed.byType[type]++;
+            this.stats.failed.assets++;
+        }
+    }
+
+    // Concurrent requests for the same URL share a single download
+    dedupeDownload(url, download) {
+        if (!this.pendingDownloads.has(url)) {
+            this.pendingDownloads.set(url, download().finally(() => this.pendingDownloads.delete(url)));
+        }
+        return this.pendingDownloads.get(url);
+    }
+
+    async downloadAsset(assetUrl, type) {
+        if (this.assetMap.has(assetUrl)) {
+            return this.assetMap.get(assetUrl);
+        }
+        // Stripped, stubbed and live third-party files are never fetched;
+        // stubbed scripts point at the no-op stand-in instead
+        if (this.thirdParty.blocks(assetUrl, type)) {
+            return type === 'js' && this.thirdParty.decide(assetUrl).action === 'stub' ? this.getThirdPartyStub() : null;
+        }
+        return this.dedupeDownload(assetUrl, () => this.fetchAsset(assetUrl, type));
+    }
+
+    async fetchAsset(assetUrl, type) {
+        try {
+            this.logger.log(`⬇️ Downloading ${type}: ${assetUrl}`);
+            
+            const download = await this.streamAsset(assetUrl, type);
+            const { response } = download;
+            
+            if (response.notModified) {
+                return await this.reuseUnchangedAsset(assetUrl, type, this.assetStore);
+            }
+
+            let extension = type === 'css' ? 'css' : this.getFileExtension(assetUrl, response.headers['content-type']);
+            
+            if (!extension && this.isLikelyHtmlPage(assetUrl, response.headers['content-type'])) {
+                this.logger.log(`⚠️ Skipping HTML page as asset: ${assetUrl}`);
+                await this.partials.discard(assetUrl);
+                return null;
+            }
+
+            // Stylesheets and the like are rewritten per URL afterwards, so they are never shared
+            const rewrittenType = extension === 'css' ? 'css' : this.assetRewriters[type] ? type : null;
+            const { filename } = await this.assetStore.storeFile(assetUrl, download.tempPath, {
+                extension,
+                hash: download.hash,
+                dedupe: !rewrittenType
+            });
+            await this.partials.discard(assetUrl);
+            const outputPath = path.join(this.assetsDir, filename);
+
+            // The original of a rewritten file is cached for incremental runs, so it is read back
+            await this.manifest.record(assetUrl, {
+                type: rewrittenType || type,
+                filePath: outputPath,
+                response,
+                ...(rewrittenType ? { data: await fs.readFile(outputPath) } : { hash: download.hash, size: download.size })
+            });
+            this.assetMap.set(assetUrl, filename);
+            this.successfulDownloads.add(assetUrl);
+            
+            if (!this.stats.successful.byType[type]) {
+                this.stats.successful.byType[type] = 0;
+            }
+            this.stats.successful.byType[type]++;
+            this.stats.successful.assets++;
+            
+            this.stats.urls.successful.push({
+                url: assetUrl,
+                localPath: outputPath,
+                type: type
+            });
+            
+            this.logger.log(`✅ Downloaded: ${filename}`);
+            this.notify('asset-done', { url: assetUrl, assetType: type, filePath: outputPath, notModified: false });
+            
+            if (rewrittenType) {
+                await this.assetRewriters[rewrittenType](outputPath, assetUrl);
+            }
+            await this.plugins.run('onAsset', { url: assetUrl, type, filePath: outputPath }, { url: assetUrl, downloader: this });
+            this.saveState();
+            
+            return filename;
+            
+        } catch (error) {
+            if (error instanceof SizeLimitError && this.config.skipLargeFiles) {
+                this.logger.log(`⚠️ Skipping large file: ${assetUrl} (over ${error.limit} bytes)`);
+                return null;
+            }
+            this.logger.error(`❌ Failed to download ${type} ${assetUrl}:`, error.message);
+            this.notify('error', { url: assetUrl, kind: 'asset', error });
+            this.failedDownloads.add(assetUrl);
+            this.stats.urls.failed.push({
+                url: assetUrl,
+                error: error.message,
+                type: type
+            });
+            
+            if (!this.stats.failed.byType[type]) {
+                this.stats.failed.byType[type] = 0;
+            }
+            this.stats.failed.byType[type]++;
+            this.stats.failed.assets++;
+            return null;
+        }
+    }
+
+    async downloadFontAsset(fontUrl) {
+        if (this.assetMap.has(fontUrl)) {
+            return this.assetMap.get(fontUrl);
+        }
+        return this.dedupeDownload(fontUrl, () => this.fetchFontAsset(fontUrl));
+    }
+
+    async fetchFontAsset(fontUrl) {
+        try {
+            this.logger.log(`🔤 Downloading font: ${fontUrl}`);
+            
+            const download = await this.streamAsset(fontUrl, 'fonts');
+            const { response } = download;
+            
+            if (response.notModified) {
+                return await this.reuseUnchangedAsset(fontUrl, 'fonts', this.fontStore);
+            }
+
+            const extension = this.getFontExtension(fontUrl, response.headers['content-type']);
+            const { filename } = await this.fontStore.storeFile(fontUrl, download.tempPath, {
+                extension,
+                hash: download.hash
+            });
+            await this.partials.discard(fontUrl);
+            const outputPath = path.join(this.fontsDir, filename);
+
+            await this.manifest.record(fontUrl, {
+                type: 'fonts',
+                filePath: outputPath,
+                response,
+                hash: download.hash,
+                size: download.size
+            });
+            this.assetMap.set(fontUrl, filename);
+            this.successfulDownloads.add(fontUrl);
+            
+            if (!this.stats.successful.byType.fonts) {
+                this.stats.successful.byType.fonts = 0;
+            }
+            this.stats.successful.byType.fonts++;
+            this.stats.successful.assets++;
+            
+            this.stats.urls.successful.push({
+                url: fontUrl,
+                localPath: outputPath,
+                type: 'fonts'
+            });
+            
+            this.logger.log(`✅ Downloaded font: ${filename}`);
+            this.notify('asset-done', { url: fontUrl, assetType: 'fonts', filePath: outputPath, notModified: false });
+            await this.plugins.run('onAsset', { url: fontUrl, type: 'fonts', filePath: outputPath }, { url: fontUrl, downloader: this });
+            this.saveState();
+            return filename;
+            
+        } catch (error) {
+            if (error instanceof SizeLimitError && this.config.skipLargeFiles) {
+                this.logger.log(`⚠️ Skipping large font file: ${fontUrl} (over ${error.limit} bytes)`);
+                return null;
+            }
+            this.logger.error(`❌ Failed to download font ${fontUrl}:`, error.message);
+            this.notify('error', { url: fontUrl, kind: 'asset', error });
+            this.failedDownloads.add(fontUrl);
+            this.stats.urls.failed.push({
+                url: fontUrl,
+                error: error.message,
+                type: 'fonts'
+            });
+            
+            if (!this.stats.failed.byType.fonts) {
+                this.stats.failed.byType.fonts = 0;
+            }
+            this.stats.failed.byType.fonts++;
+            this.stats.failed.assets++;
+            return null;
+        }
+    }
+
+    async reuseUnchangedAsset(assetUrl, type, store) {
+        const previous = this.manifest.getPrevious(assetUrl);
+        const outputPath = path.join(this.outputDir, previous.file);
+        const filename = path.relative(store.baseDir, outputPath).split(path.sep).join('/');
+        
+        const rewriter = this.assetRewriters[previous.type];
+        store.register(assetUrl, filename, rewriter ? null : previous.hash);
+        this.manifest.recordNotModified(assetUrl);
+        this.assetMap.set(assetUrl, filename);
+        this.successfulDownloads.add(assetUrl);
+        
+        if (!this.stats.successful.byType[type]) {
+            this.stats.successful.byType[type] = 0;
+        }
+        this.stats.successful.byType[type]++;
+        this.stats.successful.assets++;
+        
+        this.stats.urls.successful.push({
+            url: assetUrl,
+            localPath: outputPath,
+            type: type,
+            unchanged: true
+        });
+        
+        this.logger.log(`♻️ Not modified: ${filename}`);
+        this.notify('asset-done', { url: assetUrl, assetType: type, filePath: outputPath, notModified: true });
+        
+        // The saved file was already rewritten, so its references are
+        // re-discovered from the original copy
+        if (rewriter) {
+            await fs.outputFile(outputPath, await this.manifest.readCached(assetUrl));
+            await rewriter(outputPath, assetUrl);
+        }
+        
+        this.saveState();
+        return filename;
+    }
+
+    async processCssFile(filePath, baseUrl) {
+        try {
+            let cssContent = await fs.readFile(filePath, 'utf8');
+            // References are written relative to the stylesheet's own location
+            cssContent = await this.transformCss(cssContent, baseUrl, localPath =>
+                path.relative(path.dirname(filePath), localPath).split(path.sep).join('/')
+            );
+            cssContent = await this.plugins.transform('beforeWrite', cssContent, {
+                url: baseUrl,
+                type: 'css',
+                filePath,
+                downloader: this
+            });
+            await fs.writeFile(filePath, cssContent);
+            this.logger.log(`✅ Processed CSS: ${path.basename(filePath)}`);
+        } catch (error) {
+            this.logger.error(`Error processing CSS file ${filePath}:`, error.message);
+        }
+    }
+
+    async processJsFile(filePath, baseUrl) {
+        try {
+            let code = await fs.readFile(filePath, 'utf8');
+            // References are written relative to the script's own location
+            code = await this.transformJs(code, baseUrl, localPath =>
+                path.relative(path.dirname(filePath), localPath).split(path.sep).join('/'), filePath);
+            code = await this.plugins.transform('beforeWrite', code, {
+                url: baseUrl,
+                type: 'js',
+                filePath,
+                downloader: this
+            });
+            await fs.writeFile(filePath, code);
+            this.logger.log(`✅ Processed JS: ${path.basename(filePath)}`);
+        } catch (error) {
+            this.logger.error(`Error processing JS file ${filePath}:`, error.message);
+        }
+    }
+
+    // Runs a script file (filePath) or inline script (null) through the onJs
+    // hooks; the built-in scripts plugin downloads what it loads
+    async transformJs(code, baseUrl, toReference, filePath = null) {
+        return this.plugins.transform('onJs', code, { url: baseUrl, toReference, filePath, downloader: this });
+    }
+
+    // Downloads the modules, source map and webpack chunks a script loads by
+    // literal URL and returns the code pointing at the local copies.
+    // toReference(localPath) decides how a path is written.
+    async processJsDependencies(code, baseUrl, toReference, filePath = null) {
+        const { dependencies, chunks, publicPath } = extractJsDependencies(code);
+        // Bare names such as 'react' need an import map, they are not URLs
+        const loadable = dependencies.filter(dependency => isExternalReference(dependency.url) &&
+            (dependency.kind === 'sourcemap' || /^(\.{0,2}\/|https?:)/i.test(dependency.url)));
+
+        const references = await Promise.all(loadable.map(async dependency => {
+            try {
+                const assetUrl = new URL(dependency.url, baseUrl).href;
+                this.noteEmbeddingPage(assetUrl, baseUrl);
+
+                const type = dependency.kind === 'url' || dependency.kind === 'sourcemap' ? this.getAssetType(assetUrl) : 'js';
+                const filename = await this.downloadAsset(assetUrl, type);
+                if (!filename) return null;
+                const reference = toReference(path.join(this.assetsDir, filename));
+                return dependency.kind === 'sourcemap' ? reference : toSpecifier(reference);
+            } catch (error) {
+                this.logger.error(`Error processing JS reference ${dependency.url}:`, error.message);
+                return null;
+            }
+        }));
+
+        const chunkPath = filePath ? await this.processJsChunks(filePath, baseUrl, chunks, publicPath) : null;
+        const rewrites = publicPath ? [...loadable, publicPath] : loadable;
+        return rewriteJs(code, rewrites, (dependency, index) => index < loadable.length ? references[index] : chunkPath);
+    }
+
+    // Downloads the chunks a webpack runtime loads by file name. The runtime
+    // puts them behind its public path, so they only load offline when they
+    // were saved side by side; the public path is then pointed at their
+    // folder. It is resolved against the page, hence written from the site
+    // root. Returns the new public path, or null to keep it.
+    async processJsChunks(filePath, baseUrl, chunks, publicPath) {
+        if (chunks.length === 0) return null;
+        this.logger.log(`🧩 Found ${chunks.length} chunks in ${path.basename(filePath)}`);
+
+        const base = new URL(publicPath ? publicPath.url : '.', baseUrl).href;
+        const saved = await Promise.all(chunks.map(async chunk => {
+            const chunkUrl = new URL(chunk.name, base).href;
+            this.noteEmbeddingPage(chunkUrl, baseUrl);
+            const filename = await this.downloadAsset(chunkUrl, chunk.type);
+            return filename ? { name: chunk.name, file: path.join(this.assetsDir, filename).split(path.sep).join('/') } : null;
+        }));
+        const found = saved.filter(Boolean);
+        if (found.length === 0) return null;
+
+        const folder = found[0].file.slice(0, -found[0].name.length);
+        const together = found.every(({ name, file }) => file === folder + name) && folder.endsWith('/');
+        // Without a public path the runtime looks next to its own script
+        const expected = publicPath ? folder : `${path.dirname(filePath).split(path.sep).join('/')}/`;
+        if (!together || folder !== expected) {
+            this.logger.log(`⚠️ Chunks of ${path.basename(filePath)} were not saved side by side, --preserve-paths keeps them together`);
+            return null;
+        }
+        return publicPath ? `${this.basePath}/${path.relative(this.outputDir, folder).split(path.sep).join('/')}/` : null;
+    }
+
+    // Points the icons and screenshots of a web app manifest at local copies,
+    // written relative to the manifest like a browser resolves them
+    async processWebManifest(filePath, baseUrl) {
+        try {
+            const manifest = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            await Promise.all(webManifestImages(manifest).map(image => this.processAsset(image.src, baseUrl, 'images', localPath => {
+                image.src = path.relative(path.dirname(filePath), path.join(this.assetsDir, localPath)).split(path.sep).join('/');
+            })));
+            await fs.writeFile(filePath, JSON.stringify(manifest, null, 2));
+            this.logger.log(`✅ Processed web manifest: ${path.basename(filePath)}`);
+        } catch (error) {
+            this.logger.error(`Error processing web manifest ${filePath}:`, error.message);
+        }
+    }
+
+    // The same for the tile images of a browserconfig.xml (msapplication-config)
+    async processBrowserConfig(filePath, baseUrl) {
+        try {
+            const $ = cheerio.load(await fs.readFile(filePath, 'utf8'), { xml: true });
+            await Promise.all($(BROWSER_CONFIG_IMAGES).toArray().map(elem => {
+                const src = $(elem).attr('src');
+                if (!src || src.startsWith('data:')) return null;
+                return this.processAsset(src, baseUrl, 'images', localPath => {
+                    $(elem).attr('src', path.relative(path.dirname(filePath), path.join(this.assetsDir, localPath)).split(path.sep).join('/'));
+                });
+            }));
+            await fs.writeFile(filePath, $.xml());
+            this.logger.log(`✅ Processed browserconfig: ${path.basename(filePath)}`);
+        } catch (error) {
+            this.logger.error(`Error processing browserconfig ${filePath}:`, error.message);
+        }
+    }
+
+    // Runs a stylesheet or <style> block through the onCss hooks; the built-in
+    // stylesheets plugin downloads its references
+    async transformCss(cssContent, baseUrl, toReference) {
+        return this.plugins.transform('onCss', cssContent, { url: baseUrl, toReference, downloader: this });
+    }
+
+    // Downloads every @import, url(), image-set() and @font-face source of a
+    // stylesheet (imported sheets recursively) and returns the CSS pointing at
+    // the local copies. toReference(localPath) decides how a path is written.
+    async processCssDependencies(cssContent, baseUrl, toReference) {
+        const dependencies = extractCssDependencies(cssContent)
+            .filter(dependency => isExternalReference(dependency.url));
+        
+        const references = await Promise.all(dependencies.map(async dependency => {
+            try {
+                const assetUrl = new URL(dependency.url, baseUrl);
+                const fragment = assetUrl.hash;
+                assetUrl.hash = '';
+                this.noteEmbeddingPage(assetUrl.href, baseUrl);
+                
+                const localPath = await this.downloadCssDependency(assetUrl.href, dependency.kind);
+                return localPath ? toReference(localPath) + fragment : null;
+            } catch (error) {
+                this.logger.error(`Error processing CSS reference ${dependency.url}:`, error.message);
+                return null;
+            }
+        }));
+        
+        return rewriteCss(cssContent, dependencies, (dependency, index) => references[index]);
+    }
+
+    async downloadCssDependency(assetUrl, kind) {
+        if (kind === 'font' || this.isFontFile(assetUrl)) {
+            const filename = await this.downloadFontAsset(assetUrl);
+            return filename ? path.join(this.fontsDir, filename) : null;
+        }
+        
+        const type = kind === 'import' ? 'css' : this.getAssetType(assetUrl);
+        const filename = await this.downloadAsset(assetUrl, type);
+        return filename ? path.join(this.assetsDir, filename) : null;
+    }
+
+    async processSrcset(srcset, baseUrl) {
+        if (!srcset) return null;
+        
+        const parts = srcset.split(',');
+        
+        const processedParts = await Promise.all(parts.map(async part => {
+            const [url, descriptor] = part.trim().split(/\s+/);
+            if (url && !url.startsWith('data:') && !url.startsWith('/assets/')) {
+                try {
+                    const assetUrl = new URL(url, baseUrl).href;
+                    this.noteEmbeddingPage(assetUrl, baseUrl);
+                    const localPath = await this.downloadAsset(assetUrl, 'images');
+                    
+                    if (localPath) {
+                        return `${this.getAssetLink(localPath, baseUrl)} ${descriptor || ''}`.trim();
+                    }
+                } catch (error) {
+                    // Keep the original candidate
+                }
+            }
+            return part;
+        }));
+        
+        return processedParts.join(', ');
+    }
+
+    rewriteUrls($, pageUrl) {
+        $('[href], [src]').each((i, elem) => {
+            const $elem = $(elem);
+            
+            const href = $elem.attr('href');
+            if (href) {
+                if (href.startsWith('http')) {
+                    if (this.assetMap.has(href)) {
+                        $elem.attr('href', this.getAssetLink(this.assetMap.get(href), pageUrl, this.getAssetDir(href)));
+                    } else if (this.scope.includes(href) && this.isQueuedPage(href)) {
+                        $elem.attr('href', this.getPageLink(href, pageUrl));
+                    }
+                } else if (this.scope.stripPrefix && href.startsWith(`${this.scope.stripPrefix}/`) &&
+                    this.isQueuedPage(new URL(href, pageUrl).href)) {
+                    // Links under the stripped prefix point at the page saved without it
+                    $elem.attr('href', this.getPageLink(new URL(href, pageUrl).href, pageUrl));
+                }
+            }
+            
+            const src = $elem.attr('src');
+            if (src && src.startsWith('http') && this.assetMap.has(src)) {
+                $elem.attr('src', this.getAssetLink(this.assetMap.get(src), pageUrl, this.getAssetDir(src)));
+            }
+        });
+    }
+
+    getAssetDir(url) {
+        return this.isFontFile(url) ? this.fontsDir : this.assetsDir;
+    }
+
+    // How one mirrored file is referenced from another: relative to the
+    // referencing file, or from the site root (under basePath, if set)
+    getLocalLink(targetPath, fromPath) {
+        const target = path.relative(this.outputDir, targetPath).split(path.sep).join('/');
+        if (this.config.linkStyle === 'relative') {
+            const fromDir = path.relative(this.outputDir, path.dirname(fromPath)).split(path.sep).join('/');
+            return path.posix.relative(fromDir, target);
+        }
+        return `${this.basePath}/${target}`;
+    }
+
+    getAssetLink(localPath, pageUrl, dir = this.assetsDir) {
+        return this.getLocalLink(path.join(dir, localPath), this.getPageOutputPath(pageUrl));
+    }
+
+    getPageLink(url, pageUrl) {
+        const target = this.getRootRelativePathForLink(url);
+        if (!target.startsWith('/')) return target;
+        return this.getLocalLink(path.join(this.outputDir, target), this.getPageOutputPath(pageUrl));
+    }
+
+    // Where a page URL ends up after normalization, redirects and rel=canonical
+    getPageLocation(url) {
+        let location = this.normalizer.normalize(url);
+        for (let hops = 0; this.pageLocations.has(location) && hops < 10; hops++) {
+            location = this.pageLocations.get(location);
+        }
+        return location;
+    }
+
+    getRootRelativePathForLink(url) {
+        try {
+            // Strips the configured prefix and ensures the path starts with /
+            let pathname = this.scope.toOutputPathname(new URL(this.getPageLocation(url)));
+            
+            // Handle root path
+            if (pathname === '/') {
+                return '/index.html';
+            }
+            
+            // For paths without extensions, add /index.html
+            if (!path.extname(pathname)) {
+                // Remove trailing slash if present
+                pathname = pathname.replace(/\/$/, '');
+                return `${pathname}/index.html`;
+            }
+            
+            return pathname;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    getPageOutputPath(url, filename = 'index.html') {
+        return this.getPagePath(this.getPageLocation(url), filename);
+    }
+
+    // The file for exactly this URL, wherever the page ended up
+    getPagePath(url, filename = 'index.html') {
+        try {
+            let pathname = this.scope.toOutputPathname(new URL(url));
+            
+            pathname = pathname.replace(/^\/|\/$/g, '');
+            
+            if (!pathname || pathname === '/' || pathname === 'index.html') {
+                return path.join(this.outputDir, 'index.html');
+            }
+            
+            if (path.extname(pathname)) {
+                return path.join(this.outputDir, pathname);
+            }
+            
+            const dirPath = path.join(this.outputDir, pathname);
+            return path.join(dirPath, 'index.html');
+        } catch (error) {
+            return path.join(this.outputDir, filename);
+        }
+    }
+
+    isLikelyHtmlPage(url, contentType) {
+        if (contentType && contentType.includes('text/html')) {
+            return true;
+        }
+        
+        try {
+            const urlObj = new URL(url);
+            const pathname = urlObj.pathname;
+            
+            if (!path.extname(pathname) && !pathname.endsWith('/')) {
+                return true;
+            }
+            
+            return false;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    isFontFile(url) {
+        return url.match(/\.(woff|woff2|ttf|otf|eot)(\?.*)?$/i) !== null;
+    }
+
+    getFontExtension(url, contentType = '') {
+        const urlExt = path.extname(new URL(url).pathname).toLowerCase().replace('.', '');
+        if (urlExt && ['woff', 'woff2', 'ttf', 'otf', 'eot'].includes(urlExt)) {
+            return urlExt;
+        }
+        
+        if (contentType) {
+            const typeMap = {
+                'font/woff': 'woff',
+                'font/woff2': 'woff2',
+                'font/ttf': 'ttf',
+                'font/otf': 'otf',
+                'application/font-woff': 'woff',
+                'application/font-woff2': 'woff2',
+                'application/x-font-ttf': 'ttf',
+                'application/x-font-otf': 'otf',
+                'application/vnd.ms-fontobject': 'eot'
+            };
+            return typeMap[contentType] || 'woff';
+        }
+        
+        if (url.includes('.woff2')) return 'woff2';
+        if (url.includes('.woff')) return 'woff';
+        if (url.includes('.ttf')) return 'ttf';
+        if (url.includes('.otf')) return 'otf';
+        if (url.includes('.eot')) return 'eot';
+        
+        return 'woff';
+    }
+
+    generateFilename(url, type, extension = null) {
+        const urlObj = new URL(url);
+        let name = urlObj.pathname.split('/').pop() || type;
+        name = name.split('?')[0];
+        name = name.split('#')[0];
+        
+        if (!path.extname(name)) {
+            extension = extension || this.getFileExtension(url);
+            name = extension ? `${name}.${extension}` : `${name}.bin`;
+        }
+        
+        return name.replace(/[^a-zA-Z0-9.\-_]/g, '_');
+    }
+
+    getFileExtension(url, contentType = '') {
+        const urlExt = path.extname(new URL(url).pathname).toLowerCase().replace('.', '');
+        if (urlExt) return urlExt;
+        
+        // Drop parameters such as '; charset=utf-8'
+        contentType = contentType.split(';')[0].trim();
+        if (contentType) {
+            const typeMap = {
+                'text/css': 'css',
+                'application/javascript': 'js',
+                'text/javascript': 'js',
+                'image/jpeg': 'jpg',
+                'image/png': 'png',
+                'image/gif': 'gif',
+                'image/svg+xml': 'svg',
+                'image/webp': 'webp',
+                'image/x-icon': 'ico',
+                'application/manifest+json': 'webmanifest',
+                'application/json': 'json',
+                'application/xml': 'xml',
+                'text/xml': 'xml'
+            };
+            return typeMap[contentType] || 'bin';
+        }
+        
+        return 'bin';
+    }
+
+    getAssetType(url) {
+        if (url.match(/\.(css)$/i)) return 'css';
+        if (url.match(/\.(js|mjs)$/i)) return 'js';
+        if (url.match(/\.(jpg|jpeg|png|gif|svg|webp|ico)$/i)) return 'images';
+        if (url.match(/\.(woff|woff2|ttf|otf|eot)$/i)) return 'fonts';
+        return 'other';
+    }
+
+    async retryFailedDownloads() {
+        if (this.failedDownloads.size === 0) return;
+        
+        this.logger.log(`\n🔄 Retrying ${this.failedDownloads.size} failed downloads...`);
+        const failedUrls = Array.from(this.failedDownloads);
+        this.failedDownloads.clear();
+        
+        for (const url of failedUrls) {
+            if (this.isBlocked(url)) {
+                this.failedDownloads.add(url);
+                continue;
+            }
+            try {
+                let type = this.getAssetType(url);
+                if (type === 'other' && this.isLikelyHtmlPage(url, '') && this.isTargetPage(url)) type = 'page';
+                
+                if (type === 'page') {
+                    const filename = this.generateFilename(url, 'html');
+                    await this.downloadPage(url, filename);
+                } else if (type === 'fonts') {
+                    await this.downloadFontAsset(url);
+                } else {
+                    await this.downloadAsset(url, type);
+                }
+            } catch (error) {
+                this.failedDownloads.add(url);
+            }
+        }
+    }
+
+    // Pages are requested as if navigated to from the site, assets as if loaded
+    // by one of its pages; start pages are opened directly. Custom headers such
+    // as Authorization only go to the crawled hosts, never to CDNs or trackers.
+    createRequest(url, type) {
+        const isStartPage = type === 'page' &&
+            this.scope.getStartUrls().some(startUrl => this.normalizer.normalize(startUrl) === url);
+        return {
+            url,
+            destination: REQUEST_DESTINATIONS[type] || 'empty',
+            profile: this.profile,
+            referrer: isStartPage ? null : `${this.baseUrl}/`,
+            embeddingPage: this.embeddingPages.get(url) || null,
+            extraHeaders: this.scope.isAllowedHost(new URL(url).hostname) ? { ...this.config.headers } : {}
+        };
+    }
+
+    noteEmbeddingPage(url, pageUrl) {
+        if (!this.embeddingPages.has(url)) {
+            this.embeddingPages.set(url, pageUrl);
+        }
+    }
+
+    // 403, 429 and 503 go through the recovery chain, see lib/recovery.js
+    async fetchResource(url, requestConfig, type = 'other', retries = this.config.maxRetries) {
+        const conditionalHeaders = this.config.incremental ? this.manifest.conditionalHeaders(url) : {};
+        const request = this.createRequest(url, type);
+        await this.plugins.run('beforeRequest', request, { url, type, downloader: this });
+        
+        let response;
+        try {
+            response = await this.retryRequest(url, () => withRecovery(attempt =>
+                this.sendScheduled(url, {
+                    ...requestConfig,
+                    headers: { ...headersFor(attempt), ...requestConfig.headers, ...conditionalHeaders }
+                }),
+                request,
+                this.recoveryOptions
+            ), retries);
+        } catch (error) {
+            // Only a URL that is gone from the site loses its copy on an incremental run
+            const status = error.response && error.response.status;
+            if (status === 404 || status === 410) {
+                this.manifest.recordGone(url);
+            } else {
+                this.manifest.recordFailed(url);
+            }
+            if (error instanceof BlockedError) {
+                this.stats.urls.blocked.push({
+                    url: url,
+                    status: error.status,
+                    reason: error.message,
+                    type: type
+                });
+            }
+            throw error;
+        }
+        response.notModified = response.status === 304;
+        try {
+            await this.plugins.run('afterResponse', response, { url, type, downloader: this });
+        } catch (error) {
+            if (response.release) {
+                response.data.destroy();
+                response.release();
+            }
+            throw error;
+        }
+        return response;
+    }
+
+    // A streamed body is read after the request returns, so its scheduler slot
+    // stays taken until the caller has read it and calls response.release()
+    async sendScheduled(url, requestConfig) {
+        const release = await this.scheduler.acquire(url);
+        let held = false;
+        try {
+            const response = await this.sendRequest(url, requestConfig);
+            if (requestConfig.responseType === 'stream') {
+                response.release = release;
+                held = true;
+            }
+            return response;
+        } finally {
+            if (!held) release();
+        }
+    }
+
+    // The redirects axios followed end up on the response as { url, status, location } hops
+    async sendRequest(url, requestConfig) {
+        const redirects = [];
+        try {
+            const response = await this.axios.get(url, {
+                ...requestConfig,
+                beforeRedirect: (options, { statusCode }) => {
+                    const from = redirects.length > 0 ? redirects[redirects.length - 1].location : url;
+                    redirects.push({ url: from, status: statusCode, location: options.href });
+                }
+            });
+            response.redirects = redirects;
+            return response;
+        } catch (error) {
+            // An unread error body would keep its connection busy
+            if (error.response && requestConfig.responseType === 'stream') {
+                error.response.data.destroy();
+            }
+            throw error;
+        }
+    }
+
+    // Assets are streamed to a partial file under .crawler/partial so large media
+    // never sit in memory. The whole transfer is retried: a connection that
+    // breaks off is continued with a Range request where the server allows it.
+    async streamAsset(url, type) {
+        return this.retryRequest(url, async () => {
+            const resume = await this.partials.resume(url);
+            let response;
+            try {
+                response = await this.fetchResource(url, {
+                    responseType: 'stream',
+                    decompress: false,
+                    headers: resume.headers
+                }, type, 1);
+            } catch (error) {
+                // The partial file is out of date or complete; start over
+                if (resume.offset > 0 && error.response && error.response.status === 416) {
+                    await this.partials.discard(url);
+                    return this.streamAsset(url, type);
+                }
+                throw error;
+            }
+            try {
+                if (response.notModified) {
+                    response.data.destroy();
+                    if (this.warc) {
+                        await this.warc.writeExchange(response, Buffer.alloc(0));
+                    }
+                    return { response };
+                }
+            
+                const offset = response.status === 206 ? resume.offset : 0;
+                if (response.status === 206 && !continuesAt(response, offset)) {
+                    response.data.destroy();
+                    await this.partials.discard(url);
+                    throw new Error(`Server sent ${response.headers['content-range']} for bytes ${offset}-`);
+                }
+            
+                const tempPath = await this.partials.start(url, response);
+                // The WARC gets the body as sent, before it was decoded
+                const rawPath = this.warc ? `${tempPath}.raw` : null;
+                try {
+                    const { size, hash, raw } = await streamToFile(response, tempPath, {
+                        url,
+                        maxSize: this.config.maxFileSize,
+                        offset,
+                        integrity: this.integrity.get(url) || [],
+                        rawPath
+                    });
+                    if (raw) {
+                        await this.warc.writeExchange(response, raw);
+                    }
+                    return { response, tempPath, size, hash };
+                } catch (error) {
+                    // Only a transfer that broke off is worth continuing
+                    if (error instanceof SizeLimitError || error.name === 'IntegrityError') {
+                        await this.partials.discard(url);
+                    }
+                    throw error;
+                } finally {
+                    if (rawPath) {
+                        await fs.remove(rawPath);
+                    }
+                }
+            } finally {
+                response.release();
+            }
+        });
+    }
+
+    noteIntegrity(url, pageUrl, integrity) {
+        const checks = parseIntegrity(integrity);
+        if (checks.length > 0) {
+            this.integrity.set(new URL(url, pageUrl).href, checks);
+        }
+    }
+
+    isBlocked(url) {
+        return this.stats.urls.blocked.some(blocked => blocked.url === url);
+    }
+
+    // Network errors and 5xx are retried; blocked URLs and other client errors
+    // would only fail the same way again
+    async retryRequest(url, requestFn, retries = this.config.maxRetries) {
+        for (let attempt = 1; attempt <= retries; attempt++) {
+            try {
+                return await requestFn();
+            } catch (error) {
+                const status = error.response && error.response.status;
+                if (attempt === retries || error instanceof BlockedError || error instanceof SizeLimitError || (status && status < 500)) {
+                    throw error;
+                }
+                this.logger.log(`🔄 Retry ${attempt}/${retries} for failed request`);
+                this.notify('retry', { url, attempt, retries, error });
+                await this.delay(backoffDelay(attempt));
+            }
+        }
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async generateStatistics() {
+        const stats = {
+            metadata: {
+                baseUrl: this.baseUrl,
+                scope: this.scope.toJSON(),
+                startTime: this.stats.startTime,
+                endTime: this.stats.endTime,
+                duration: new Date(this.stats.endTime) - new Date(this.stats.startTime)
+            },
+            summary: {
+                totalDownloads: this.successfulDownloads.size + this.failedDownloads.size,
+                successful: this.successfulDownloads.size,
+                failed: this.failedDownloads.size,
+                successRate: this.successfulDownloads.size > 0 ? 
+                    ((this.successfulDownloads.size / (this.successfulDownloads.size + this.failedDownloads.size)) * 100).toFixed(2) + '%' : '0%'
+            },
+            detailed: {
+                successful: {
+                    total: this.stats.successful.pages + this.stats.successful.assets,
+                    pages: this.stats.successful.pages,
+                    assets: this.stats.successful.assets,
+                    byType: this.stats.successful.byType
+                },
+                failed: {
+                    total: this.stats.failed.pages + this.stats.failed.assets,
+                    pages: this.stats.failed.pages,
+                    assets: this.stats.failed.assets,
+                    byType: this.stats.failed.byType
+                }
+            },
+            urls: {
+                successful: this.stats.urls.successful,
+                failed: this.stats.urls.failed,
+                skipped: this.stats.urls.skipped,
+                blocked: this.stats.urls.blocked,
+                redirects: this.stats.urls.redirects,
+                thirdParty: this.stats.urls.thirdParty
+            }
+        };
+        
+        if (this.config.incremental) {
+            stats.changes = this.manifest.getChanges();
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const statsFilename = `download-statistics-${timestamp}.json`;
+        const statsPath = path.join(statisticsDir(this.outputDir), statsFilename);
+        
+        await fs.outputJson(statsPath, stats, { spaces: 2 });
+        this.statisticsFile = statsPath;
+        this.logger.log(`📊 Statistics saved: ${statsPath}`);
+        
+        return stats;
+    }
+}
+
+module.exports = { SiteDownloader };
@@ -0,0 +1,56 @@
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+
+function isGzip(data) {
+    return data.length > 2 && data[0] === 0x1f && data[1] === 0x8b;
+}
+
+function decodeSitemap(data) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    return (isGzip(buffer) ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+}
+
+function parseSitemap(xml) {
+    const $ = cheerio.load(xml, { xml: true });
+    const locs = root => $(root).find('loc').toArray()
+        .map(loc => $(loc).text().trim())
+        .filter(Boolean);
+
+    if ($('sitemapindex').length > 0) {
+        return { type: 'sitemapindex', urls: locs('sitemapindex > sitemap') };
+    }
+    return { type: 'urlset', urls: locs('urlset > url') };
+}
+
+// Walks sitemaps and sitemap indexes breadth-first and returns every page URL.
+// fetchSitemap(url) resolves to the raw (possibly gzipped) body.
+async function collectSitemapUrls(sitemapUrls, fetchSitemap, options = {}) {
+    const maxSitemaps = options.maxSitemaps || 50;
+    const logger = options.logger || console;
+    const queue = [...sitemapUrls];
+    const seen = new Set();
+    const pages = new Set();
+
+    while (queue.length > 0 && seen.size < maxSitemaps) {
+        const sitemapUrl = queue.shift();
+        if (seen.has(sitemapUrl)) continue;
+        seen.add(sitemapUrl);
+
+        try {
+            const sitemap = parseSitemap(decodeSitemap(await fetchSitemap(sitemapUrl)));
+            logger.log(`🗺️ Sitemap ${sitemapUrl}: ${sitemap.urls.length} ${sitemap.type === 'sitemapindex' ? 'sitemaps' : 'pages'}`);
+
+            if (sitemap.type === 'sitemapindex') {
+                queue.push(...sitemap.urls);
+            } else {
+                sitemap.urls.forEach(url => pages.add(url));
+            }
+        } catch (error) {
+            logger.error(`❌ Error reading sitemap ${sitemapUrl}:`, error.message);
+        }
+    }
+
+    return Array.from(pages);
+}
+
+module.exports = { collectSitemapUrls, parseSitemap, decodeSitemap };
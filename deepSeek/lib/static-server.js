@@ -0,0 +1,95 @@
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { createLogger } = require('./logger');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.mjs': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.pdf': 'application/pdf'
+};
+
+function getContentType(filePath) {
+    return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+// Maps a request path onto a file inside rootDir, or null when it escapes it
+// or points into .crawler/, whose journal holds the session cookies
+function resolveRequestPath(rootDir, requestPath) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(requestPath.split('?')[0]);
+    } catch (error) {
+        return null;
+    }
+
+    const root = path.resolve(rootDir);
+    let filePath = path.resolve(root, `.${pathname}`);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        return null;
+    }
+    if (path.relative(root, filePath).split(path.sep)[0] === '.crawler') {
+        return null;
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+    return filePath;
+}
+
+// options.logger and options.quiet work as for SiteDownloader
+function createStaticServer(rootDir, options = {}) {
+    const logger = createLogger(options);
+    async function handle(req, res) {
+        const filePath = resolveRequestPath(rootDir, req.url);
+
+        if (!filePath || !(await fs.pathExists(filePath))) {
+            logger.log(`❌ 404 ${req.url}`);
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': getContentType(filePath) });
+        await pipeline(fs.createReadStream(filePath), res);
+    }
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            logger.log(`❌ 500 ${req.url}: ${error.message}`);
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Internal server error');
+        });
+    });
+}
+
+module.exports = { createStaticServer, getContentType, resolveRequestPath };
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const zlib = require('zlib');
+const { hashContent } = require('./manifest');
+
+// Responses are requested with decompress: false so the byte count can be held
+// against Content-Length; the body is decoded here on its way to disk
+const DECODERS = {
+    gzip: () => zlib.createGunzip(),
+    'x-gzip': () => zlib.createGunzip(),
+    deflate: () => zlib.createInflate(),
+    br: () => zlib.createBrotliDecompress()
+};
+
+const SYNC_DECODERS = {
+    gzip: zlib.gunzipSync,
+    'x-gzip': zlib.gunzipSync,
+    deflate: zlib.inflateSync,
+    br: zlib.brotliDecompressSync
+};
+
+// Checksum algorithm names as used in headers and integrity attributes -> node's
+const ALGORITHMS = {
+    'md5': 'md5',
+    'sha-256': 'sha256',
+    'sha-512': 'sha512',
+    'sha256': 'sha256',
+    'sha384': 'sha384',
+    'sha512': 'sha512'
+};
+
+class SizeLimitError extends Error {
+    constructor(url, limit) {
+        super(`Larger than the limit of ${limit} bytes`);
+        this.name = 'SizeLimitError';
+        this.url = url;
+        this.limit = limit;
+    }
+}
+
+class IntegrityError extends Error {
+    constructor(url, message) {
+        super(message);
+        this.name = 'IntegrityError';
+        this.url = url;
+    }
+}
+
+// Checksums the server sends along: Digest (RFC 3230), Repr-Digest (RFC 9530)
+// and Content-MD5. They cover the bytes as sent, before decoding.
+function headerChecksums(headers, partial = false) {
+    const checks = [];
+    const add = (name, digest, source) => {
+        const algorithm = ALGORITHMS[name.trim().toLowerCase()];
+        if (algorithm && digest) {
+            checks.push({ algorithm, digest: digest.trim(), encoded: true, source });
+        }
+    };
+
+    // SHA-256=X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=
+    for (const item of (headers['digest'] || '').split(',')) {
+        const separator = item.indexOf('=');
+        if (separator > 0) add(item.slice(0, separator), item.slice(separator + 1), 'Digest');
+    }
+    // sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:
+    for (const item of (headers['repr-digest'] || '').split(',')) {
+        const match = item.match(/^\s*([\w-]+)=:([^:]*):/);
+        if (match) add(match[1], match[2], 'Repr-Digest');
+    }
+    // Content-MD5 of a 206 only covers the part that was sent
+    if (headers['content-md5'] && !partial) {
+        add('md5', headers['content-md5'], 'Content-MD5');
+    }
+    return checks;
+}
+
+// Subresource Integrity: "sha384-<base64> sha512-<base64>", over the decoded body
+function parseIntegrity(value) {
+    return (value || '').split(/\s+/)
+        .map(item => item.match(/^(sha256|sha384|sha512)-([A-Za-z0-9+/=_-]+)/))
+        .filter(Boolean)
+        .map(match => ({ algorithm: match[1], digest: match[2], encoded: false, source: 'integrity attribute' }));
+}
+
+// base64url and missing padding compare equal to plain base64
+function normalizeDigest(digest) {
+    return digest.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+}
+
+function meter(hashes, onChunk) {
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                onChunk(chunk);
+            } catch (error) {
+                return callback(error);
+            }
+            hashes.forEach(hash => hash.update(chunk));
+            callback(null, chunk);
+        }
+    });
+}
+
+// Decodes a body that was buffered with decompress: false
+function decodeBody(data, encoding = 'identity') {
+    encoding = encoding.toLowerCase();
+    if (encoding === 'identity' || data.length === 0) return data;
+    if (!SYNC_DECODERS[encoding]) throw new Error(`Unsupported content encoding: ${encoding}`);
+    return SYNC_DECODERS[encoding](data);
+}
+
+// Writes a streamed axios response (responseType: 'stream', decompress: false)
+// to filePath, checking it on the way: crossing maxSize aborts the transfer at
+// once, the bytes received must match Content-Length, and checksums from the
+// headers or from integrity (see parseIntegrity) must match. offset is the size
+// of a partial file the response continues. Resolves to the size and sha256
+// of the decoded file. With rawPath, an encoded body is also kept there as
+// sent, and raw says where the bytes as sent are: { path, start }.
+async function streamToFile(response, filePath, options = {}) {
+    const { url = null, maxSize = Infinity, offset = 0, integrity = [], rawPath = null } = options;
+    const headers = response.headers;
+    const encoding = (headers['content-encoding'] || 'identity').toLowerCase();
+    const contentLength = headers['content-length'] !== undefined ? Number(headers['content-length']) : null;
+    const identity = encoding === 'identity';
+
+    if (!identity && !DECODERS[encoding]) {
+        response.data.destroy();
+        throw new Error(`Unsupported content encoding: ${encoding}`);
+    }
+    if (identity && contentLength !== null && offset + contentLength > maxSize) {
+        response.data.destroy();
+        throw new SizeLimitError(url, maxSize);
+    }
+
+    // Without an encoding the bytes sent are the body, one set of hashes does
+    const checks = [...headerChecksums(headers, response.status === 206), ...integrity];
+    const encodedHashes = new Map();
+    const bodyHashes = new Map([['sha256', crypto.createHash('sha256')]]);
+    for (const check of checks) {
+        const hashes = check.encoded && !identity ? encodedHashes : bodyHashes;
+        if (!hashes.has(check.algorithm)) {
+            hashes.set(check.algorithm, crypto.createHash(check.algorithm));
+        }
+    }
+
+    if (offset > 0) {
+        for await (const chunk of fs.createReadStream(filePath)) {
+            bodyHashes.forEach(hash => hash.update(chunk));
+        }
+    }
+
+    let received = 0;
+    let size = offset;
+    const raw = rawPath && !identity ? fs.createWriteStream(rawPath) : null;
+    const stages = [response.data, meter(encodedHashes, chunk => {
+        received += chunk.length;
+        if (raw) raw.write(chunk);
+    })];
+    if (!identity) {
+        stages.push(DECODERS[encoding]());
+    }
+    stages.push(meter(bodyHashes, chunk => {
+        size += chunk.length;
+        if (size > maxSize) throw new SizeLimitError(url, maxSize);
+    }));
+    stages.push(fs.createWriteStream(filePath, { flags: offset > 0 ? 'a' : 'w' }));
+    try {
+        await pipeline(...stages);
+    } finally {
+        if (raw) await new Promise(resolve => raw.end(resolve));
+    }
+
+    if (contentLength !== null && received !== contentLength) {
+        throw new IntegrityError(url, `Expected ${contentLength} bytes, got ${received}`);
+    }
+
+    const digests = { encoded: new Map(), body: new Map() };
+    bodyHashes.forEach((hash, algorithm) => digests.body.set(algorithm, hash.digest()));
+    encodedHashes.forEach((hash, algorithm) => digests.encoded.set(algorithm, hash.digest()));
+
+    // A source may list several digests (SRI does); one has to match
+    const sources = new Map();
+    for (const check of checks) {
+        const digest = (check.encoded && !identity ? digests.encoded : digests.body).get(check.algorithm);
+        const matches = normalizeDigest(digest.toString('base64')) === normalizeDigest(check.digest);
+        sources.set(check.source, sources.get(check.source) || matches);
+    }
+    for (const [source, matches] of sources) {
+        if (!matches) throw new IntegrityError(url, `Checksum from ${source} does not match`);
+    }
+
+    return {
+        size,
+        hash: digests.body.get('sha256').toString('hex'),
+        raw: !rawPath ? null : raw ? { path: rawPath, start: 0 } : { path: filePath, start: offset }
+    };
+}
+
+// Downloads that broke off keep their file here, with the validators needed to
+// continue them with a Range request instead of starting over
+class PartialDownloads {
+    constructor(dir, { logger = console } = {}) {
+        this.dir = dir;
+        this.logger = logger;
+    }
+
+    pathFor(url) {
+        return path.join(this.dir, hashContent(url).slice(0, 32));
+    }
+
+    // Headers asking for the rest of url, if a partial file can be continued
+    async resume(url) {
+        const filePath = this.pathFor(url);
+        try {
+            const meta = await fs.readJson(`${filePath}.json`);
+            const { size } = await fs.stat(filePath);
+            // If-Range needs a strong validator
+            const validator = meta.etag && !meta.etag.startsWith('W/') ? meta.etag : meta.lastModified;
+            if (meta.url === url && size > 0 && validator) {
+                this.logger.log(`⏯️ Continuing ${url} from byte ${size}`);
+                return {
+                    offset: size,
+                    headers: { 'range': `bytes=${size}-`, 'if-range': validator, 'accept-encoding': 'identity' }
+                };
+            }
+        } catch (error) {
+            // Nothing to continue
+        }
+        await this.discard(url);
+        return { offset: 0, headers: {} };
+    }
+
+    // Only unencoded responses of servers that accept ranges can be continued
+    async start(url, response) {
+        const filePath = this.pathFor(url);
+        await fs.ensureDir(this.dir);
+        if (response.status === 206) return filePath;
+
+        const { headers } = response;
+        if ((headers['content-encoding'] || 'identity') === 'identity' && headers['accept-ranges'] === 'bytes') {
+            await fs.writeJson(`${filePath}.json`, {
+                url,
+                etag: headers['etag'] || null,
+                lastModified: headers['last-modified'] || null
+            });
+        } else {
+            await fs.remove(`${filePath}.json`);
+        }
+        return filePath;
+    }
+
+    async discard(url) {
+        const filePath = this.pathFor(url);
+        await fs.remove(filePath);
+        await fs.remove(`${filePath}.json`);
+    }
+}
+
+// A 206 has to start exactly where the partial file ends
+function continuesAt(response, offset) {
+    const match = (response.headers['content-range'] || '').match(/^bytes (\d+)-/);
+    return Boolean(match) && Number(match[1]) === offset;
+}
+
+module.exports = {
+    SizeLimitError,
+    IntegrityError,
+    PartialDownloads,
+    streamToFile,
+    decodeBody,
+    headerChecksums,
+    parseIntegrity,
+    continuesAt
+};
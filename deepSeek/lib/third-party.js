@@ -0,0 +1,143 @@
+const { URL } = require('url');
+const { toMatcher } = require('./scope');
+const { tokenize } = require('./js');
+
+// Analytics, advertising and session-recording hosts; subdomains match too
+const TRACKER_HOSTS = [
+    'googletagmanager.com', 'google-analytics.com', 'analytics.google.com', 'doubleclick.net',
+    'googleadservices.com', 'googlesyndication.com', 'connect.facebook.net', 'static.hotjar.com',
+    'script.hotjar.com', 'mc.yandex.ru', 'mc.yandex.com', 'cdn.segment.com', 'js.hs-scripts.com',
+    'js.hs-analytics.net', 'js.hsadspixel.net', 'snap.licdn.com', 'px.ads.linkedin.com', 'bat.bing.com',
+    'clarity.ms', 'static.ads-twitter.com', 'analytics.tiktok.com', 'cdn.mxpnl.com', 'plausible.io',
+    'cdn.heapanalytics.com', 'edge.fullstory.com', 'cdn.amplitude.com', 'js-agent.newrelic.com'
+];
+
+// What happens to a script, iframe or inline snippet a rule matches:
+//   strip   remove it from the page
+//   stub    replace it with a no-op stand-in (scripts) or about:blank (iframes)
+//   keep    leave it pointing at the live URL, nothing is downloaded
+//   mirror  download it into the mirror like any other asset
+const ACTIONS = ['strip', 'stub', 'keep', 'mirror'];
+
+const DEFAULT_POLICY = {
+    // The built-in TRACKER_HOSTS
+    trackers: 'stub',
+    // Third-party scripts and iframes neither a rule nor the tracker list matches
+    others: 'mirror',
+    // { match, action }: a host name, or a glob or /regex/ matched against host + path
+    rules: []
+};
+
+// Globals the usual snippets define or call, so page code keeps running
+const STUB_SCRIPT = `// Offline stand-in for analytics and tracking scripts left out of this mirror
+(function (w) {
+    var noop = function () {};
+    ['dataLayer', '_gaq', '_hsq', 'uetq', '_linkedin_data_partner_ids'].forEach(function (name) {
+        w[name] = w[name] || [];
+    });
+    ['gtag', 'ga', 'fbq', '_fbq', 'ym', 'hj', 'clarity', 'lintrk', 'twq', 'ttq', 'plausible'].forEach(function (name) {
+        if (typeof w[name] !== 'function') w[name] = noop;
+    });
+    ['analytics', 'mixpanel', 'heap', 'amplitude', 'FS'].forEach(function (name) {
+        w[name] = w[name] || new Proxy(noop, { get: function () { return noop; } });
+    });
+})(window);
+`;
+
+// A protocol-relative or absolute URL at the start of a string literal. Snippets
+// hand the file they load over as one ('https://www.googletagmanager.com/gtm.js?id=');
+// text that merely mentions a URL does not start with it.
+const LEADING_URL = /^(?:https?:)?\/\/[a-z0-9-]+(?:\.[a-z0-9-]+)+(?::\d+)?(?:\/[^\s'"`)<>\\]*)?/i;
+
+// src of the pixels and iframes in a <noscript>
+const SRC_ATTRIBUTE = /\bsrc\s*=\s*["']?([^"'\s>]+)/gi;
+
+function hostMatches(host, name) {
+    return host === name || host.endsWith(`.${name}`);
+}
+
+function toRule({ match, action }) {
+    const isHost = !/[/*?]/.test(match);
+    const pattern = isHost ? null : toMatcher(match);
+    return {
+        match,
+        action,
+        test: url => isHost ? hostMatches(url.hostname, match.toLowerCase()) : pattern.test(`${url.host}${url.pathname}`)
+    };
+}
+
+class ThirdPartyPolicy {
+    constructor(baseUrl, options = {}) {
+        this.options = { ...DEFAULT_POLICY, ...options };
+        this.site = new URL(baseUrl).hostname;
+        this.rules = this.options.rules.map(toRule);
+    }
+
+    // { action, rule, source } for a script or iframe URL: rule says what
+    // decided it, source is rule, tracker, others or null for first-party files
+    decide(url) {
+        const undecided = { action: 'mirror', rule: null, source: null };
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return undecided;
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) return undecided;
+
+        const rule = this.rules.find(candidate => candidate.test(parsed));
+        if (rule) return { action: rule.action, rule: rule.match, source: 'rule' };
+
+        const tracker = TRACKER_HOSTS.find(name => hostMatches(parsed.hostname, name));
+        if (tracker) return { action: this.options.trackers, rule: `tracker: ${tracker}`, source: 'tracker' };
+
+        if (!this.isFirstParty(parsed.hostname)) return { action: this.options.others, rule: 'third party', source: 'others' };
+        return undecided;
+    }
+
+    // Whether an asset download is left out. Scripts follow every decision;
+    // other files only rules and the tracker list, not the others setting.
+    blocks(url, type) {
+        const { action, source } = this.decide(url);
+        return action !== 'mirror' && (type === 'js' || source !== 'others');
+    }
+
+    // The site and its subdomains, e.g. www. and cdn.
+    isFirstParty(host) {
+        const site = this.site.replace(/^www\./, '');
+        return hostMatches(host, site);
+    }
+
+    // An inline snippet gets the strictest decision among the URLs it loads.
+    // Comments are skipped, only string literals that start with a URL count.
+    decideInline(code, pageUrl) {
+        const found = tokenize(code)
+            .filter(token => token.type === 'string' || token.type === 'template')
+            .map(token => LEADING_URL.exec(code.slice(token.start + 1, token.end - 1)))
+            .filter(Boolean)
+            .map(match => match[0]);
+        return this.strictest(found, pageUrl);
+    }
+
+    // A <noscript> is judged by the src attributes in it
+    decideNoscript(html, pageUrl) {
+        return this.strictest(Array.from(html.matchAll(SRC_ATTRIBUTE), match => match[1]), pageUrl);
+    }
+
+    // The strip or stub decision for one of urls, null if none gets one
+    strictest(urls, pageUrl) {
+        const decisions = urls.map(found => {
+            let url;
+            try {
+                url = new URL(found, pageUrl).href;
+            } catch (error) {
+                return null;
+            }
+            return { url, ...this.decide(url) };
+        }).filter(decision => decision && ['strip', 'stub'].includes(decision.action));
+        decisions.sort((a, b) => ACTIONS.indexOf(a.action) - ACTIONS.indexOf(b.action));
+        return decisions[0] || null;
+    }
+}
+
+module.exports = { ThirdPartyPolicy, TRACKER_HOSTS, ACTIONS, DEFAULT_POLICY, STUB_SCRIPT };
@@ -0,0 +1,67 @@
+const path = require('path');
+const { URL } = require('url');
+
+// Query parameters that only say where a visitor came from; a trailing *
+// matches every parameter starting with what precedes it
+const TRACKING_PARAMS = [
+    'utm_*', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'yclid', 'twclid',
+    'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'igshid', 'ref_src'
+];
+
+// The URL parser already lowercases the host and drops default ports
+const DEFAULT_RULES = {
+    // 'remove' (/about/ -> /about), 'add' (/about -> /about/, file names untouched) or 'keep'
+    trailingSlash: 'remove',
+    stripParams: TRACKING_PARAMS,
+    removeFragment: true,
+    sortQuery: true,
+    // A page whose <link rel="canonical"> names another in-scope URL is saved under that URL
+    canonical: true
+};
+
+class UrlNormalizer {
+    constructor(rules = {}) {
+        this.rules = { ...DEFAULT_RULES, ...rules };
+        this.stripMatchers = this.rules.stripParams.map(name => name.endsWith('*')
+            ? param => param.startsWith(name.slice(0, -1))
+            : param => param === name);
+    }
+
+    // The form a page URL is known by: visited set, output path, journal.
+    // Anything that does not parse is returned as it is.
+    normalize(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return url;
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) return url;
+
+        if (this.rules.removeFragment) {
+            parsed.hash = '';
+        }
+
+        const params = Array.from(parsed.searchParams)
+            .filter(([name]) => !this.stripMatchers.some(matches => matches(name.toLowerCase())));
+        if (this.rules.sortQuery) {
+            // Stable, so repeated parameters keep their order
+            params.sort((a, b) => a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0);
+        }
+        parsed.search = params.length > 0 ? new URLSearchParams(params).toString() : '';
+
+        if (parsed.pathname !== '/') {
+            if (this.rules.trailingSlash === 'remove') {
+                parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+            } else if (this.rules.trailingSlash === 'add' && !parsed.pathname.endsWith('/') &&
+                !path.posix.extname(parsed.pathname)) {
+                parsed.pathname = `${parsed.pathname}/`;
+            }
+        }
+
+        // The site root is known without its slash, like the crawl's base URL
+        return parsed.pathname === '/' && !parsed.search && !parsed.hash ? parsed.origin : parsed.href;
+    }
+}
+
+module.exports = { UrlNormalizer, DEFAULT_RULES, TRACKING_PARAMS };
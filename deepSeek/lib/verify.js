@@ -0,0 +1,270 @@
+const cheerio = require('cheerio');
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+const { extractCssDependencies, isExternalReference } = require('./css');
+const { extractJsDependencies } = require('./js');
+const { resolveRequestPath } = require('./static-server');
+const { META_IMAGES, BROWSER_CONFIG_IMAGES, jsonLdImages, webManifestImages } = require('./metadata');
+const { LAZY_ATTRIBUTES } = require('./builtin-plugins');
+
+// Pages are resolved as if served from this origin, the way `serve` does
+const MIRROR_ORIGIN = 'http://mirror.local';
+
+// Attributes that load or link to something, per selector
+const REFERENCE_ATTRIBUTES = [
+    ['a[href], area[href]', 'href'],
+    ['link[href]', 'href'],
+    ['img[src], script[src], iframe[src], embed[src], source[src], track[src], video[src], audio[src], input[src]', 'src'],
+    ['img[srcset], source[srcset]', 'srcset'],
+    ['link[imagesrcset]', 'imagesrcset'],
+    ['meta[name="msapplication-config"]', 'content'],
+    ['video[poster]', 'poster'],
+    ['object[data]', 'data'],
+    ['use[href], image[href]', 'href'],
+    ['use[xlink\\:href], image[xlink\\:href]', 'xlink:href'],
+    // Lazy-load attributes, as the crawler's images plugin reads them
+    ...LAZY_ATTRIBUTES
+];
+
+// <link> relations that name a URL rather than load it
+const NON_RESOURCE_RELS = ['canonical', 'alternate', 'preconnect', 'dns-prefetch', 'shortlink', 'author', 'me'];
+
+const IGNORED_FILES = [/^\.crawler\//];
+
+async function listFiles(dir, base = dir) {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(fullPath, base));
+        } else {
+            files.push(path.relative(base, fullPath).split(path.sep).join('/'));
+        }
+    }
+    return files;
+}
+
+function parseSrcset(srcset) {
+    return srcset.split(',')
+        .map(candidate => candidate.trim().split(/\s+/)[0])
+        .filter(Boolean);
+}
+
+// The URL a file is served under: pages/index.html -> <basePath>/pages/
+function toMirrorUrl(file, basePath) {
+    const urlPath = file.endsWith('/index.html') || file === 'index.html'
+        ? file.slice(0, -'index.html'.length)
+        : file;
+    return `${MIRROR_ORIGIN}${basePath}/${urlPath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+function extractHtmlReferences(html, fileUrl) {
+    const $ = cheerio.load(html);
+    const references = [];
+
+    for (const [selector, attr] of REFERENCE_ATTRIBUTES) {
+        $(selector).each((i, elem) => {
+            const value = $(elem).attr(attr);
+            if (!value) return;
+            if (elem.tagName === 'link' && ($(elem).attr('rel') || '').split(/\s+/).some(rel => NON_RESOURCE_RELS.includes(rel))) {
+                return;
+            }
+            const source = `<${elem.tagName} ${attr}>`;
+            if (/url\(|image-set\(/i.test(value)) {
+                extractCssReferences(value).forEach(reference => references.push({ ...reference, source }));
+                return;
+            }
+            const urls = attr.endsWith('srcset') ? parseSrcset(value) : [value.trim()];
+            urls.forEach(url => references.push({ url, source }));
+        });
+    }
+
+    // Preview images may point at the live site on purpose (metaUrls: 'absolute')
+    $(META_IMAGES).each((i, elem) => {
+        const content = ($(elem).attr('content') || '').trim();
+        if (content) {
+            references.push({ url: content, source: `<meta ${$(elem).attr('property') || $(elem).attr('name')}>`, mayBeLive: true });
+        }
+    });
+    $('script[type="application/ld+json"]').each((i, elem) => {
+        try {
+            jsonLdImages(JSON.parse($(elem).html())).forEach(({ holder, key }) =>
+                references.push({ url: holder[key].trim(), source: 'JSON-LD', mayBeLive: true }));
+        } catch (error) {
+            // Not JSON, nothing to check
+        }
+    });
+
+    $('style').each((i, elem) => {
+        extractCssReferences($(elem).html()).forEach(reference => references.push(reference));
+    });
+    $('script:not([src])').each((i, elem) => {
+        if (['text/javascript', 'application/javascript', 'module'].includes(($(elem).attr('type') || 'text/javascript').toLowerCase())) {
+            extractJsReferences($(elem).html(), fileUrl).forEach(reference => references.push(reference));
+        }
+    });
+    $('[style]').each((i, elem) => {
+        extractCssReferences($(elem).attr('style')).forEach(reference => references.push(reference));
+    });
+
+    return references;
+}
+
+function extractCssReferences(css) {
+    return extractCssDependencies(css || '').map(dependency => ({
+        url: dependency.url,
+        source: dependency.kind === 'import' ? '@import' : 'url()'
+    }));
+}
+
+// Modules, source map and webpack chunks; chunks resolve from the public path
+// the runtime sets, or its own folder. Bare module names are not files.
+function extractJsReferences(code, fileUrl) {
+    const { dependencies, chunks, publicPath } = extractJsDependencies(code || '');
+    const references = dependencies
+        .filter(dependency => dependency.kind === 'sourcemap' || /^(\.{0,2}\/|https?:)/i.test(dependency.url))
+        .map(dependency => ({ url: dependency.url, source: dependency.kind }));
+    let base;
+    try {
+        base = new URL(publicPath ? publicPath.url : '.', fileUrl);
+    } catch (error) {
+        // Reported as an invalid URL, the chunks have nothing to resolve from
+        references.push({ url: publicPath.url, source: 'public path' });
+        return references;
+    }
+    chunks.forEach(chunk => references.push({ url: new URL(chunk.name, base).href, source: 'webpack chunk' }));
+    return references;
+}
+
+// Icons of a web app manifest, tile images of a browserconfig.xml
+function extractMetadataReferences(content, file) {
+    if (/\.xml$/i.test(file)) {
+        const $ = cheerio.load(content, { xml: true });
+        return $(BROWSER_CONFIG_IMAGES).toArray()
+            .map(elem => ({ url: $(elem).attr('src'), source: `<${elem.tagName} src>` }));
+    }
+    try {
+        return webManifestImages(JSON.parse(content)).map(image => ({ url: image.src, source: 'manifest icon' }));
+    } catch (error) {
+        return [];
+    }
+}
+
+function isCheckable(url) {
+    return isExternalReference(url) && !/^(mailto|tel|sms|blob):/i.test(url);
+}
+
+// Walks every HTML and CSS file of a mirror and resolves their references the
+// way a browser would. liveOrigins are the origins the mirror was made from;
+// anything still pointing there is reported, other external URLs are not.
+// basePath is the path the mirror is hosted under, as given to the mirror.
+async function verifyMirror(outputDir, options = {}) {
+    const basePath = (options.basePath || '').replace(/\/+$/, '');
+    const liveHosts = new Set((options.liveOrigins || []).map(origin => new URL(origin).host));
+    const files = (await listFiles(outputDir)).filter(file => !IGNORED_FILES.some(pattern => pattern.test(file)));
+    const referenced = new Set();
+    const result = { checkedFiles: 0, references: 0, missing: [], live: [], orphaned: [] };
+
+    for (const file of files) {
+        const isHtml = /\.html?$/i.test(file);
+        const isCss = /\.css$/i.test(file);
+        const isJs = /\.m?js$/i.test(file);
+        const isMetadata = /\.(webmanifest|json|xml)$/i.test(file);
+        if (!isHtml && !isCss && !isJs && !isMetadata) continue;
+
+        const content = await fs.readFile(path.join(outputDir, file), 'utf8');
+        const fileUrl = toMirrorUrl(file, basePath);
+        const references = isHtml ? extractHtmlReferences(content, fileUrl)
+            : isCss ? extractCssReferences(content)
+                : isJs ? extractJsReferences(content, fileUrl)
+                    : extractMetadataReferences(content, file);
+        result.checkedFiles++;
+
+        for (const reference of references) {
+            if (!isCheckable(reference.url)) continue;
+            result.references++;
+
+            let target;
+            try {
+                target = new URL(reference.url, fileUrl);
+            } catch (error) {
+                result.missing.push({ file, url: reference.url, source: reference.source, reason: 'invalid URL' });
+                continue;
+            }
+
+            if (target.origin !== MIRROR_ORIGIN) {
+                if (liveHosts.has(target.host) && !reference.mayBeLive) {
+                    result.live.push({ file, url: reference.url, source: reference.source });
+                }
+                continue;
+            }
+
+            if (!target.pathname.startsWith(`${basePath}/`)) {
+                result.missing.push({ file, url: reference.url, source: reference.source, reason: `outside ${basePath}/` });
+                continue;
+            }
+            const targetPath = resolveRequestPath(outputDir, target.pathname.slice(basePath.length));
+            if (!targetPath || !(await fs.pathExists(targetPath))) {
+                result.missing.push({ file, url: reference.url, source: reference.source, reason: 'file not found' });
+                continue;
+            }
+            referenced.add(path.relative(outputDir, targetPath).split(path.sep).join('/'));
+        }
+    }
+
+    result.orphaned = files.filter(file => !/\.html?$/i.test(file) && !referenced.has(file));
+    result.ok = result.missing.length === 0 && result.live.length === 0 && result.orphaned.length === 0;
+    return result;
+}
+
+// Origins the mirror was made from: the configured URL plus every page origin
+// recorded in the mirror's manifest
+async function findLiveOrigins(outputDir, url = null) {
+    const origins = new Set(url ? [new URL(url).origin] : []);
+    try {
+        const manifest = await fs.readJson(path.join(outputDir, '.crawler', 'manifest.json'));
+        for (const entry of Object.values(manifest.entries || {})) {
+            if (entry.type === 'page') {
+                origins.add(new URL(entry.url).origin);
+            }
+        }
+    } catch (error) {
+        // No manifest: only the configured URL is known
+    }
+    return Array.from(origins);
+}
+
+function formatVerifyReport(result) {
+    const lines = [
+        '=== Mirror Verification ===',
+        `Checked:      ${result.checkedFiles} files, ${result.references} references`,
+        `Missing:      ${result.missing.length}`,
+        `Live links:   ${result.live.length}`,
+        `Orphaned:     ${result.orphaned.length}`
+    ];
+
+    if (result.missing.length > 0) {
+        lines.push('Missing files:');
+        for (const problem of result.missing) {
+            lines.push(`  ${problem.file}: ${problem.source} ${problem.url} - ${problem.reason}`);
+        }
+    }
+    if (result.live.length > 0) {
+        lines.push('Links to the live site:');
+        for (const problem of result.live) {
+            lines.push(`  ${problem.file}: ${problem.source} ${problem.url}`);
+        }
+    }
+    if (result.orphaned.length > 0) {
+        lines.push('Files nothing references:');
+        for (const file of result.orphaned) {
+            lines.push(`  ${file}`);
+        }
+    }
+
+    lines.push(result.ok ? '✅ Mirror is consistent' : '❌ Mirror has problems');
+    return lines.join('\n');
+}
+
+module.exports = { verifyMirror, findLiveOrigins, formatVerifyReport, MIRROR_ORIGIN, toMirrorUrl };
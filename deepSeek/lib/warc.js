@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { version } = require('../package.json');
+const { decodeBody } = require('./streaming');
+
+// Writes a WARC 1.1 file (ISO 28500), one gzip member per record as .warc.gz
+// readers expect. Every exchange is a request record holding the headers as
+// sent and a response record holding status line, headers and body as received.
+class WarcWriter {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.append = Boolean(options.append);
+        this.stream = null;
+        // Records are written one after the other, never interleaved
+        this.queue = Promise.resolve();
+    }
+
+    async open(info = {}) {
+        this.stream = fs.createWriteStream(this.filePath, { flags: this.append ? 'a' : 'w' });
+        const fields = {
+            software: `deepsik/${version}`,
+            format: 'WARC File Format 1.1',
+            conformsTo: 'http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+            ...info
+        };
+        const body = Object.entries(fields).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+        await this.writeRecord({
+            'WARC-Type': 'warcinfo',
+            'WARC-Filename': path.basename(this.filePath),
+            'Content-Type': 'application/warc-fields'
+        }, Buffer.from(body));
+    }
+
+    // body is the raw response body: a Buffer, or { path, start } for one that
+    // was streamed to disk
+    writeExchange(response, body) {
+        const res = response.request && response.request.res;
+        if (!res) return this.queue;
+
+        const url = res.responseUrl || response.config.url;
+        const date = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        const responseId = recordId();
+        const ipAddress = response.request.socket && response.request.socket.remoteAddress;
+
+        const head = [`HTTP/${res.httpVersion} ${res.statusCode} ${res.statusMessage || ''}`];
+        for (let i = 0; i < res.rawHeaders.length; i += 2) {
+            head.push(`${res.rawHeaders[i]}: ${res.rawHeaders[i + 1]}`);
+        }
+
+        return this.enqueue(async () => {
+            await this.writeRecord({
+                'WARC-Type': 'response',
+                'WARC-Record-ID': responseId,
+                'WARC-Date': date,
+                'WARC-Target-URI': url,
+                ...(ipAddress ? { 'WARC-IP-Address': ipAddress } : {}),
+                'Content-Type': 'application/http;msgtype=response'
+            }, Buffer.from(`${head.join('\r\n')}\r\n\r\n`), body);
+
+            // _header is the request head exactly as node sent it
+            if (response.request._header) {
+                await this.writeRecord({
+                    'WARC-Type': 'request',
+                    'WARC-Date': date,
+                    'WARC-Target-URI': url,
+                    'WARC-Concurrent-To': responseId,
+                    'Content-Type': 'application/http;msgtype=request'
+                }, Buffer.from(response.request._header));
+            }
+        });
+    }
+
+    // Content that did not come from a plain HTTP exchange, e.g. a rendered page
+    writeResource(url, contentType, data) {
+        return this.enqueue(() => this.writeRecord({
+            'WARC-Type': 'resource',
+            'WARC-Date': new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+            'WARC-Target-URI': url,
+            'Content-Type': contentType
+        }, Buffer.from(data)));
+    }
+
+    enqueue(write) {
+        this.queue = this.queue.then(write);
+        return this.queue;
+    }
+
+    async writeRecord(fields, head, body = null) {
+        const bodyLength = body === null ? 0
+            : Buffer.isBuffer(body) ? body.length
+                : (await fs.stat(body.path)).size - (body.start || 0);
+        const header = {
+            'WARC-Record-ID': recordId(),
+            'WARC-Date': new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+            ...fields,
+            'Content-Length': head.length + bodyLength
+        };
+        const headerText = `WARC/1.1\r\n${Object.entries(header).map(([name, value]) => `${name}: ${value}`).join('\r\n')}\r\n\r\n`;
+
+        const gzip = zlib.createGzip();
+        const done = once(gzip, 'end');
+        gzip.pipe(this.stream, { end: false });
+        gzip.write(headerText);
+        gzip.write(head);
+        if (Buffer.isBuffer(body)) {
+            gzip.write(body);
+        } else if (body) {
+            for await (const chunk of fs.createReadStream(body.path, { start: body.start || 0 })) {
+                if (!gzip.write(chunk)) await once(gzip, 'drain');
+            }
+        }
+        gzip.end('\r\n\r\n');
+        await done;
+    }
+
+    async close() {
+        if (!this.stream) return;
+        await this.queue;
+        await new Promise((resolve, reject) => this.stream.end(error => error ? reject(error) : resolve()));
+        this.stream = null;
+    }
+}
+
+function recordId() {
+    return `<urn:uuid:${crypto.randomUUID()}>`;
+}
+
+// What axios would have made of the decoded body for responseType
+function toResponseType(data, responseType) {
+    if (responseType === 'arraybuffer') return data;
+    const text = data.toString('utf8');
+    if (responseType !== 'json') return text;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// Records every buffered response of an axios instance. They are fetched
+// undecoded so the archive gets the bytes as sent, and decoded afterwards.
+// Streamed responses are left to the caller, see streamToFile's rawPath.
+function attachWarc(instance, warc) {
+    instance.interceptors.request.use(config => {
+        if (config.responseType !== 'stream') {
+            config.warcResponseType = config.responseType || 'json';
+            config.responseType = 'arraybuffer';
+            config.decompress = false;
+        }
+        return config;
+    });
+
+    const record = async response => {
+        if (!response || !response.config || !response.config.warcResponseType) return;
+        const raw = Buffer.from(response.data);
+        await warc.writeExchange(response, raw);
+        response.data = toResponseType(decodeBody(raw, response.headers['content-encoding']), response.config.warcResponseType);
+        // As axios leaves it when it decodes
+        delete response.headers['content-encoding'];
+    };
+
+    instance.interceptors.response.use(async response => {
+        await record(response);
+        return response;
+    }, async error => {
+        await record(error.response);
+        throw error;
+    });
+    return instance;
+}
+
+module.exports = { WarcWriter, attachWarc };
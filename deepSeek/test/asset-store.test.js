@@ -0,0 +1,61 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { AssetStore } = require('../lib/asset-store');
+
+async function withStore(options, run) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-store-'));
+    try {
+        await run(new AssetStore(dir, { logger: { log() {} }, ...options }), dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test('stores identical content once', () => withStore({}, async (store, dir) => {
+    const first = await store.store('https://example.com/a/logo.png', 'same');
+    const second = await store.store('https://cdn.example.com/b/logo-copy.png', 'same');
+    assert.strictEqual(first.filename, 'logo.png');
+    assert.deepStrictEqual(second, { filename: 'logo.png', hash: first.hash, deduplicated: true });
+    assert.deepStrictEqual(await fs.readdir(dir), ['logo.png']);
+}));
+
+test('gives a different URL with the same name its own file', () => withStore({}, async (store, dir) => {
+    const first = await store.store('https://example.com/a/logo.png', 'one');
+    const second = await store.store('https://example.com/b/logo.png', 'two');
+    assert.strictEqual(first.filename, 'logo.png');
+    assert.match(second.filename, /^logo-[0-9a-f]{8}\.png$/);
+    assert.strictEqual(await fs.readFile(path.join(dir, second.filename), 'utf8'), 'two');
+    // The same URL keeps its name when it is stored again
+    assert.strictEqual((await store.store('https://example.com/a/logo.png', 'three', { dedupe: false })).filename, 'logo.png');
+}));
+
+test('names files by query string and extension', () => withStore({}, async store => {
+    assert.match(store.getPreferredName('https://example.com/gtag/js?id=A', 'js'), /^js-[0-9a-f]{8}\.js$/);
+    assert.notStrictEqual(store.getPreferredName('https://example.com/gtag/js?id=A', 'js'),
+        store.getPreferredName('https://example.com/gtag/js?id=B', 'js'));
+    assert.strictEqual(store.getPreferredName('https://example.com/', 'css'), 'index.css');
+    assert.strictEqual(store.getPreferredName('https://example.com/my%20file.png'), 'my_file.png');
+}));
+
+test('keeps the original path with preservePaths', () => withStore({ preservePaths: true }, async store => {
+    assert.strictEqual(store.getPreferredName('https://cdn.example.com:8080/img/a/logo.png'), 'cdn.example.com_8080/img/a/logo.png');
+}));
+
+test('moves streamed files into place and respects registered files', () => withStore({}, async (store, dir) => {
+    store.register('https://example.com/old/logo.png', 'logo.png', 'kept-hash');
+    assert.strictEqual((await store.store('https://example.com/x.png', 'x', {})).deduplicated, false);
+
+    const tempPath = path.join(dir, '.tmp-download');
+    await fs.writeFile(tempPath, 'streamed');
+    const stored = await store.storeFile('https://example.com/new/logo.png', tempPath);
+    assert.match(stored.filename, /^logo-[0-9a-f]{8}\.png$/);
+    assert.strictEqual(await fs.pathExists(tempPath), false);
+
+    await fs.writeFile(tempPath, 'other');
+    const reused = await store.storeFile('https://example.com/again.png', tempPath, { hash: 'kept-hash' });
+    assert.deepStrictEqual(reused, { filename: 'logo.png', hash: 'kept-hash', deduplicated: true });
+    assert.strictEqual(await fs.pathExists(tempPath), false);
+}));
@@ -0,0 +1,65 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('../lib/config');
+const { requestHeaders, resolveProfile } = require('../lib/browser-profiles');
+
+test('sends document headers for a first navigation', () => {
+    const headers = requestHeaders(resolveProfile(), 'document', { url: 'https://example.com/' });
+    assert.match(headers['user-agent'], /Chrome\/\d+/);
+    assert.match(headers.accept, /^text\/html/);
+    assert.strictEqual(headers['sec-fetch-dest'], 'document');
+    assert.strictEqual(headers['sec-fetch-mode'], 'navigate');
+    assert.strictEqual(headers['sec-fetch-site'], 'none');
+    assert.strictEqual(headers['sec-fetch-user'], '?1');
+    assert.strictEqual(headers['upgrade-insecure-requests'], '1');
+    assert.strictEqual(headers.referer, undefined);
+});
+
+test('derives sec-fetch-site and the referer from the embedding page', () => {
+    const profile = resolveProfile('firefox');
+    const page = 'https://www.example.com/blog/post?id=1';
+
+    const sameOrigin = requestHeaders(profile, 'image', { url: 'https://www.example.com/a.png', referrer: page });
+    assert.strictEqual(sameOrigin['sec-fetch-site'], 'same-origin');
+    assert.strictEqual(sameOrigin['sec-fetch-mode'], 'no-cors');
+    assert.strictEqual(sameOrigin.referer, page);
+
+    const sameSite = requestHeaders(profile, 'font', { url: 'https://cdn.example.com/a.woff2', referrer: page });
+    assert.strictEqual(sameSite['sec-fetch-site'], 'same-site');
+    assert.strictEqual(sameSite['sec-fetch-mode'], 'cors');
+    assert.strictEqual(sameSite.referer, 'https://www.example.com/');
+    assert.match(sameSite.accept, /font-woff2/);
+
+    const crossSite = requestHeaders(profile, 'empty', { url: 'https://api.other.net/x', referrer: page });
+    assert.strictEqual(crossSite['sec-fetch-site'], 'cross-site');
+    assert.strictEqual(crossSite.accept, '*/*');
+});
+
+test('custom profiles extend built-in ones', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'profiles-'));
+    try {
+        const file = path.join(dir, 'profiles.json');
+        await fs.writeJson(file, {
+            kiosk: { extends: 'chrome-desktop', userAgent: 'Kiosk/1.0', headers: { 'accept-language': 'de-DE' } }
+        });
+        const profile = resolveProfile('kiosk', file);
+        assert.strictEqual(profile.name, 'kiosk');
+        assert.strictEqual(profile.userAgent, 'Kiosk/1.0');
+        assert.strictEqual(profile.headers['accept-language'], 'de-DE');
+        assert.strictEqual(profile.headers['sec-ch-ua-mobile'], '?0');
+        assert.strictEqual(profile.secFetch, true);
+
+        await fs.writeJson(file, { broken: { extends: 'netscape' }, empty: { headers: {} } });
+        assert.throws(() => resolveProfile('broken', file), error =>
+            error instanceof ConfigError && error.problems.length === 2);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('rejects unknown profile names', () => {
+    assert.throws(() => resolveProfile('netscape'), ConfigError);
+});
@@ -0,0 +1,85 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const cheerio = require('cheerio');
+const { BUILTIN_PLUGINS } = require('../lib/builtin-plugins');
+const { SiteDownloader } = require('../lib/site-downloader');
+
+const plugin = name => BUILTIN_PLUGINS.find(builtin => builtin.name === name);
+
+// Records what a plugin asks for and saves every asset as /assets/<file name>
+function fakeDownloader(overrides = {}) {
+    const requested = [];
+    return {
+        requested,
+        config: { metaUrls: 'local' },
+        fontsDir: 'fonts',
+        logger: { log() {}, error() {} },
+        getAssetType: SiteDownloader.prototype.getAssetType,
+        getAssetLink: localPath => `/assets/${localPath}`,
+        getPageOutputPath: () => 'index.html',
+        getLocalLink: localPath => localPath,
+        processSrcset: async () => null,
+        transformCss: async css => css,
+        noteIntegrity() {},
+        isQueuedPage: () => false,
+        getPageLink: url => url,
+        async processAsset(url, baseUrl, type, callback) {
+            let assetUrl;
+            try {
+                assetUrl = new URL(url, baseUrl);
+            } catch (error) {
+                return;
+            }
+            requested.push([assetUrl.href, type]);
+            callback(assetUrl.pathname.split('/').pop());
+        },
+        ...overrides
+    };
+}
+
+test('lazy sources that are not valid URLs are left alone', async () => {
+    const $ = cheerio.load('<img data-src="/img/a.png"><div data-src="http://[bad"></div><video data-src="/media/clip.webp"></video>');
+    const downloader = fakeDownloader();
+    await plugin('images').onHtml($, { url: 'https://example.com/', downloader });
+    assert.deepStrictEqual(downloader.requested, [
+        ['https://example.com/img/a.png', 'images'],
+        ['https://example.com/media/clip.webp', 'images']
+    ]);
+    assert.strictEqual($('img').attr('src'), '/assets/a.png');
+    assert.strictEqual($('div').attr('data-src'), 'http://[bad');
+});
+
+const METADATA_PAGE = `<head>
+<meta property="og:image" content="/img/share.png">
+<meta name="twitter:image" content="http://[bad">
+<script type="application/ld+json">{"@type": "Article", "image": ["http://[bad", "/img/article.png"]}</script>
+<link rel="preload" href="http://[bad" as="image">
+<link rel="prefetch" href="http://[bad">
+<link rel="prefetch" href="/next">
+<link rel="preload" href="/img/hero.png" as="image">
+</head>`;
+
+test('metadata skips values that are not valid URLs', async () => {
+    const $ = cheerio.load(METADATA_PAGE);
+    const downloader = fakeDownloader();
+    await plugin('metadata').onHtml($, { url: 'https://example.com/', downloader });
+    assert.deepStrictEqual(downloader.requested.map(([url]) => url).sort(), [
+        'https://example.com/img/article.png',
+        'https://example.com/img/hero.png',
+        'https://example.com/img/share.png'
+    ]);
+    assert.strictEqual($('meta[name="twitter:image"]').attr('content'), 'http://[bad');
+    assert.strictEqual($('link[href="/assets/hero.png"]').length, 1);
+    // Pages that were not queued stay on the live site
+    assert.strictEqual($('link[href="https://example.com/next"]').length, 1);
+});
+
+test('metadata with absolute URLs resolves what parses and keeps the rest', async () => {
+    const $ = cheerio.load(METADATA_PAGE);
+    const downloader = fakeDownloader({ config: { metaUrls: 'absolute' } });
+    await plugin('metadata').onHtml($, { url: 'https://example.com/blog/', downloader });
+    assert.strictEqual($('meta[property="og:image"]').attr('content'), 'https://example.com/img/share.png');
+    assert.strictEqual($('meta[name="twitter:image"]').attr('content'), 'http://[bad');
+    assert.deepStrictEqual(JSON.parse($('script[type="application/ld+json"]').html()).image,
+        ['http://[bad', 'https://example.com/img/article.png']);
+});
@@ -0,0 +1,104 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { createBundle, listBundleFiles, crc32 } = require('../lib/bundle');
+
+const LONG_NAME = `${'deep/'.repeat(25)}file.txt`;
+
+const MIRROR = {
+    'index.html': '<h1>Hello</h1>',
+    'assets/logo.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 3]),
+    [LONG_NAME]: 'long',
+    '.crawler/manifest.json': '{}',
+    '.crawler/journal.json': '{}',
+    '.crawler/statistics/download-statistics-1.json': '{}'
+};
+
+async function withMirror(run) {
+    const base = await fs.mkdtemp(path.join(os.tmpdir(), 'bundle-'));
+    const dir = path.join(base, 'public');
+    try {
+        for (const [file, content] of Object.entries(MIRROR)) {
+            await fs.outputFile(path.join(dir, file), content);
+        }
+        await run(dir, base);
+    } finally {
+        await fs.remove(base);
+    }
+}
+
+// name -> content of every entry, read back through the central directory
+function readZip(data) {
+    const end = data.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = data.readUInt16LE(end + 10);
+    const entries = {};
+    let offset = data.readUInt32LE(end + 16);
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(data.readUInt32LE(offset), 0x02014b50);
+        const crc = data.readUInt32LE(offset + 16);
+        const compressedSize = data.readUInt32LE(offset + 20);
+        const nameLength = data.readUInt16LE(offset + 28);
+        const localOffset = data.readUInt32LE(offset + 42);
+        const name = data.slice(offset + 46, offset + 46 + nameLength).toString();
+        const start = localOffset + 30 + data.readUInt16LE(localOffset + 26);
+        const content = zlib.inflateRawSync(data.slice(start, start + compressedSize));
+        assert.strictEqual(crc32(content), crc, name);
+        entries[name] = content;
+        offset += 46 + nameLength;
+    }
+    return entries;
+}
+
+// name -> content, with PAX path records applied
+function readTar(data) {
+    const entries = {};
+    let offset = 0;
+    let paxPath = null;
+    while (offset < data.length && data[offset] !== 0) {
+        const header = data.slice(offset, offset + 512);
+        const name = header.slice(0, 100).toString().replace(/\0.*$/s, '');
+        const size = parseInt(header.slice(124, 136).toString(), 8);
+        const type = String.fromCharCode(header[156]);
+        const content = data.slice(offset + 512, offset + 512 + size);
+        offset += 512 + Math.ceil(size / 512) * 512;
+        if (type === 'x') {
+            const match = content.toString().match(/ path=(.*)\n/);
+            paxPath = match && match[1];
+            continue;
+        }
+        entries[paxPath || name] = content;
+        paxPath = null;
+    }
+    return entries;
+}
+
+const expected = () => Object.fromEntries(['.crawler/manifest.json', LONG_NAME, 'assets/logo.png', 'index.html']
+    .map(file => [`public/${file}`, Buffer.from(MIRROR[file])]));
+
+test('lists the mirror without crawl state except the manifest', () => withMirror(async dir => {
+    assert.deepStrictEqual(await listBundleFiles(dir), ['.crawler/manifest.json', 'assets/logo.png', LONG_NAME, 'index.html']);
+}));
+
+test('crc32 matches the reference value', () => {
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.strictEqual(crc32(Buffer.from('6789'), crc32(Buffer.from('12345'))), 0xcbf43926);
+});
+
+test('writes a zip that unpacks to the mirror', () => withMirror(async (dir, base) => {
+    const { filePath, files } = await createBundle(dir, path.join(base, 'public.zip'), 'zip');
+    assert.strictEqual(files, 4);
+    assert.deepStrictEqual(readZip(await fs.readFile(filePath)), expected());
+}));
+
+test('writes a tar.gz that unpacks to the mirror', () => withMirror(async (dir, base) => {
+    const { filePath } = await createBundle(dir, path.join(base, 'public.tar.gz'), 'tar.gz');
+    assert.deepStrictEqual(readTar(zlib.gunzipSync(await fs.readFile(filePath))), expected());
+    assert.deepStrictEqual(await fs.readdir(base), ['public', 'public.tar.gz']);
+}));
+
+test('rejects unknown formats', () => withMirror(async (dir, base) => {
+    await assert.rejects(createBundle(dir, path.join(base, 'public.rar'), 'rar'), /Unknown bundle format/);
+}));
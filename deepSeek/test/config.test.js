@@ -0,0 +1,82 @@
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { ConfigError, validateConfig, loadConfigFile, resolveConfig } = require('../lib/config');
+const { flagsToConfig } = require('../cli');
+
+test('valid options pass through unchanged', () => {
+    const config = { url: 'https://example.com', timeout: 1000, scope: { include: ['/ru'], maxDepth: 0 } };
+    assert.strictEqual(validateConfig(config), config);
+});
+
+test('every problem is listed, nested groups by their path', () => {
+    assert.throws(() => validateConfig({
+        url: 'ftp://example.com',
+        timeout: -1,
+        colour: 'red',
+        scope: { maxPages: 0 },
+        normalize: { trailingSlash: 'sometimes' }
+    }, 'crawler.config.json'), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepStrictEqual(error.problems.map(problem => problem.split(':').slice(0, 2).join(':')), [
+            'crawler.config.json: url',
+            'crawler.config.json: timeout',
+            'crawler.config.json: colour',
+            'crawler.config.json: scope.maxPages',
+            'crawler.config.json: normalize.trailingSlash'
+        ]);
+        return true;
+    });
+});
+
+test('flags override the config file, nested groups key by key', () => {
+    const config = resolveConfig(
+        { url: 'https://example.com', timeout: 1000, scope: { include: ['/ru'], maxDepth: 2 }, headers: { a: '1' } },
+        { timeout: 2000, scope: { maxDepth: 1 }, headers: { b: '2' } }
+    );
+    assert.strictEqual(config.timeout, 2000);
+    assert.deepStrictEqual(config.scope, { include: ['/ru'], maxDepth: 1 });
+    assert.deepStrictEqual(config.headers, { a: '1', b: '2' });
+});
+
+test('command line flags map onto config keys', () => {
+    assert.deepStrictEqual(flagsToConfig({
+        output: 'out',
+        quiet: true,
+        timeout: '500',
+        'max-depth': '3',
+        'no-canonical': true,
+        header: ['Authorization: Bearer x'],
+        'browser-arg': ['--no-sandbox'],
+        'ignore-robots': true
+    }), {
+        outputDir: 'out',
+        quiet: true,
+        timeout: 500,
+        scope: { maxDepth: 3 },
+        normalize: { canonical: false },
+        headers: { authorization: 'Bearer x' },
+        browserArgs: ['--no-sandbox'],
+        respectRobots: false
+    });
+});
+
+test('numbers that do not parse are left for validation to name', () => {
+    const config = flagsToConfig({ timeout: 'soon' });
+    assert.throws(() => validateConfig(config), /timeout: must be a positive integer \(got "soon"\)/);
+});
+
+test('config files are read as JSON or modules', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-'));
+    try {
+        await fs.writeJson(path.join(dir, 'crawler.config.json'), { timeout: 5 });
+        await fs.writeFile(path.join(dir, 'crawler.config.js'), 'module.exports = { timeout: 6 };');
+        assert.deepStrictEqual(loadConfigFile(path.join(dir, 'crawler.config.json')), { timeout: 5 });
+        assert.deepStrictEqual(loadConfigFile(path.join(dir, 'crawler.config.js')), { timeout: 6 });
+        assert.throws(() => loadConfigFile(path.join(dir, 'missing.json')), ConfigError);
+    } finally {
+        await fs.remove(dir);
+    }
+});
@@ -0,0 +1,82 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const http = require('http');
+const axios = require('axios');
+const { CookieJar, attachCookieJar } = require('../lib/cookie-jar');
+
+test('scopes cookies by host, domain, path and scheme', () => {
+    const jar = new CookieJar();
+    jar.setCookie('host=1', 'https://www.example.com/a/page');
+    jar.setCookie('wide=2; Domain=.example.com; Path=/', 'https://www.example.com/');
+    jar.setCookie('docs=3; Path=/docs', 'https://www.example.com/');
+    jar.setCookie('secure=4; Secure; HttpOnly', 'https://www.example.com/');
+    jar.setCookie('foreign=5; Domain=other.com', 'https://www.example.com/');
+
+    assert.strictEqual(jar.size, 4);
+    assert.strictEqual(jar.getCookieHeader('https://www.example.com/a/x'), 'host=1; wide=2; secure=4');
+    assert.strictEqual(jar.getCookieHeader('https://cdn.example.com/a/x'), 'wide=2');
+    assert.strictEqual(jar.getCookieHeader('https://www.example.com/docs/intro'), 'docs=3; wide=2; secure=4');
+    assert.strictEqual(jar.getCookieHeader('https://www.example.com/docsearch'), 'wide=2; secure=4');
+    assert.strictEqual(jar.getCookieHeader('http://www.example.com/a/x'), 'host=1; wide=2');
+});
+
+test('expires cookies by Max-Age or Expires', () => {
+    const jar = new CookieJar();
+    jar.setCookie('session=1', 'https://example.com/');
+    jar.setCookie('gone=1; Max-Age=0', 'https://example.com/');
+    jar.setCookie('past=1; Expires=Thu, 01 Jan 1970 00:00:01 GMT', 'https://example.com/');
+    jar.setCookie('kept=1; Expires=Thu, 01 Jan 1970 00:00:01 GMT; Max-Age=60', 'https://example.com/');
+    assert.strictEqual(jar.getCookieHeader('https://example.com/'), 'session=1; kept=1');
+
+    jar.setCookie('session=; Max-Age=-1', 'https://example.com/');
+    assert.strictEqual(jar.getCookieHeader('https://example.com/'), 'kept=1');
+});
+
+test('imports Netscape cookies.txt and JSON exports', () => {
+    const jar = new CookieJar();
+    jar.importNetscape([
+        '# Netscape HTTP Cookie File',
+        '.example.com\tTRUE\t/\tFALSE\t0\tconsent\tyes',
+        '#HttpOnly_www.example.com\tFALSE\t/\tTRUE\t4102444800\tsid\tabc',
+        'broken line'
+    ].join('\n'));
+    jar.importJson({ cookies: [
+        { name: 'geo', value: 'de', domain: '.example.com', path: '/', expires: -1 },
+        { name: 'old', value: 'x', domain: 'example.com', expirationDate: 1 }
+    ] });
+
+    assert.strictEqual(jar.getCookieHeader('https://www.example.com/'), 'consent=yes; sid=abc; geo=de');
+    const sid = jar.toJSON().find(cookie => cookie.name === 'sid');
+    assert.deepStrictEqual([sid.hostOnly, sid.secure, sid.httpOnly, sid.expires], [true, true, true, 4102444800000]);
+    assert.strictEqual(new CookieJar(jar.toJSON()).getCookieHeader('https://www.example.com/'), jar.getCookieHeader('https://www.example.com/'));
+});
+
+test('sends and stores cookies across redirects', async () => {
+    const seen = [];
+    const server = http.createServer((req, res) => {
+        seen.push([req.url, req.headers.cookie || '']);
+        if (req.url === '/login') {
+            res.writeHead(302, { location: '/home', 'set-cookie': 'sid=42; Path=/' });
+        } else {
+            res.writeHead(200, { 'set-cookie': 'seen=1' });
+        }
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const jar = new CookieJar();
+        jar.setCookie('consent=yes', `${base}/`);
+        const client = attachCookieJar(axios.create(), jar);
+
+        await client.get(`${base}/login`);
+        await client.get(`${base}/other`);
+        assert.deepStrictEqual(seen, [
+            ['/login', 'consent=yes'],
+            ['/home', 'consent=yes; sid=42'],
+            ['/other', 'consent=yes; sid=42; seen=1']
+        ]);
+    } finally {
+        server.close();
+    }
+});
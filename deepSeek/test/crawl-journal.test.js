@@ -0,0 +1,60 @@
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { CrawlJournal } = require('../lib/crawl-journal');
+
+async function withTempDir(run) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-'));
+    try {
+        await run(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test('save and load round-trip the state', () => withTempDir(async dir => {
+    const journal = new CrawlJournal(dir);
+    journal.save({ baseUrl: 'https://example.com/', frontier: ['https://example.com/a'] });
+    const state = await journal.load();
+    assert.strictEqual(state.baseUrl, 'https://example.com/');
+    assert.deepStrictEqual(state.frontier, ['https://example.com/a']);
+}));
+
+test('load ignores a journal of another version', () => withTempDir(async dir => {
+    await fs.writeJson(path.join(dir, 'journal.json'), { version: 99 });
+    assert.strictEqual(await new CrawlJournal(dir).load(), null);
+}));
+
+test('scheduled saves are throttled and the latest state wins', () => withTempDir(async dir => {
+    const journal = new CrawlJournal(dir, { saveInterval: 50 });
+    let reads = 0;
+    for (let i = 0; i < 100; i++) {
+        journal.schedule(() => {
+            reads++;
+            return { count: i };
+        });
+    }
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.strictEqual(reads, 1);
+    assert.strictEqual((await journal.load()).count, 99);
+}));
+
+test('flush writes the pending state right away', () => withTempDir(async dir => {
+    const journal = new CrawlJournal(dir, { saveInterval: 60000 });
+    journal.lastSave = Date.now();
+    journal.schedule(() => ({ count: 1 }));
+    assert.strictEqual(await journal.load(), null);
+    journal.flush();
+    assert.strictEqual((await journal.load()).count, 1);
+}));
+
+test('remove cancels a pending save', () => withTempDir(async dir => {
+    const journal = new CrawlJournal(dir, { saveInterval: 20 });
+    journal.lastSave = Date.now();
+    journal.schedule(() => ({ count: 1 }));
+    await journal.remove();
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.strictEqual(await journal.load(), null);
+}));
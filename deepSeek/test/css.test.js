@@ -0,0 +1,65 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { extractCssDependencies, rewriteCss, isExternalReference } = require('../lib/css');
+
+const refs = css => extractCssDependencies(css).map(({ url, kind }) => [kind, url]);
+
+test('finds @import in string and url() form', () => {
+    assert.deepStrictEqual(refs('@import "a.css";\n@import url(\'b.css\') screen;\n@import url(c.css) layer(base);'), [
+        ['import', 'a.css'],
+        ['import', 'b.css'],
+        ['import', 'c.css']
+    ]);
+});
+
+test('tells font sources from other url() values', () => {
+    const css = '@font-face { font-family: x; src: url(x.woff2) format("woff2"), url("x.woff") }\n' +
+        '.a { background: url( "img/bg.png" ) }';
+    assert.deepStrictEqual(refs(css), [
+        ['font', 'x.woff2'],
+        ['font', 'x.woff'],
+        ['url', 'img/bg.png']
+    ]);
+});
+
+test('reads bare strings and url() inside image-set()', () => {
+    const css = '.a { background-image: image-set("a-1x.png" 1x, url(a-2x.png) 2x); }\n' +
+        '.b { background-image: -webkit-image-set(\'b.png\' 1x); }';
+    assert.deepStrictEqual(refs(css), [
+        ['image-set', 'a-1x.png'],
+        ['url', 'a-2x.png'],
+        ['image-set', 'b.png']
+    ]);
+});
+
+test('skips comments and strings that only look like references', () => {
+    const css = '/* .old { background: url(old.png) } */\n' +
+        '.a::before { content: "url(fake.png)"; }\n' +
+        '.b { background: url(real.png) }';
+    assert.deepStrictEqual(refs(css), [['url', 'real.png']]);
+});
+
+test('unescapes CSS escapes in URLs', () => {
+    assert.deepStrictEqual(refs('.a { background: url(my\\ image.png) }\n.b { background: url("\\31 .png") }'), [
+        ['url', 'my image.png'],
+        ['url', '1.png']
+    ]);
+});
+
+test('rewrites references in place and quotes values that need it', () => {
+    const css = '@import "a.css"; .x { background: url(b.png) } .y { background: url(c.png) }';
+    const dependencies = extractCssDependencies(css);
+    const rewritten = rewriteCss(css, dependencies, dependency => ({
+        'a.css': '/assets/a.css',
+        'b.png': '/assets/my b.png'
+    })[dependency.url]);
+    assert.strictEqual(rewritten, '@import "/assets/a.css"; .x { background: url("/assets/my b.png") } .y { background: url(c.png) }');
+});
+
+test('leaves data:, fragment, about: and javascript: references alone', () => {
+    assert.strictEqual(isExternalReference('img/a.png'), true);
+    assert.strictEqual(isExternalReference('https://example.com/a.png'), true);
+    for (const url of ['data:image/png;base64,AAAA', '#filter', 'about:blank', 'javascript:void(0)']) {
+        assert.strictEqual(isExternalReference(url), false, url);
+    }
+});
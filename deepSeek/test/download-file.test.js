@@ -0,0 +1,52 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { downloadFile } = require('../lib/download-file');
+
+function recorder() {
+    const lines = { log: [], error: [] };
+    return { lines, log: (...args) => lines.log.push(args.join(' ')), error: (...args) => lines.error.push(args.join(' ')) };
+}
+
+async function withServer(run) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'download-file-'));
+    const server = http.createServer((req, res) => {
+        if (req.url === '/file.txt') {
+            res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Length': 5 });
+            res.end('hello');
+            return;
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        await run(`http://127.0.0.1:${server.address().port}`, dir);
+    } finally {
+        server.close();
+        await fs.remove(dir);
+    }
+}
+
+test('reports progress and failures to the logger', () => withServer(async (base, dir) => {
+    const logger = recorder();
+    const target = path.join(dir, 'file.txt');
+    const result = await downloadFile(`${base}/file.txt`, target, { logger });
+    assert.strictEqual(result.size, 5);
+    assert.strictEqual(await fs.readFile(target, 'utf8'), 'hello');
+    assert.deepStrictEqual(logger.lines.log, [`✓ Downloaded: ${target} (0.00 KB)`]);
+
+    await assert.rejects(downloadFile(`${base}/missing.txt`, path.join(dir, 'missing.txt'), { logger }), /404/);
+    assert.deepStrictEqual(logger.lines.error, ['✗ Download failed: Request failed with status code 404']);
+}));
+
+test('quiet keeps only the errors', () => withServer(async (base, dir) => {
+    const logger = recorder();
+    await downloadFile(`${base}/file.txt`, path.join(dir, 'file.txt'), { logger, quiet: true });
+    await assert.rejects(downloadFile(`${base}/missing.txt`, path.join(dir, 'missing.txt'), { logger, quiet: true }));
+    assert.deepStrictEqual(logger.lines.log, []);
+    assert.strictEqual(logger.lines.error.length, 1);
+}));
@@ -0,0 +1,88 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { extractJsDependencies, rewriteJs, toSpecifier, tokenize } = require('../lib/js');
+
+const refs = code => extractJsDependencies(code).dependencies.map(({ url, kind }) => [kind, url]);
+
+test('finds static, dynamic and re-exported imports', () => {
+    const code = 'import a from "./a.js";\nimport "./side.js";\nimport { b, c } from \'./b.js\';\n' +
+        'export * from "./d.js";\nexport { e } from `./e.js`;\nconst f = await import("./f.js");';
+    assert.deepStrictEqual(refs(code), [
+        ['import', './a.js'],
+        ['import', './side.js'],
+        ['import', './b.js'],
+        ['import', './d.js'],
+        ['import', './e.js'],
+        ['dynamic-import', './f.js']
+    ]);
+});
+
+test('finds new URL(..., import.meta.url)', () => {
+    assert.deepStrictEqual(refs('const worker = new URL("./worker.js", import.meta.url);'), [['url', './worker.js']]);
+    assert.deepStrictEqual(refs('const page = new URL("./worker.js", location.href);'), []);
+});
+
+test('skips specifiers in comments, strings, regexes and computed imports', () => {
+    const code = '// import x from "./comment.js";\n/* import("./block.js") */\n' +
+        'const s = "import y from \'./string.js\'";\nconst r = /import\\("\\.\\/regex\\.js"\\)/;\n' +
+        'import(`./${name}.js`);\nimport(base + "/x.js");\nobj.import("./method.js");';
+    assert.deepStrictEqual(refs(code), []);
+});
+
+test('tells a regular expression from a division', () => {
+    const tokens = tokenize('a = b / c / d; e = /x"y/g.test(s); return /\'/');
+    assert.strictEqual(tokens.filter(token => token.type === 'regex').length, 2);
+    assert.deepStrictEqual(tokens.filter(token => token.type === 'string'), []);
+});
+
+test('keeps comments and reads templates with substitutions as one token', () => {
+    const tokens = tokenize('`a${ {b: "}"}.b }c` // done');
+    assert.deepStrictEqual(tokens.map(token => token.type), ['template', 'comment']);
+    assert.deepStrictEqual(tokenize('`plain`')[0], { type: 'string', quote: '`', value: 'plain', start: 0, end: 7 });
+});
+
+test('uses only the last sourceMappingURL comment', () => {
+    const code = 'x();\n//# sourceMappingURL=old.js.map\ny();\n//# sourceMappingURL=app.js.map\n';
+    assert.deepStrictEqual(refs(code), [['sourcemap', 'app.js.map']]);
+    assert.deepStrictEqual(refs('x();/*# sourceMappingURL=app.js.map */'), [['sourcemap', 'app.js.map']]);
+});
+
+test('reads webpack 5 chunk names and the public path', () => {
+    const code = 'r.p="/static/";r.u=e=>"js/"+({12:"about",34:"blog"}[e]||e)+"."+{12:"a1b2",34:"c3d4"}[e]+".js";' +
+        'r.miniCssF=e=>"css/"+e+".css";';
+    const { chunks, publicPath } = extractJsDependencies(code);
+    assert.deepStrictEqual(chunks, [
+        { name: 'js/about.a1b2.js', type: 'js' },
+        { name: 'js/blog.c3d4.js', type: 'js' }
+    ]);
+    assert.strictEqual(publicPath.url, '/static/');
+    assert.strictEqual(code.slice(publicPath.start, publicPath.end), '/static/');
+});
+
+test('reads webpack 4 chunk names', () => {
+    const code = 'function s(e){return o.p+""+({0:"vendor"}[e]||e)+"."+{0:"f00d",1:"beef"}[e]+".js"}';
+    assert.deepStrictEqual(extractJsDependencies(code).chunks, [
+        { name: 'vendor.f00d.js', type: 'js' },
+        { name: '1.beef.js', type: 'js' }
+    ]);
+});
+
+test('ignores a .p assignment without a chunk function', () => {
+    assert.strictEqual(extractJsDependencies('config.p = "/not/a/path/";').publicPath, null);
+});
+
+test('rewrites dependencies and escapes the surrounding quotes', () => {
+    const code = 'import a from "./a.js";\nimport(\'./b.js\');\n//# sourceMappingURL=c.js.map';
+    const { dependencies } = extractJsDependencies(code);
+    const rewritten = rewriteJs(code, dependencies, dependency =>
+        dependency.kind === 'sourcemap' ? undefined : `./x'"${dependency.url.slice(2)}`);
+    assert.strictEqual(rewritten, 'import a from "./x\'\\"a.js";\nimport(\'./x\\\'"b.js\');\n//# sourceMappingURL=c.js.map');
+});
+
+test('turns relative references into module specifiers', () => {
+    assert.strictEqual(toSpecifier('assets/a.js'), './assets/a.js');
+    assert.strictEqual(toSpecifier('../a.js'), '../a.js');
+    assert.strictEqual(toSpecifier('/a.js'), '/a.js');
+    assert.strictEqual(toSpecifier('https://cdn.example.com/a.js'), 'https://cdn.example.com/a.js');
+    assert.strictEqual(toSpecifier('data:text/javascript,1'), 'data:text/javascript,1');
+});
@@ -0,0 +1,61 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { SiteDownloader } = require('../lib/site-downloader');
+
+const logger = { log() {}, error() {} };
+
+async function withDownloader(config, run) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'links-'));
+    try {
+        await run(new SiteDownloader('https://example.com/', dir, { logger, ...config }), dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test('relative links climb out of the page directory', () => withDownloader({ linkStyle: 'relative' }, async downloader => {
+    assert.strictEqual(downloader.getAssetLink('logo.png', 'https://example.com/blog/post'), '../../assets/logo.png');
+    assert.strictEqual(downloader.getAssetLink('a.woff2', 'https://example.com/blog/post', downloader.fontsDir),
+        '../../assets/fonts/a.woff2');
+    assert.strictEqual(downloader.getLocalLink(path.join(downloader.outputDir, 'blog/other/index.html'),
+        downloader.getPageOutputPath('https://example.com/blog/post')), '../other/index.html');
+}));
+
+test('relative links from the root page start in the root', () => withDownloader({ linkStyle: 'relative' }, async downloader => {
+    assert.strictEqual(downloader.getAssetLink('logo.png', 'https://example.com/'), 'assets/logo.png');
+    assert.strictEqual(downloader.getLocalLink(path.join(downloader.outputDir, 'about/index.html'),
+        downloader.getPageOutputPath('https://example.com/')), 'about/index.html');
+}));
+
+test('root links start at the site root', () => withDownloader({}, async downloader => {
+    assert.strictEqual(downloader.getAssetLink('logo.png', 'https://example.com/blog/post'), '/assets/logo.png');
+    assert.strictEqual(downloader.getAssetLink('logo.png', 'https://example.com/'), '/assets/logo.png');
+}));
+
+test('root links go below the base path', () => withDownloader({ basePath: 'docs/mirror/' }, async downloader => {
+    assert.strictEqual(downloader.getAssetLink('logo.png', 'https://example.com/blog/post'), '/docs/mirror/assets/logo.png');
+    assert.strictEqual(downloader.getLocalLink(path.join(downloader.outputDir, 'about/index.html'),
+        downloader.getPageOutputPath('https://example.com/')), '/docs/mirror/about/index.html');
+}));
+
+const stubLink = async (downloader, dir) => {
+    await downloader.writeRedirectStub('https://example.com/old/page', 'https://example.com/new', []);
+    const html = await fs.readFile(path.join(dir, 'old/page/index.html'), 'utf8');
+    return /<link rel="canonical" href="([^"]*)">/.exec(html)[1];
+};
+
+test('redirect stubs link to the target in the configured style', async () => {
+    await withDownloader({ linkStyle: 'relative' }, async (downloader, dir) => {
+        assert.strictEqual(await stubLink(downloader, dir), '../../new/index.html');
+    });
+    await withDownloader({}, async (downloader, dir) => {
+        assert.strictEqual(await stubLink(downloader, dir), '/new/index.html');
+    });
+    await withDownloader({ basePath: '/docs/mirror' }, async (downloader, dir) => {
+        assert.strictEqual(await stubLink(downloader, dir), '/docs/mirror/new/index.html');
+        assert.strictEqual(downloader.manifest.entries.get('https://example.com/old/page').type, 'redirect');
+    });
+});
@@ -0,0 +1,95 @@
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { MirrorManifest, hashContent } = require('../lib/manifest');
+
+const response = { headers: { 'content-type': 'text/html', 'etag': '"v1"' } };
+
+// Runs with a manifest whose previous run saved the given { url: { type, file } } entries
+async function withPreviousRun(files, run) {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-'));
+    try {
+        const stateDir = path.join(outputDir, '.crawler');
+        const first = new MirrorManifest(outputDir, stateDir);
+        for (const [url, { type, file }] of Object.entries(files)) {
+            const filePath = path.join(outputDir, file);
+            await fs.outputFile(filePath, url);
+            await first.record(url, { type, filePath, response, data: url });
+        }
+        await first.save();
+
+        const manifest = new MirrorManifest(outputDir, stateDir);
+        await manifest.load();
+        await run({ manifest, outputDir });
+    } finally {
+        await fs.remove(outputDir);
+    }
+}
+
+const SITE = {
+    'https://example.com/': { type: 'page', file: 'index.html' },
+    'https://example.com/about': { type: 'page', file: 'about/index.html' },
+    'https://example.com/logo.png': { type: 'images', file: 'assets/logo.png' }
+};
+
+test('record tells added, changed and unchanged files apart', () => withPreviousRun(SITE, async ({ manifest, outputDir }) => {
+    const filePath = path.join(outputDir, 'index.html');
+    assert.strictEqual(await manifest.record('https://example.com/', { type: 'page', filePath, response, data: 'https://example.com/' }), 'unchanged');
+    assert.strictEqual(await manifest.record('https://example.com/about', { type: 'page', filePath, response, data: 'new' }), 'changed');
+    assert.strictEqual(await manifest.record('https://example.com/new', { type: 'page', filePath, response, data: 'x' }), 'added');
+    assert.strictEqual(manifest.entries.get('https://example.com/new').hash, hashContent('x'));
+}));
+
+test('conditional headers need the file and, for pages, the cached original', () => withPreviousRun(SITE, async ({ manifest, outputDir }) => {
+    assert.deepStrictEqual(manifest.conditionalHeaders('https://example.com/'), { 'If-None-Match': '"v1"' });
+    await fs.remove(path.join(outputDir, 'index.html'));
+    assert.deepStrictEqual(manifest.conditionalHeaders('https://example.com/'), {});
+    assert.deepStrictEqual(manifest.conditionalHeaders('https://example.com/unknown'), {});
+}));
+
+test('a failed page keeps its file and entry', () => withPreviousRun(SITE, async ({ manifest, outputDir }) => {
+    manifest.recordFailed('https://example.com/about');
+    manifest.carryForward();
+    await manifest.pruneRemoved();
+
+    assert.ok(await fs.pathExists(path.join(outputDir, 'about/index.html')));
+    assert.ok(await fs.pathExists(path.join(outputDir, 'assets/logo.png')));
+    assert.deepStrictEqual(manifest.getChanges().removed, []);
+}));
+
+test('pages that were not reached are kept with the assets they may use', () => withPreviousRun(SITE, async ({ manifest, outputDir }) => {
+    assert.strictEqual(manifest.carryForward(), 3);
+    await manifest.pruneRemoved();
+    assert.ok(await fs.pathExists(path.join(outputDir, 'assets/logo.png')));
+}));
+
+test('only URLs that answered 404 or 410 are removed', () => withPreviousRun(SITE, async ({ manifest, outputDir }) => {
+    await manifest.record('https://example.com/', { type: 'page', filePath: path.join(outputDir, 'index.html'), response, data: 'https://example.com/' });
+    await manifest.record('https://example.com/logo.png', { type: 'images', filePath: path.join(outputDir, 'assets/logo.png'), response, data: 'https://example.com/logo.png' });
+    manifest.recordGone('https://example.com/about');
+    manifest.carryForward();
+    await manifest.pruneRemoved();
+
+    assert.ok(!(await fs.pathExists(path.join(outputDir, 'about/index.html'))));
+    assert.deepStrictEqual(manifest.getChanges().removed, [{ url: 'https://example.com/about', file: 'about/index.html' }]);
+}));
+
+test('dropped pages are removed, and assets with them once no page is kept', () => withPreviousRun(SITE, async ({ manifest, outputDir }) => {
+    await manifest.record('https://example.com/', { type: 'page', filePath: path.join(outputDir, 'index.html'), response, data: 'https://example.com/' });
+    manifest.carryForward(url => url.endsWith('/about'));
+    await manifest.pruneRemoved();
+
+    assert.ok(!(await fs.pathExists(path.join(outputDir, 'about/index.html'))));
+    assert.ok(!(await fs.pathExists(path.join(outputDir, 'assets/logo.png'))));
+}));
+
+test('a file another current entry points at is not deleted', () => withPreviousRun(SITE, async ({ manifest, outputDir }) => {
+    const filePath = path.join(outputDir, 'assets/logo.png');
+    await manifest.record('https://cdn.example.com/logo.png', { type: 'images', filePath, response, data: 'https://example.com/logo.png' });
+    manifest.recordGone('https://example.com/logo.png');
+    manifest.carryForward();
+    await manifest.pruneRemoved();
+    assert.ok(await fs.pathExists(filePath));
+}));
@@ -0,0 +1,79 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('../lib/config');
+const { PluginManager } = require('../lib/plugins');
+const { SiteDownloader } = require('../lib/site-downloader');
+const { loadConfig } = require('../cli');
+
+test('runs hooks in order and lets a custom plugin replace a built-in one', async () => {
+    const calls = [];
+    const builtins = [
+        { name: 'links', onHtml: () => calls.push('builtin links') },
+        { name: 'metadata', onHtml: () => calls.push('metadata') }
+    ];
+    const plugins = new PluginManager(builtins, [
+        { name: 'links', onHtml: () => calls.push('custom links') },
+        { name: 'extra', onHtml: () => calls.push('extra') }
+    ]);
+    assert.deepStrictEqual(plugins.names(), ['links', 'metadata', 'extra']);
+    await plugins.run('onHtml', null, {});
+    assert.deepStrictEqual(calls, ['custom links', 'metadata', 'extra']);
+});
+
+test('transform passes each result on and keeps the value on undefined', async () => {
+    const plugins = new PluginManager([], [
+        { name: 'upper', onCss: css => css.toUpperCase() },
+        { name: 'noop', onCss: () => undefined },
+        { name: 'suffix', onCss: async css => `${css}/* done */` }
+    ]);
+    assert.strictEqual(await plugins.transform('onCss', 'a{}', {}), 'A{}/* done */');
+});
+
+test('names the plugin and hook in errors', async () => {
+    const plugins = new PluginManager([], [{ name: 'broken', onJs: () => { throw new Error('boom'); } }]);
+    await assert.rejects(plugins.transform('onJs', '', {}), /plugin broken \(onJs\): boom/);
+});
+
+test('loads plugin modules and factories with options', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugins-'));
+    try {
+        await fs.writeFile(path.join(dir, 'banner.js'),
+            "module.exports = options => ({ name: 'banner', beforeWrite: content => `${options.text}${content}` });");
+        const plugins = new PluginManager([], [['./banner.js', { text: '<!-- mirror -->' }]], dir);
+        assert.strictEqual(await plugins.transform('beforeWrite', '<html>', {}), '<!-- mirror --><html>');
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('finds the plugins of a config file next to it, not in the working directory', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugins-'));
+    try {
+        await fs.outputFile(path.join(dir, 'plugins/zoom-images.js'), "module.exports = { name: 'zoom-images' };");
+        await fs.outputFile(path.join(dir, 'node_modules/@acme/crawler-plugin-analytics/index.js'),
+            "module.exports = options => ({ name: `analytics${options.strip ? ' (strip)' : ''}` });");
+        const configFile = path.join(dir, 'crawler.config.js');
+        await fs.writeFile(configFile, "module.exports = { quiet: true, plugins: ['./plugins/zoom-images.js', " +
+            "['@acme/crawler-plugin-analytics', { strip: true }]] };");
+        assert.notStrictEqual(process.cwd(), dir);
+
+        const config = loadConfig({ config: configFile });
+        assert.strictEqual(config.pluginsDir, dir);
+        const downloader = new SiteDownloader('https://example.com/', path.join(dir, 'out'), config);
+        assert.deepStrictEqual(downloader.plugins.names().slice(-2), ['zoom-images', 'analytics (strip)']);
+
+        // --plugin replaces the file's list and is looked up from the working directory
+        assert.strictEqual(loadConfig({ config: configFile, plugin: ['./x.js'] }).pluginsDir, undefined);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('rejects plugins without a name, unknown hooks and missing modules', () => {
+    assert.throws(() => new PluginManager([], [{ onHtml() {} }, { name: 'typo', onHTML() {} }]), error =>
+        error instanceof ConfigError && error.problems.length === 2 && /unknown hook "onHTML"/.test(error.problems[1]));
+    assert.throws(() => new PluginManager([], ['./does-not-exist.js']), /could not load/);
+});
@@ -0,0 +1,93 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { ConfigError } = require('../lib/config');
+const { resolveProfile } = require('../lib/browser-profiles');
+const { BlockedError, withRecovery, headersFor, parseRetryAfter, backoffDelay } = require('../lib/recovery');
+
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+function request(overrides = {}) {
+    return {
+        url: 'https://example.com/a.png',
+        destination: 'image',
+        profile: resolveProfile(),
+        referrer: 'https://example.com/',
+        embeddingPage: 'https://example.com/gallery',
+        extraHeaders: {},
+        ...overrides
+    };
+}
+
+const logger = { log() {} };
+
+test('parses Retry-After seconds and dates', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    assert.strictEqual(parseRetryAfter('120'), 120000);
+    assert.strictEqual(parseRetryAfter('Wed, 01 Jan 2025 00:00:30 GMT', now), 30000);
+    assert.strictEqual(parseRetryAfter('Tue, 31 Dec 2024 00:00:00 GMT', now), 0);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+    assert.strictEqual(parseRetryAfter(undefined), null);
+});
+
+test('backs off exponentially up to the maximum', () => {
+    for (let attempt = 1; attempt <= 4; attempt++) {
+        const delay = backoffDelay(attempt, 100, 1000);
+        const ceiling = Math.min(1000, 100 * 2 ** (attempt - 1));
+        assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}`);
+    }
+    assert.ok(backoffDelay(20, 100, 1000) <= 1000);
+});
+
+test('walks the strategies until a request succeeds', async () => {
+    const sent = [];
+    const mobile = resolveProfile('chrome-mobile');
+    const result = await withRecovery(async attempt => {
+        sent.push({ ...headersFor(attempt) });
+        if (sent.length < 3) throw httpError(sent.length === 1 ? 429 : 403, { 'retry-after': '0' });
+        return 'ok';
+    }, request(), { strategies: ['retry-after', 'escalate-profile', 'referer'], escalationProfile: mobile, logger });
+
+    assert.strictEqual(result, 'ok');
+    assert.strictEqual(sent.length, 3);
+    assert.strictEqual(sent[2]['user-agent'], mobile.userAgent);
+    assert.strictEqual(sent[2].dnt, '1');
+    assert.strictEqual(sent[2].referer, 'https://example.com/');
+});
+
+test('skips strategies that do not apply and reports what was tried', async () => {
+    let attempts = 0;
+    await assert.rejects(withRecovery(async () => {
+        attempts++;
+        throw httpError(403);
+    }, request({ embeddingPage: null }), { strategies: ['retry-after', 'referer', 'escalate-profile'], logger }), error => {
+        assert.ok(error instanceof BlockedError);
+        assert.strictEqual(error.status, 403);
+        assert.deepStrictEqual(error.tried, ['escalate-profile']);
+        return true;
+    });
+    assert.strictEqual(attempts, 2);
+});
+
+test('sends the embedding page as referer', async () => {
+    const referers = [];
+    await withRecovery(async attempt => {
+        referers.push(headersFor(attempt).referer);
+        if (referers.length === 1) throw httpError(403);
+    }, request(), { strategies: ['referer'], logger });
+    assert.deepStrictEqual(referers, ['https://example.com/', 'https://example.com/gallery']);
+});
+
+test('throws other errors as they are', async () => {
+    const notFound = httpError(404);
+    await assert.rejects(withRecovery(async () => {
+        throw notFound;
+    }, request()), error => error === notFound);
+});
+
+test('rejects unknown strategies', async () => {
+    await assert.rejects(withRecovery(async () => 'ok', request(), { strategies: ['pray'] }), ConfigError);
+});
@@ -0,0 +1,142 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { BrowserRenderer } = require('../lib/renderer');
+const { CookieJar } = require('../lib/cookie-jar');
+
+// The parts of a puppeteer page the renderer uses. goto() fires the given
+// finished requests and answers with status.
+function fakePage({ status = 200, requests = [] } = {}) {
+    const listeners = {};
+    const page = {
+        cookies: [],
+        closed: false,
+        setUserAgent: async () => {},
+        setCookie: async (...cookies) => page.cookies.push(...cookies),
+        on: (event, listener) => {
+            listeners[event] = listener;
+        },
+        goto: async () => {
+            for (const { url, type, status: requestStatus = 200 } of requests) {
+                listeners.requestfinished({
+                    url: () => url,
+                    resourceType: () => type,
+                    response: () => ({ ok: () => requestStatus < 400 })
+                });
+            }
+            return {
+                ok: () => status < 400,
+                status: () => status,
+                headers: () => ({ 'content-type': 'text/html' })
+            };
+        },
+        waitForSelector: async () => {},
+        evaluate: async () => {},
+        waitForNetworkIdle: async () => {},
+        content: async () => '<html><body>rendered</body></html>',
+        close: async () => {
+            page.closed = true;
+        }
+    };
+    return page;
+}
+
+function fakePuppeteer(page, { fail = false } = {}) {
+    const puppeteer = {
+        launches: [],
+        closed: 0,
+        launch: async options => {
+            puppeteer.launches.push(options);
+            if (fail) throw new Error('Failed to launch the browser process');
+            return {
+                newPage: async () => page,
+                close: async () => {
+                    puppeteer.closed++;
+                }
+            };
+        }
+    };
+    return puppeteer;
+}
+
+test('captures the files the page loaded, not data requests or failures', async () => {
+    const page = fakePage({
+        requests: [
+            { url: 'https://example.com/site.css', type: 'stylesheet' },
+            { url: 'https://example.com/app.js', type: 'script' },
+            { url: 'https://example.com/lazy.jpg', type: 'image' },
+            { url: 'https://example.com/font.woff2', type: 'font' },
+            { url: 'https://example.com/api/items', type: 'fetch' },
+            { url: 'https://example.com/xhr', type: 'xhr' },
+            { url: 'https://example.com/missing.png', type: 'image', status: 404 }
+        ]
+    });
+    const renderer = new BrowserRenderer({ puppeteer: fakePuppeteer(page) });
+    const response = await renderer.render('https://example.com/');
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.data, '<html><body>rendered</body></html>');
+    assert.deepStrictEqual(response.resources, [
+        { url: 'https://example.com/site.css', type: 'stylesheet' },
+        { url: 'https://example.com/app.js', type: 'script' },
+        { url: 'https://example.com/lazy.jpg', type: 'image' },
+        { url: 'https://example.com/font.woff2', type: 'font' }
+    ]);
+    assert.strictEqual(page.closed, true);
+});
+
+test('throws failed pages with their status, like axios', async () => {
+    const page = fakePage({ status: 503 });
+    const renderer = new BrowserRenderer({ puppeteer: fakePuppeteer(page) });
+    await assert.rejects(renderer.render('https://example.com/'), error => {
+        assert.strictEqual(error.message, 'Request failed with status code 503');
+        assert.strictEqual(error.response.status, 503);
+        assert.deepStrictEqual(error.response.headers, { 'content-type': 'text/html' });
+        return true;
+    });
+    assert.strictEqual(page.closed, true);
+});
+
+test('hands the session cookies to the browser', async () => {
+    const jar = new CookieJar([
+        { name: 'session', value: 'a1', domain: 'example.com', hostOnly: true, path: '/', secure: true, httpOnly: true },
+        { name: 'lang', value: 'en', domain: 'example.com', hostOnly: false, path: '/', expires: 1893456000000 },
+        { name: 'other', value: 'x', domain: 'other.example', hostOnly: true, path: '/' }
+    ]);
+    const page = fakePage();
+    const renderer = new BrowserRenderer({ puppeteer: fakePuppeteer(page), cookieJar: jar });
+    await renderer.render('https://example.com/');
+
+    assert.deepStrictEqual(page.cookies, [
+        { name: 'session', value: 'a1', domain: 'example.com', path: '/', secure: true, httpOnly: true },
+        { name: 'lang', value: 'en', domain: '.example.com', path: '/', secure: false, httpOnly: false, expires: 1893456000 }
+    ]);
+});
+
+test('keeps the Chrome sandbox unless asked to turn it off', async () => {
+    const sandboxed = fakePuppeteer(fakePage());
+    await new BrowserRenderer({ puppeteer: sandboxed }).render('https://example.com/');
+    assert.deepStrictEqual(sandboxed.launches, [{ headless: true, args: [] }]);
+
+    const unsandboxed = fakePuppeteer(fakePage());
+    await new BrowserRenderer({ puppeteer: unsandboxed, browserArgs: ['--no-sandbox'] }).render('https://example.com/');
+    assert.deepStrictEqual(unsandboxed.launches[0].args, ['--no-sandbox']);
+});
+
+test('launches one browser for every page and closes it once', async () => {
+    const puppeteer = fakePuppeteer(fakePage());
+    const renderer = new BrowserRenderer({ puppeteer });
+    await Promise.all([renderer.render('https://example.com/a'), renderer.render('https://example.com/b')]);
+    await renderer.close();
+    await renderer.close();
+    assert.strictEqual(puppeteer.launches.length, 1);
+    assert.strictEqual(puppeteer.closed, 1);
+});
+
+test('close after a failed launch does not throw, and the next page launches again', async () => {
+    const puppeteer = fakePuppeteer(fakePage(), { fail: true });
+    const renderer = new BrowserRenderer({ puppeteer });
+    await assert.rejects(renderer.render('https://example.com/'), /Failed to launch/);
+    await renderer.close();
+    await assert.rejects(renderer.render('https://example.com/'), /Failed to launch/);
+    assert.strictEqual(puppeteer.launches.length, 2);
+});
@@ -0,0 +1,106 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createReplayServer, ReplayIndex } = require('../lib/replay-server');
+
+const MANIFEST = {
+    entries: {
+        'https://example.com/': { url: 'https://example.com/', type: 'page', file: 'index.html' },
+        'https://example.com/about': { url: 'https://example.com/about', type: 'page', file: 'about/index.html' },
+        'https://example.com/search?q=a': { url: 'https://example.com/search?q=a', type: 'page', file: 'search-q-a/index.html' },
+        'https://example.com/new': {
+            url: 'https://example.com/new',
+            type: 'page',
+            file: 'new/index.html',
+            redirects: [{ url: 'https://example.com/old', status: 301, location: 'https://example.com/new' }]
+        },
+        'https://example.com/broken': { url: 'https://example.com/broken', type: 'page', file: 'broken' }
+    }
+};
+
+test('maps original URLs, redirects and close matches', () => {
+    const index = new ReplayIndex(MANIFEST);
+    assert.strictEqual(index.origin, 'https://example.com');
+    assert.strictEqual(index.lookup('https://example.com/about#team').entry.file, 'about/index.html');
+    assert.deepStrictEqual(index.lookup('https://example.com/old').redirect,
+        { url: 'https://example.com/old', status: 301, location: 'https://example.com/new' });
+    assert.strictEqual(index.rewrite('https://example.com/about/?utm_source=x').url, 'https://example.com/about');
+    assert.strictEqual(index.rewrite('https://example.com/nowhere'), null);
+    assert.strictEqual(index.locationFor('https://example.com/about'), '/about/');
+    assert.strictEqual(index.locationFor('https://example.com/gone?x=1'), '/gone?x=1');
+    assert.strictEqual(index.locationFor('https://other.example/'), 'https://other.example/');
+});
+
+async function withServer(run, options = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-'));
+    let server = null;
+    try {
+        await fs.outputJson(path.join(dir, '.crawler', 'manifest.json'), MANIFEST);
+        await fs.outputJson(path.join(dir, '.crawler', 'journal.json'), { cookies: [{ name: 'session', value: 'secret' }] });
+        for (const file of ['index.html', 'about/index.html', 'search-q-a/index.html', 'new/index.html']) {
+            await fs.outputFile(path.join(dir, file), `<body>${file}</body>`);
+        }
+        // A directory where the manifest expects a page
+        await fs.ensureDir(path.join(dir, 'broken'));
+        server = createReplayServer(dir, { banner: true, logger: { log() {}, error() {} }, ...options });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const get = urlPath => new Promise((resolve, reject) => {
+            http.get(`http://127.0.0.1:${server.address().port}${urlPath}`, res => {
+                let body = '';
+                res.on('data', chunk => body += chunk);
+                res.on('end', () => resolve({ status: res.statusCode, location: res.headers.location, body }));
+                res.on('error', reject);
+            }).on('error', reject);
+        });
+        await run(get);
+    } finally {
+        if (server) server.close();
+        await fs.remove(dir);
+    }
+}
+
+test('replays pages, query strings and redirects', () => withServer(async get => {
+    assert.match((await get('/about/')).body, /about\/index.html/);
+    assert.match((await get('/search?q=a')).body, /search-q-a\/index.html/);
+    assert.deepStrictEqual(await get('/old'), { status: 301, location: '/new/', body: '' });
+    assert.strictEqual((await get('/search/?q=a')).location, '/search-q-a/');
+    assert.strictEqual((await get('/nowhere')).status, 404);
+}));
+
+test('answers 500 when a file cannot be read and keeps serving', () => withServer(async get => {
+    assert.strictEqual((await get('/broken')).status, 500);
+    assert.strictEqual((await get('/')).status, 200);
+}));
+
+test('never serves the crawl state', () => withServer(async get => {
+    for (const urlPath of ['/.crawler/journal.json', '/.crawler/manifest.json', '/%2Ecrawler/journal.json', '/about/../.crawler/journal.json']) {
+        const response = await get(urlPath);
+        assert.strictEqual(response.status, 404, urlPath);
+        assert.doesNotMatch(response.body, /secret/);
+    }
+}));
+
+test('survives the live site dropping a proxied response', { timeout: 10000 }, async () => {
+    const live = http.createServer((req, res) => {
+        if (req.url === '/dropped') {
+            res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Length': 1000 });
+            res.write('partial', () => res.destroy());
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('live');
+    });
+    await new Promise(resolve => live.listen(0, '127.0.0.1', resolve));
+    try {
+        await withServer(async get => {
+            await assert.rejects(get('/dropped'));
+            assert.strictEqual((await get('/fine')).body, 'live');
+            assert.strictEqual((await get('/')).status, 200);
+        }, { origin: `http://127.0.0.1:${live.address().port}`, proxyMisses: true });
+    } finally {
+        live.close();
+    }
+});
@@ -0,0 +1,67 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { validateConfig, ConfigError } = require('../lib/config');
+const { statisticsDir, findLatestStatistics } = require('../lib/report');
+const { SiteDownloader } = require('../lib/site-downloader');
+
+async function withDir(run) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-'));
+    try {
+        await run(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+function recorder() {
+    const lines = { log: [], error: [] };
+    return {
+        lines,
+        log: (...args) => lines.log.push(args.join(' ')),
+        error: (...args) => lines.error.push(args.join(' '))
+    };
+}
+
+test('finds the latest statistics file of a mirror', () => withDir(async dir => {
+    assert.strictEqual(await findLatestStatistics(statisticsDir(dir)), null);
+    for (const time of ['2025-01-02T10-00-00-000Z', '2025-01-10T09-00-00-000Z', '2025-01-03T00-00-00-000Z']) {
+        await fs.outputJson(path.join(statisticsDir(dir), `download-statistics-${time}.json`), {});
+    }
+    await fs.outputFile(path.join(statisticsDir(dir), 'notes.txt'), '');
+    assert.strictEqual(await findLatestStatistics(statisticsDir(dir)),
+        path.join(dir, '.crawler', 'statistics', 'download-statistics-2025-01-10T09-00-00-000Z.json'));
+}));
+
+test('cleaning the output keeps earlier statistics and nothing else', () => withDir(async dir => {
+    const statsFile = path.join(statisticsDir(dir), 'download-statistics-1.json');
+    await fs.outputJson(statsFile, {});
+    await fs.outputFile(path.join(dir, 'index.html'), '');
+    await fs.outputFile(path.join(dir, 'assets', 'a.png'), '');
+    await fs.outputJson(path.join(dir, '.crawler', 'manifest.json'), {});
+
+    const downloader = new SiteDownloader('https://example.com', dir, { logger: recorder() });
+    await downloader.cleanPublicFolder();
+    assert.deepStrictEqual(await fs.readdir(dir), ['.crawler']);
+    assert.deepStrictEqual(await fs.readdir(path.join(dir, '.crawler')), ['statistics']);
+    assert.ok(await fs.pathExists(statsFile));
+}));
+
+test('output goes to the logger, quiet keeps only errors', () => withDir(async dir => {
+    const logger = recorder();
+    await new SiteDownloader('https://example.com', dir, { logger }).cleanPublicFolder();
+    assert.deepStrictEqual(logger.lines.log, [`🧹 Cleaning public folder: ${dir}`]);
+
+    const quiet = recorder();
+    const downloader = new SiteDownloader('https://example.com', dir, { logger: quiet, quiet: true });
+    await downloader.cleanPublicFolder();
+    downloader.logger.error('❌ something broke');
+    assert.deepStrictEqual(quiet.lines, { log: [], error: ['❌ something broke'] });
+}));
+
+test('logger has to look like console', () => {
+    assert.doesNotThrow(() => validateConfig({ logger: console, quiet: true }));
+    assert.throws(() => validateConfig({ logger: { info() {} } }), ConfigError);
+});
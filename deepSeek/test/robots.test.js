@@ -0,0 +1,57 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { RobotsRules } = require('../lib/robots');
+
+const ROBOTS = [
+    'User-agent: *',
+    'Disallow: /private/',
+    'Allow: /private/open',
+    'Disallow: /*.pdf$',
+    'Crawl-delay: 2',
+    '',
+    'User-agent: GoodBot',
+    'User-agent: OtherBot',
+    'Disallow: /',
+    '',
+    'Sitemap: https://example.com/sitemap.xml # main'
+].join('\r\n');
+
+test('applies the longest matching rule of the * group', () => {
+    const robots = RobotsRules.parse(ROBOTS);
+    assert.strictEqual(robots.isAllowed('https://example.com/about', 'Mozilla/5.0'), true);
+    assert.strictEqual(robots.isAllowed('https://example.com/private/x', 'Mozilla/5.0'), false);
+    assert.strictEqual(robots.isAllowed('https://example.com/private/open/x', 'Mozilla/5.0'), true);
+});
+
+test('supports * wildcards and $ anchors', () => {
+    const robots = RobotsRules.parse(ROBOTS);
+    assert.strictEqual(robots.isAllowed('https://example.com/docs/a.pdf', 'Mozilla/5.0'), false);
+    assert.strictEqual(robots.isAllowed('https://example.com/docs/a.pdf?v=1', 'Mozilla/5.0'), true);
+});
+
+test('a group naming the user agent beats the * group', () => {
+    const robots = RobotsRules.parse(ROBOTS);
+    assert.strictEqual(robots.isAllowed('https://example.com/about', 'Mozilla/5.0 (compatible; GoodBot/1.0)'), false);
+    assert.strictEqual(robots.isAllowed('https://example.com/about', 'OtherBot'), false);
+    assert.strictEqual(robots.getCrawlDelay('GoodBot'), null);
+    assert.strictEqual(robots.getCrawlDelay('Mozilla/5.0'), 2);
+});
+
+test('Allow wins a tie and robots.txt itself is always allowed', () => {
+    const robots = RobotsRules.parse('User-agent: *\nDisallow: /page\nAllow: /page\nDisallow: /');
+    assert.strictEqual(robots.isAllowed('https://example.com/page', 'x'), true);
+    assert.strictEqual(robots.isAllowed('https://example.com/robots.txt', 'x'), true);
+    assert.strictEqual(robots.isAllowed('https://example.com/other', 'x'), false);
+});
+
+test('collects Sitemap lines and ignores an empty Disallow', () => {
+    const robots = RobotsRules.parse('User-agent: *\nDisallow:\n\nSitemap: https://example.com/a.xml\nSitemap: https://example.com/b.xml.gz');
+    assert.deepStrictEqual(robots.sitemaps, ['https://example.com/a.xml', 'https://example.com/b.xml.gz']);
+    assert.strictEqual(robots.isAllowed('https://example.com/anything', 'x'), true);
+    assert.strictEqual(RobotsRules.parse(ROBOTS).sitemaps[0], 'https://example.com/sitemap.xml');
+});
+
+test('allowAll and disallowAll', () => {
+    assert.strictEqual(RobotsRules.allowAll().isAllowed('https://example.com/x', 'x'), true);
+    assert.strictEqual(RobotsRules.disallowAll().isAllowed('https://example.com/x', 'x'), false);
+});
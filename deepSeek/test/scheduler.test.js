@@ -0,0 +1,83 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { Scheduler } = require('../lib/scheduler');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs jobs for urls and reports the highest number running at once, overall and per host
+async function peaks(scheduler, urls, duration = 10) {
+    let active = 0;
+    let peak = 0;
+    const byHost = new Map();
+    const hostPeaks = new Map();
+    await Promise.all(urls.map(url => scheduler.schedule(url, async () => {
+        const host = new URL(url).host;
+        active++;
+        byHost.set(host, (byHost.get(host) || 0) + 1);
+        peak = Math.max(peak, active);
+        hostPeaks.set(host, Math.max(hostPeaks.get(host) || 0, byHost.get(host)));
+        await sleep(duration);
+        active--;
+        byHost.set(host, byHost.get(host) - 1);
+    })));
+    return { peak, hostPeaks };
+}
+
+test('never runs more jobs than the global limit', async () => {
+    const urls = Array.from({ length: 20 }, (_, i) => `https://host${i % 5}.example/${i}`);
+    const { peak } = await peaks(new Scheduler({ concurrency: 3 }), urls);
+    assert.strictEqual(peak, 3);
+});
+
+test('never runs more jobs per host than the per-host limit', async () => {
+    const urls = Array.from({ length: 12 }, (_, i) => `https://${i % 2 ? 'a' : 'b'}.example/${i}`);
+    const { peak, hostPeaks } = await peaks(new Scheduler({ concurrency: 10, perHostConcurrency: 2 }), urls);
+    assert.strictEqual(peak, 4);
+    assert.deepStrictEqual(Array.from(hostPeaks.values()), [2, 2]);
+});
+
+test('a saturated host does not hold up the others', async () => {
+    const scheduler = new Scheduler({ concurrency: 2, perHostConcurrency: 1 });
+    const order = [];
+    const slow = scheduler.schedule('https://a.example/1', async () => {
+        await sleep(30);
+        order.push('a1');
+    });
+    const blocked = scheduler.schedule('https://a.example/2', async () => order.push('a2'));
+    const other = scheduler.schedule('https://b.example/1', async () => order.push('b1'));
+    await Promise.all([slow, blocked, other]);
+    assert.deepStrictEqual(order, ['b1', 'a1', 'a2']);
+});
+
+test('keeps the delay between two starts on the same host', async () => {
+    const scheduler = new Scheduler({ concurrency: 5, delay: 30 });
+    const starts = [];
+    await Promise.all([1, 2, 3].map(i => scheduler.schedule(`https://a.example/${i}`, async () => starts.push(Date.now()))));
+    assert.ok(starts[1] - starts[0] >= 25 && starts[2] - starts[1] >= 25, `starts too close: ${starts}`);
+});
+
+test('passes results and errors through and frees the slot either way', async () => {
+    const scheduler = new Scheduler({ concurrency: 1 });
+    await assert.rejects(scheduler.schedule('https://a.example/', async () => {
+        throw new Error('boom');
+    }), /boom/);
+    assert.strictEqual(await scheduler.schedule('https://a.example/', async () => 42), 42);
+    await scheduler.onIdle();
+    assert.strictEqual(scheduler.size, 0);
+});
+
+test('acquire holds the slot until it is released', async () => {
+    const scheduler = new Scheduler({ concurrency: 1 });
+    const release = await scheduler.acquire('https://a.example/big.mp4');
+    let started = false;
+    const next = scheduler.schedule('https://b.example/', async () => {
+        started = true;
+    });
+    await sleep(20);
+    assert.strictEqual(started, false);
+    release();
+    release();
+    await next;
+    assert.strictEqual(started, true);
+    assert.strictEqual(scheduler.size, 0);
+});
@@ -0,0 +1,71 @@
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { test } = require('node:test');
+const { CrawlScope, toMatcher } = require('../lib/scope');
+const { BUILTIN_PLUGINS } = require('../lib/builtin-plugins');
+
+test('globs keep * inside a segment and let ** cross them', () => {
+    assert.ok(toMatcher('/blog/*').test('/blog/post'));
+    assert.ok(!toMatcher('/blog/*').test('/blog/2024/post'));
+    assert.ok(toMatcher('/blog/**').test('/blog/2024/post'));
+    assert.ok(toMatcher('/p?ge').test('/page'));
+    assert.ok(toMatcher('/\\/docs\\/v\\d+/i').test('/DOCS/v2'));
+});
+
+test('the path of the start URL is the default include prefix', () => {
+    const scope = new CrawlScope('https://example.com/ru');
+    assert.ok(scope.includes('https://example.com/ru'));
+    assert.ok(scope.includes('https://example.com/ru/about'));
+    assert.ok(!scope.includes('https://example.com/rust'));
+    assert.ok(!scope.includes('https://example.com/en'));
+    assert.deepStrictEqual(scope.getStartUrls(), ['https://example.com/ru']);
+});
+
+test('exclude rules win over include rules', () => {
+    const scope = new CrawlScope('https://example.com/', {
+        include: ['/docs'], exclude: ['/docs/private'], excludePatterns: ['**/*.pdf']
+    });
+    assert.ok(scope.includes('https://example.com/docs/guide'));
+    assert.ok(!scope.includes('https://example.com/docs/private/x'));
+    assert.ok(!scope.includes('https://example.com/docs/guide.pdf'));
+});
+
+test('other hosts need an allowed subdomain', () => {
+    const scope = new CrawlScope('https://www.example.com/', { allowedSubdomains: ['blog'] });
+    assert.ok(scope.includes('https://blog.example.com/post'));
+    assert.ok(!scope.includes('https://shop.example.com/'));
+    assert.ok(!scope.includes('https://example.org/'));
+    assert.ok(new CrawlScope('https://example.com/', { allowedSubdomains: ['*'] }).includes('https://a.b.example.com/'));
+});
+
+test('depth and page limits', () => {
+    const scope = new CrawlScope('https://example.com/', { maxDepth: 1, maxPages: 2 });
+    assert.ok(scope.includes('https://example.com/a', 1));
+    assert.ok(!scope.includes('https://example.com/a', 2));
+    assert.ok(scope.allowsMorePages(1));
+    assert.ok(!scope.allowsMorePages(2));
+});
+
+test('the strip prefix and subdomains shape the output path', () => {
+    const scope = new CrawlScope('https://example.com/ru', { stripPrefix: '/ru/', allowedSubdomains: ['blog'] });
+    assert.strictEqual(scope.toOutputPathname(new URL('https://example.com/ru/about')), '/about');
+    assert.strictEqual(scope.toOutputPathname(new URL('https://blog.example.com/post')), '/blog.example.com/post');
+});
+
+test('links to pages the page limit refused stay on the live site', async () => {
+    const links = BUILTIN_PLUGINS.find(plugin => plugin.name === 'links');
+    const queued = new Set(['https://example.com/a']);
+    const downloader = {
+        pageDepths: new Map(),
+        noteEmbeddingPage() {},
+        isTargetPage: () => true,
+        isAllowedByRobots: async () => true,
+        generateFilename: () => 'x.html',
+        enqueuePage: url => queued.has(url),
+        getPageLink: url => `/local${new URL(url).pathname}/`,
+        logger: { log() {}, error() {} }
+    };
+    const $ = cheerio.load('<a href="/a">a</a><a href="/b">b</a>');
+    await links.onHtml($, { url: 'https://example.com/', downloader });
+    assert.deepStrictEqual($('a').toArray().map(elem => $(elem).attr('href')), ['/local/a/', 'https://example.com/b']);
+});
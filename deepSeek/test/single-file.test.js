@@ -0,0 +1,114 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const cheerio = require('cheerio');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { SingleFileExporter } = require('../lib/single-file');
+const { LAZY_ATTRIBUTES } = require('../lib/builtin-plugins');
+
+async function withMirror(files, run) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'single-file-'));
+    try {
+        for (const [file, content] of Object.entries(files)) {
+            if (file.endsWith('/')) {
+                await fs.ensureDir(path.join(dir, file));
+            } else {
+                await fs.outputFile(path.join(dir, file), content);
+            }
+        }
+        await run(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+const manifest = entries => JSON.stringify({
+    entries: Object.fromEntries(entries.map(([url, file, type]) => [url, { url, file, type }]))
+});
+
+test('embeds stylesheets, images and scripts and links pages to the live site', () => withMirror({
+    '.crawler/manifest.json': manifest([
+        ['https://example.com/', 'index.html', 'page'],
+        ['https://example.com/about', 'about/index.html', 'page'],
+        ['https://example.com/big.png', 'assets/big.png', 'asset']
+    ]),
+    'index.html': '<link rel="stylesheet" href="assets/site.css" media="screen"><img src="assets/logo.png">' +
+        '<img src="assets/big.png"><script src="assets/app.js"></script><a href="about/">About</a>',
+    'about/index.html': '<p>About</p>',
+    'assets/site.css': '.a { background: url(bg.png) }',
+    'assets/bg.png': 'bg',
+    'assets/logo.png': 'logo',
+    'assets/big.png': 'x'.repeat(100),
+    'assets/app.js': 'import "./util.js";',
+    'assets/util.js': 'window.ready = true;'
+}, async dir => {
+    const exporter = new SingleFileExporter(dir, { maxInlineSize: 50 });
+    await exporter.load();
+    const $ = cheerio.load(await exporter.exportPage('index.html'));
+
+    assert.strictEqual($('link').length, 0);
+    assert.strictEqual($('style').attr('media'), 'screen');
+    assert.match($('style').text(), /url\("?data:image\/png;base64,Ymc="?\)/);
+    assert.strictEqual($('img').eq(0).attr('src'), 'data:image/png;base64,bG9nbw==');
+    assert.strictEqual($('img').eq(1).attr('src'), 'https://example.com/big.png');
+    assert.strictEqual($('script').attr('src'), undefined);
+    assert.match($('script').html(), /^import "data:application\/javascript[^"]*;base64,/);
+    assert.strictEqual($('a').attr('href'), 'https://example.com/about');
+}));
+
+test('leaves references to directories as they are', () => withMirror({
+    'index.html': '<link rel="stylesheet" href="site.css"><img src="logo.png"><script src="app.js"></script>' +
+        '<img src="ok.png">',
+    'site.css/index.html/': null,
+    'logo.png/index.html/': null,
+    'app.js/index.html/': null,
+    'ok.png': 'ok'
+}, async dir => {
+    const exporter = new SingleFileExporter(dir);
+    await exporter.load();
+    const $ = cheerio.load(await exporter.exportPage('index.html'));
+
+    assert.strictEqual($('link').attr('href'), 'site.css');
+    assert.strictEqual($('img').eq(0).attr('src'), 'logo.png');
+    assert.strictEqual($('script').attr('src'), 'app.js');
+    assert.strictEqual($('img').eq(1).attr('src'), 'data:image/png;base64,b2s=');
+}));
+
+test('leaves references to files that vanish during the export as they are', () => withMirror({
+    'index.html': '<link rel="stylesheet" href="site.css"><img src="logo.png"><script src="app.js"></script>' +
+        '<img src="ok.png">',
+    'site.css': '.a { color: red }',
+    'logo.png': 'logo',
+    'app.js': 'run();',
+    'ok.png': 'ok'
+}, async dir => {
+    const exporter = new SingleFileExporter(dir);
+    await exporter.load();
+    const resolve = exporter.resolve.bind(exporter);
+    exporter.resolve = async (url, file) => {
+        const target = await resolve(url, file);
+        if (target && target.file !== 'ok.png') {
+            await fs.remove(path.join(dir, target.file));
+        }
+        return target;
+    };
+    const $ = cheerio.load(await exporter.exportPage('index.html'));
+
+    assert.strictEqual($('link').attr('href'), 'site.css');
+    assert.strictEqual($('img').eq(0).attr('src'), 'logo.png');
+    assert.strictEqual($('script').attr('src'), 'app.js');
+    assert.strictEqual($('img').eq(1).attr('src'), 'data:image/png;base64,b2s=');
+}));
+
+test('embeds every lazy-load attribute the crawler rewrites', () => withMirror({
+    'index.html': LAZY_ATTRIBUTES.map(([, attr]) => `<div ${attr}="lazy.png"></div>`).join('\n'),
+    'lazy.png': 'lazy'
+}, async dir => {
+    const exporter = new SingleFileExporter(dir);
+    await exporter.load();
+    const $ = cheerio.load(await exporter.exportPage('index.html'));
+    for (const [, attr] of LAZY_ATTRIBUTES) {
+        assert.strictEqual($(`[${attr}]`).attr(attr), 'data:image/png;base64,bGF6eQ==', attr);
+    }
+}));
@@ -0,0 +1,63 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const zlib = require('zlib');
+const { collectSitemapUrls, parseSitemap, decodeSitemap } = require('../lib/sitemap');
+
+const urlset = urls => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `<url><loc> ${url} </loc></url>`).join('\n')}
+</urlset>`;
+
+const sitemapindex = urls => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `<sitemap><loc>${url}</loc></sitemap>`).join('\n')}
+</sitemapindex>`;
+
+test('parses url sets and sitemap indexes', () => {
+    assert.deepStrictEqual(parseSitemap(urlset(['https://example.com/', 'https://example.com/a'])),
+        { type: 'urlset', urls: ['https://example.com/', 'https://example.com/a'] });
+    assert.deepStrictEqual(parseSitemap(sitemapindex(['https://example.com/s1.xml'])),
+        { type: 'sitemapindex', urls: ['https://example.com/s1.xml'] });
+});
+
+test('decodes gzipped sitemaps', () => {
+    const xml = urlset(['https://example.com/a']);
+    assert.strictEqual(decodeSitemap(zlib.gzipSync(xml)), xml);
+    assert.strictEqual(decodeSitemap(xml), xml);
+});
+
+test('follows sitemap indexes once and skips sitemaps that fail', async () => {
+    const sitemaps = {
+        'https://example.com/sitemap.xml': sitemapindex(['https://example.com/s1.xml.gz', 'https://example.com/s2.xml', 'https://example.com/sitemap.xml']),
+        'https://example.com/s1.xml.gz': zlib.gzipSync(urlset(['https://example.com/a', 'https://example.com/b'])),
+        'https://example.com/s2.xml': urlset(['https://example.com/b', 'https://example.com/c'])
+    };
+    const fetched = [];
+    const originalError = console.error;
+    const originalLog = console.log;
+    console.error = console.log = () => {};
+    try {
+        const pages = await collectSitemapUrls(['https://example.com/sitemap.xml', 'https://example.com/missing.xml'], async url => {
+            fetched.push(url);
+            if (!sitemaps[url]) throw new Error('404');
+            return sitemaps[url];
+        });
+        assert.deepStrictEqual(pages, ['https://example.com/a', 'https://example.com/b', 'https://example.com/c']);
+        assert.strictEqual(fetched.filter(url => url === 'https://example.com/sitemap.xml').length, 1);
+    } finally {
+        console.error = originalError;
+        console.log = originalLog;
+    }
+});
+
+test('stops after maxSitemaps', async () => {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        const pages = await collectSitemapUrls(['https://example.com/1.xml', 'https://example.com/2.xml'],
+            async url => urlset([url.replace('.xml', '')]), { maxSitemaps: 1 });
+        assert.deepStrictEqual(pages, ['https://example.com/1']);
+    } finally {
+        console.log = originalLog;
+    }
+});
@@ -0,0 +1,43 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createStaticServer, resolveRequestPath } = require('../lib/static-server');
+
+test('maps request paths inside the root, never into the crawl state', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'static-'));
+    try {
+        await fs.outputFile(path.join(dir, 'about/index.html'), 'about');
+        assert.strictEqual(resolveRequestPath(dir, '/about/?x=1'), path.join(dir, 'about/index.html'));
+        assert.strictEqual(resolveRequestPath(dir, '/about/../../etc/passwd'), null);
+        assert.strictEqual(resolveRequestPath(dir, '/.crawler/journal.json'), null);
+        assert.strictEqual(resolveRequestPath(dir, '/%2Ecrawler/journal.json'), null);
+        assert.strictEqual(resolveRequestPath(dir, '/%E0%A4%A'), null);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('serves files and answers 404 for the crawl state', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'static-'));
+    const server = createStaticServer(dir, { logger: { log() {}, error() {} } });
+    try {
+        await fs.outputFile(path.join(dir, 'index.html'), '<p>home</p>');
+        await fs.outputJson(path.join(dir, '.crawler', 'journal.json'), { cookies: [] });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const get = urlPath => new Promise((resolve, reject) => {
+            http.get(`http://127.0.0.1:${server.address().port}${urlPath}`, res => {
+                let body = '';
+                res.on('data', chunk => body += chunk);
+                res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+            }).on('error', reject);
+        });
+        assert.deepStrictEqual(await get('/'), { status: 200, type: 'text/html; charset=utf-8', body: '<p>home</p>' });
+        assert.strictEqual((await get('/.crawler/journal.json')).status, 404);
+    } finally {
+        server.close();
+        await fs.remove(dir);
+    }
+});
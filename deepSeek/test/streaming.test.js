@@ -0,0 +1,103 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const zlib = require('zlib');
+const { SiteDownloader } = require('../lib/site-downloader');
+const { SizeLimitError, streamToFile, parseIntegrity, continuesAt, headerChecksums, decodeBody } = require('../lib/streaming');
+
+const sha = (algorithm, data) => crypto.createHash(algorithm).update(data).digest('base64');
+
+function response(body, headers = {}, status = 200) {
+    return { status, headers, data: Readable.from([Buffer.from(body)]) };
+}
+
+async function withDir(run) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'streaming-'));
+    try {
+        await run(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test('continuesAt checks where a 206 starts', () => {
+    assert.strictEqual(continuesAt({ headers: { 'content-range': 'bytes 100-199/200' } }, 100), true);
+    assert.strictEqual(continuesAt({ headers: { 'content-range': 'bytes 0-199/200' } }, 100), false);
+    assert.strictEqual(continuesAt({ headers: {} }, 0), false);
+});
+
+test('parseIntegrity reads SRI hashes and skips the rest', () => {
+    assert.deepStrictEqual(parseIntegrity('sha384-abc+/= md5-nope  sha512-def?opt'), [
+        { algorithm: 'sha384', digest: 'abc+/=', encoded: false, source: 'integrity attribute' },
+        { algorithm: 'sha512', digest: 'def', encoded: false, source: 'integrity attribute' }
+    ]);
+    assert.deepStrictEqual(parseIntegrity(undefined), []);
+});
+
+test('headerChecksums reads Digest, Repr-Digest and Content-MD5', () => {
+    const checks = headerChecksums({ 'digest': 'SHA-256=a=,unknown=b', 'repr-digest': 'sha-512=:c=:', 'content-md5': 'd==' });
+    assert.deepStrictEqual(checks.map(check => [check.algorithm, check.digest, check.source]), [
+        ['sha256', 'a=', 'Digest'],
+        ['sha512', 'c=', 'Repr-Digest'],
+        ['md5', 'd==', 'Content-MD5']
+    ]);
+    assert.strictEqual(headerChecksums({ 'content-md5': 'd==' }, true).length, 0);
+});
+
+test('decodeBody decodes buffered bodies', () => {
+    assert.strictEqual(decodeBody(zlib.gzipSync('hello'), 'GZIP').toString(), 'hello');
+    assert.strictEqual(decodeBody(Buffer.from('plain')).toString(), 'plain');
+    assert.throws(() => decodeBody(Buffer.from('x'), 'zstd'), /Unsupported/);
+});
+
+test('streamToFile decodes the body and checks it against the headers and integrity', () => withDir(async dir => {
+    const file = path.join(dir, 'a.js');
+    const body = 'console.log(1);';
+    const encoded = zlib.gzipSync(body);
+    const { size, hash } = await streamToFile(response(encoded, {
+        'content-encoding': 'gzip',
+        'content-length': String(encoded.length),
+        'digest': `sha-256=${sha('sha256', encoded)}`
+    }), file, { integrity: parseIntegrity(`sha384-${sha('sha384', body)}`) });
+    assert.strictEqual(await fs.readFile(file, 'utf8'), body);
+    assert.strictEqual(size, body.length);
+    assert.strictEqual(hash, crypto.createHash('sha256').update(body).digest('hex'));
+
+    await assert.rejects(streamToFile(response(body), file, { integrity: parseIntegrity(`sha384-${sha('sha384', 'other')}`) }),
+        error => error.name === 'IntegrityError');
+    await assert.rejects(streamToFile(response(body, { 'content-length': '100' }), file), /100/);
+    await assert.rejects(streamToFile(response(body), file, { maxSize: 4 }), SizeLimitError);
+}));
+
+test('streamAsset holds its request slot until the body is on disk', () => withDir(async dir => {
+    let open = 0;
+    let peak = 0;
+    const server = http.createServer((req, res) => {
+        open++;
+        peak = Math.max(peak, open);
+        res.writeHead(200, { 'content-type': 'video/mp4' });
+        res.write('part one, ');
+        setTimeout(() => {
+            open--;
+            res.end('part two');
+        }, 30);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const downloader = new SiteDownloader(base, dir, { concurrency: 1, maxRetries: 1, delayBetweenRequests: 0 });
+        const downloads = await Promise.all(['a', 'b', 'c'].map(name => downloader.streamAsset(`${base}/${name}.mp4`, 'videos')));
+        assert.strictEqual(peak, 1);
+        for (const download of downloads) {
+            assert.strictEqual(await fs.readFile(download.tempPath, 'utf8'), 'part one, part two');
+        }
+        assert.strictEqual(downloader.scheduler.size, 0);
+    } finally {
+        server.close();
+    }
+}));
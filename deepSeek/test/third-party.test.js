@@ -0,0 +1,75 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { ThirdPartyPolicy } = require('../lib/third-party');
+
+const PAGE = 'https://example.com/blog/';
+
+const GTM_SNIPPET = `(function(w,d,s,l,i){w[l]=w[l]||[];w[l].push({'gtm.start':new Date().getTime(),event:'gtm.js'});
+var f=d.getElementsByTagName(s)[0],j=d.createElement(s),dl=l!='dataLayer'?'&l='+l:'';j.async=true;
+j.src='https://www.googletagmanager.com/gtm.js?id='+i+dl;f.parentNode.insertBefore(j,f);
+})(window,document,'script','dataLayer','GTM-XXXX');`;
+
+const METRICA_SNIPPET = `(function(m,e,t,r,i,k,a){m[i]=m[i]||function(){(m[i].a=m[i].a||[]).push(arguments)};
+k=e.createElement(t),a=e.getElementsByTagName(t)[0],k.async=1,k.src=r,a.parentNode.insertBefore(k,a)})
+(window, document, "script", "https://mc.yandex.ru/metrika/tag.js", "ym");`;
+
+test('decides script URLs by rule, tracker list and first party', () => {
+    const policy = new ThirdPartyPolicy('https://www.example.com/', {
+        others: 'keep',
+        rules: [{ match: 'cdn.example.net/widgets/*', action: 'strip' }]
+    });
+    assert.deepStrictEqual(policy.decide('https://cdn.example.net/widgets/chat.js'),
+        { action: 'strip', rule: 'cdn.example.net/widgets/*', source: 'rule' });
+    assert.deepStrictEqual(policy.decide('https://www.google-analytics.com/analytics.js'),
+        { action: 'stub', rule: 'tracker: google-analytics.com', source: 'tracker' });
+    assert.deepStrictEqual(policy.decide('https://cdn.example.net/lib.js'),
+        { action: 'keep', rule: 'third party', source: 'others' });
+    assert.strictEqual(policy.decide('https://static.example.com/app.js').source, null);
+    assert.strictEqual(policy.decide('data:text/javascript,1').source, null);
+});
+
+test('blocks other files only for rules and trackers', () => {
+    const policy = new ThirdPartyPolicy(PAGE, { others: 'strip' });
+    assert.strictEqual(policy.blocks('https://cdn.example.net/lib.js', 'js'), true);
+    assert.strictEqual(policy.blocks('https://cdn.example.net/logo.png', 'image'), false);
+    assert.strictEqual(policy.blocks('https://www.facebook.com/tr?id=1', 'image'), false);
+    assert.strictEqual(policy.blocks('https://connect.facebook.net/tr.gif', 'image'), true);
+});
+
+test('judges inline snippets by the URLs they load', () => {
+    const policy = new ThirdPartyPolicy(PAGE);
+    assert.deepStrictEqual(policy.decideInline(GTM_SNIPPET, PAGE), {
+        url: 'https://www.googletagmanager.com/gtm.js?id=',
+        action: 'stub',
+        rule: 'tracker: googletagmanager.com',
+        source: 'tracker'
+    });
+    assert.strictEqual(policy.decideInline(METRICA_SNIPPET, PAGE).url, 'https://mc.yandex.ru/metrika/tag.js');
+    assert.strictEqual(policy.decideInline('import(`//cdn.segment.com/analytics.js/v1/${key}/analytics.min.js`);', PAGE).url,
+        'https://cdn.segment.com/analytics.js/v1/$%7Bkey%7D/analytics.min.js');
+});
+
+test('leaves snippets that only mention a tracker in comments or text', () => {
+    const policy = new ThirdPartyPolicy(PAGE);
+    const code = '// Analytics used to load from https://www.googletagmanager.com/gtm.js\n' +
+        '/* see //static.hotjar.com/c/hotjar.js */\n' +
+        'console.log("Blocked by your browser: https://www.google-analytics.com/analytics.js");\n' +
+        'document.title = "Stats";';
+    assert.strictEqual(policy.decideInline(code, PAGE), null);
+});
+
+test('picks the strictest decision among the URLs of a snippet', () => {
+    const policy = new ThirdPartyPolicy(PAGE, { rules: [{ match: 'static.hotjar.com', action: 'strip' }] });
+    const code = 'load("https://www.googletagmanager.com/gtag/js?id=G-1"); load("https://static.hotjar.com/c/hotjar-1.js");';
+    assert.strictEqual(policy.decideInline(code, PAGE).action, 'strip');
+    assert.strictEqual(policy.decideInline('load("https://cdn.example.net/lib.js");', PAGE), null);
+});
+
+test('judges noscript blocks by their src attributes', () => {
+    const policy = new ThirdPartyPolicy(PAGE);
+    const pixel = '<img height="1" width="1" style="display:none" src="https://mc.yandex.ru/watch/1" alt="">';
+    assert.strictEqual(policy.decideNoscript(pixel, PAGE).url, 'https://mc.yandex.ru/watch/1');
+    const iframe = '<iframe src=https://www.googletagmanager.com/ns.html?id=GTM-XXXX height="0"></iframe>';
+    assert.strictEqual(policy.decideNoscript(iframe, PAGE).rule, 'tracker: googletagmanager.com');
+    assert.strictEqual(policy.decideNoscript('<p>We use https://www.google-analytics.com for statistics.</p>', PAGE), null);
+});
@@ -0,0 +1,55 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { UrlNormalizer } = require('../lib/url-normalizer');
+
+test('one page however it is linked', () => {
+    const normalizer = new UrlNormalizer();
+    for (const url of [
+        'https://EXAMPLE.com:443/about',
+        'https://example.com/about/',
+        'https://example.com/about//',
+        'https://example.com/about?utm_source=x&utm_medium=y#top',
+        'https://example.com/about?fbclid=1&gclid=2'
+    ]) {
+        assert.strictEqual(normalizer.normalize(url), 'https://example.com/about', url);
+    }
+});
+
+test('sorts the query and keeps what is not tracking', () => {
+    const normalizer = new UrlNormalizer();
+    assert.strictEqual(normalizer.normalize('https://example.com/list?page=2&b=1&a=2&a=1&UTM_Campaign=z'),
+        'https://example.com/list?a=2&a=1&b=1&page=2');
+    assert.strictEqual(new UrlNormalizer({ sortQuery: false }).normalize('https://example.com/list?page=2&b=1'),
+        'https://example.com/list?page=2&b=1');
+});
+
+test('the site root is known without its slash', () => {
+    const normalizer = new UrlNormalizer();
+    assert.strictEqual(normalizer.normalize('https://example.com/'), 'https://example.com');
+    assert.strictEqual(normalizer.normalize('https://example.com/?utm_source=x'), 'https://example.com');
+    assert.strictEqual(normalizer.normalize('https://example.com/?lang=de'), 'https://example.com/?lang=de');
+});
+
+test('trailing slash rules', () => {
+    const add = new UrlNormalizer({ trailingSlash: 'add' });
+    assert.strictEqual(add.normalize('https://example.com/about'), 'https://example.com/about/');
+    assert.strictEqual(add.normalize('https://example.com/files/report.pdf'), 'https://example.com/files/report.pdf');
+    const keep = new UrlNormalizer({ trailingSlash: 'keep' });
+    assert.strictEqual(keep.normalize('https://example.com/about/'), 'https://example.com/about/');
+    assert.strictEqual(keep.normalize('https://example.com/about'), 'https://example.com/about');
+});
+
+test('custom parameter lists and fragments', () => {
+    const normalizer = new UrlNormalizer({ stripParams: ['session', 'ref_*'], removeFragment: false });
+    assert.strictEqual(normalizer.normalize('https://example.com/a?session=1&ref_x=2&utm_source=3#part'),
+        'https://example.com/a?utm_source=3#part');
+    assert.strictEqual(new UrlNormalizer({ stripParams: [] }).normalize('https://example.com/a?utm_source=3'),
+        'https://example.com/a?utm_source=3');
+});
+
+test('leaves other schemes and unparsable URLs alone', () => {
+    const normalizer = new UrlNormalizer();
+    for (const url of ['mailto:a@example.com', 'javascript:void(0)', 'http://[bad', 'not a url']) {
+        assert.strictEqual(normalizer.normalize(url), url);
+    }
+});
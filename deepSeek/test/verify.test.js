@@ -0,0 +1,64 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { verifyMirror } = require('../lib/verify');
+const { LAZY_ATTRIBUTES } = require('../lib/builtin-plugins');
+
+async function withMirror(files, run) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'verify-'));
+    try {
+        for (const [file, content] of Object.entries(files)) {
+            await fs.outputFile(path.join(dir, file), content);
+        }
+        await run(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+const runtime = publicPath => `__webpack_require__.p = "${publicPath}";\n` +
+    '__webpack_require__.u = function(e) { return "" + ({ 1: "about" })[e] + ".js"; };';
+
+test('reports missing files, live links and orphans', () => withMirror({
+    'index.html': '<link rel="stylesheet" href="/assets/site.css"><img src="/assets/gone.png">' +
+        '<a href="https://example.com/live">live</a><a href="https://other.example/">other</a>',
+    'assets/site.css': '.a { background: url(bg.png) }',
+    'assets/bg.png': 'png',
+    'assets/unused.png': 'png'
+}, async dir => {
+    const result = await verifyMirror(dir, { liveOrigins: ['https://example.com'] });
+    assert.deepStrictEqual(result.missing.map(problem => [problem.url, problem.reason]), [['/assets/gone.png', 'file not found']]);
+    assert.deepStrictEqual(result.live.map(problem => problem.url), ['https://example.com/live']);
+    assert.deepStrictEqual(result.orphaned, ['assets/unused.png']);
+    assert.strictEqual(result.ok, false);
+}));
+
+test('resolves webpack chunks from the public path', () => withMirror({
+    'index.html': '<script src="/assets/runtime.js"></script>',
+    'assets/runtime.js': runtime('/static/'),
+    'static/about.js': ''
+}, async dir => {
+    const result = await verifyMirror(dir);
+    assert.deepStrictEqual(result.missing, []);
+    assert.strictEqual(result.ok, true);
+}));
+
+test('reports a public path that is not a valid URL instead of failing', () => withMirror({
+    'index.html': '<script src="/assets/runtime.js"></script>',
+    'assets/runtime.js': runtime('http://[bad/')
+}, async dir => {
+    const result = await verifyMirror(dir);
+    assert.deepStrictEqual(result.missing, [
+        { file: 'assets/runtime.js', url: 'http://[bad/', source: 'public path', reason: 'invalid URL' }
+    ]);
+}));
+
+test('checks every lazy-load attribute the crawler rewrites', () => withMirror({
+    'index.html': LAZY_ATTRIBUTES.map(([, attr], index) => `<div ${attr}="/assets/lazy-${index}.png"></div>`).join('\n')
+}, async dir => {
+    const result = await verifyMirror(dir);
+    assert.deepStrictEqual(result.missing.map(problem => problem.url).sort(),
+        LAZY_ATTRIBUTES.map((entry, index) => `/assets/lazy-${index}.png`).sort());
+}));
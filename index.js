@@ -5,11 +5,56 @@ const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const { Scheduler } = require('./deepSeek/lib/scheduler');
+const { RobotsRules } = require('./deepSeek/lib/robots');
+const { collectSitemapUrls } = require('./deepSeek/lib/sitemap');
+const { AssetStore } = require('./deepSeek/lib/asset-store');
+const { extractCssDependencies, rewriteCss, isExternalReference } = require('./deepSeek/lib/css');
+const { BrowserRenderer } = require('./deepSeek/lib/renderer');
+const { resolveProfile } = require('./deepSeek/lib/browser-profiles');
+const { withRecovery, headersFor } = require('./deepSeek/lib/recovery');
 
 const baseURL = process.env.BASE_URL;
 const visited = new Set();
 const downloadDir = path.join(__dirname, 'public');
 const assetsDir = path.join(downloadDir, 'assets');
+const scheduler = new Scheduler({ concurrency: 8, perHostConcurrency: 4 });
+// PROFILE in .env picks the browser to impersonate, PROFILES_FILE adds custom ones
+const profile = resolveProfile(process.env.PROFILE, process.env.PROFILES_FILE);
+const recoveryOptions = { escalationProfile: resolveProfile('chrome-mobile') };
+const assetStore = new AssetStore(assetsDir);
+// Original asset URL -> file name inside assetsDir
+const assetFiles = new Map();
+// Stylesheets currently being downloaded -> their reserved file name, so @import cycles end
+const cssInProgress = new Map();
+let robots = RobotsRules.allowAll();
+// Set RENDER in .env to load pages in headless Chrome (needs puppeteer)
+// BROWSER_ARGS adds space-separated Chrome flags, e.g. --no-sandbox
+const renderer = process.env.RENDER ? new BrowserRenderer({
+    waitForSelector: process.env.WAIT_FOR_SELECTOR,
+    browserArgs: (process.env.BROWSER_ARGS || '').split(/\s+/).filter(Boolean)
+}) : null;
+// LINK_STYLE=relative writes asset links relative to each page, BASE_PATH=/docs/mirror
+// prefixes root-relative ones for a mirror hosted below the domain root
+const linkStyle = process.env.LINK_STYLE || 'root';
+const basePath = (process.env.BASE_PATH || '').replace(/\/+$/, '');
+
+// Every request goes through the shared scheduler so a site is never flooded.
+// destination (document, style, script, image, font, ...) decides the browser headers;
+// 403/429/503 answers walk the recovery chain, which may re-send with embeddingPage as Referer.
+function fetchURL(resourceURL, options = {}, destination = 'empty', embeddingPage = null) {
+    const request = {
+        url: resourceURL,
+        destination,
+        profile,
+        referrer: resourceURL === baseURL ? null : baseURL,
+        embeddingPage,
+        extraHeaders: {}
+    };
+    return withRecovery(attempt => scheduler.schedule(resourceURL, () =>
+        axios.get(resourceURL, { ...options, headers: headersFor(attempt) })
+    ), request, recoveryOptions);
+}
 
 // Function to clear previous downloads
 function clearPreviousDownloads() {
@@ -19,20 +64,59 @@ function clearPreviousDownloads() {
     }
 }
 
+// Load robots.txt rules unless IGNORE_ROBOTS is set in .env
+async function loadRobots() {
+    if (process.env.IGNORE_ROBOTS) return;
+
+    const robotsURL = url.resolve(baseURL, '/robots.txt');
+    try {
+        const response = await fetchURL(robotsURL, { responseType: 'text' });
+        robots = RobotsRules.parse(String(response.data));
+
+        const crawlDelay = robots.getCrawlDelay(profile.userAgent);
+        if (crawlDelay !== null) {
+            scheduler.setHostDelay(Scheduler.hostOf(baseURL), crawlDelay * 1000);
+        }
+        console.log(`Loaded robots.txt from ${robotsURL}`);
+    } catch (error) {
+        if (error.response && error.response.status >= 500) {
+            // A failing robots.txt means the site may not be crawled at all
+            robots = RobotsRules.disallowAll();
+            console.log(`${robotsURL} returned ${error.response.status}, treating the site as disallowed (set IGNORE_ROBOTS to override)`);
+            return;
+        }
+        console.log(`No robots.txt rules applied: ${error.message}`);
+    }
+}
+
+// Pages listed in the sitemaps robots.txt names (or /sitemap.xml) are downloaded too,
+// so pages without inbound links are not missed. NO_SITEMAPS in .env turns this off.
+async function downloadSitemapPages() {
+    if (process.env.NO_SITEMAPS) return;
+
+    const sitemapURLs = robots.sitemaps.length > 0 ? robots.sitemaps : [url.resolve(baseURL, '/sitemap.xml')];
+    const pageURLs = await collectSitemapUrls(sitemapURLs, async sitemapURL =>
+        (await fetchURL(sitemapURL, { responseType: 'arraybuffer' })).data
+    );
+    await Promise.all(pageURLs.filter(pageURL => pageURL.startsWith(baseURL)).map(pageURL => downloadPage(pageURL)));
+}
+
 // Download the main page and its assets
 async function downloadPage(pageURL) {
     if (visited.has(pageURL)) return;
     visited.add(pageURL);
 
+    if (!robots.isAllowed(pageURL, profile.userAgent)) {
+        console.log(`Disallowed by robots.txt: ${pageURL}`);
+        return;
+    }
+
     try {
-        const response = await axios.get(pageURL);
+        const response = renderer
+            ? await scheduler.schedule(pageURL, () => renderer.render(pageURL))
+            : await fetchURL(pageURL, {}, 'document');
         const html = response.data;
 
-        const relativePath = pageURL.replace(baseURL, '').replace(/\/$/, '');
-        const filename = path.join(downloadDir, sanitizePath(relativePath) || 'index', 'index.html');
-        fs.mkdirSync(path.dirname(filename), { recursive: true });
-        fs.writeFileSync(filename, updateAssetLinks(html));
-
         const $ = cheerio.load(html);
         const assetPromises = [];
 
@@ -54,122 +138,158 @@ async function downloadPage(pageURL) {
             if (src) assetPromises.push(downloadJS(src, pageURL));
         });
 
+        // Resources the browser loaded on its own, e.g. lazy images and script chunks
+        for (const resource of response.resources || []) {
+            if (assetFiles.has(resource.url)) continue;
+            if (resource.type === 'stylesheet') assetPromises.push(downloadCSS(resource.url, pageURL));
+            else if (resource.type === 'script') assetPromises.push(downloadJS(resource.url, pageURL));
+            else assetPromises.push(downloadAsset(resource.url, pageURL));
+        }
+
         await Promise.all(assetPromises);
 
+        // Links are rewritten once the assets are stored and their file names known
+        const relativePath = pageURL.replace(baseURL, '').replace(/\/$/, '');
+        const filename = path.join(downloadDir, sanitizePath(relativePath) || 'index', 'index.html');
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+        fs.writeFileSync(filename, updateAssetLinks(html, pageURL, filename));
+
         // Recursively download subpages
+        const pagePromises = [];
         $('a').each((i, elem) => {
             const href = $(elem).attr('href');
             if (href) {
                 const nextPageURL = url.resolve(pageURL, href);
                 if (nextPageURL.startsWith(baseURL)) {
-                    downloadPage(nextPageURL);
+                    pagePromises.push(downloadPage(nextPageURL));
                 }
             }
         });
+        await Promise.all(pagePromises);
     } catch (error) {
         console.error(`Failed to download ${pageURL}: ${error.message}`);
     }
 }
 
-// Download CSS and assets
+// Saves an asset under a name unique to its URL, sharing files with identical content
+async function storeAsset(assetURL, data) {
+    const { filename } = await assetStore.store(assetURL, data);
+    assetFiles.set(assetURL, filename);
+    return filename;
+}
+
+// Download CSS and everything it references, then save it pointing at the local copies
 async function downloadCSS(cssURL, pageURL) {
+    const fullURL = url.resolve(pageURL, cssURL);
+    if (assetFiles.has(fullURL)) return assetFiles.get(fullURL);
+    if (cssInProgress.has(fullURL)) return cssInProgress.get(fullURL);
+
+    const reservedName = assetStore.getFilename(fullURL);
+    assetStore.register(fullURL, reservedName);
+    cssInProgress.set(fullURL, reservedName);
     try {
-        const fullURL = url.resolve(pageURL, cssURL);
-        const response = await axios.get(fullURL);
+        const response = await fetchURL(fullURL, { responseType: 'text' }, 'style', pageURL);
+        const cssContent = await downloadCssDependencies(String(response.data), fullURL);
 
-        const assetPath = path.join(assetsDir, path.basename(fullURL));
-        fs.mkdirSync(path.dirname(assetPath), { recursive: true });
-        fs.writeFileSync(assetPath, response.data);
+        // The saved file depends on where it came from, so it is never shared
+        const { filename } = await assetStore.store(fullURL, cssContent, { dedupe: false });
+        assetFiles.set(fullURL, filename);
         console.log(`Downloaded CSS: ${fullURL}`);
-
-        // Check for HTTPS links in the CSS and download them
-        await downloadCdnResources(response.data, fullURL);
+        return filename;
     } catch (error) {
         console.error(`Failed to download CSS ${cssURL}: ${error.message}`);
+    } finally {
+        cssInProgress.delete(fullURL);
     }
 }
 
 async function downloadJS(jsURL, pageURL) {
+    const fullURL = url.resolve(pageURL, jsURL);
+    if (assetFiles.has(fullURL)) return assetFiles.get(fullURL);
     try {
-        const fullURL = url.resolve(pageURL, jsURL);
-        const response = await axios.get(fullURL);
+        const response = await fetchURL(fullURL, {}, 'script', pageURL);
 
-        const assetPath = path.join(assetsDir, path.basename(fullURL));
-        fs.mkdirSync(path.dirname(assetPath), { recursive: true });
-        fs.writeFileSync(assetPath, response.data);
+        const filename = await storeAsset(fullURL, response.data);
         console.log(`Downloaded JS: ${fullURL}`);
+        return filename;
     } catch (error) {
         console.error(`Failed to download JS ${jsURL}: ${error.message}`);
     }
 }
 
 async function downloadAsset(assetURL, pageURL) {
+    const fullURL = url.resolve(pageURL, assetURL);
+    if (assetFiles.has(fullURL)) return assetFiles.get(fullURL);
     try {
-        const fullURL = url.resolve(pageURL, assetURL);
-        const response = await axios.get(fullURL, { responseType: 'arraybuffer' });
+        const response = await fetchURL(fullURL, { responseType: 'arraybuffer' }, 'image', pageURL);
 
-        const assetPath = path.join(assetsDir, path.basename(fullURL));
-        fs.mkdirSync(path.dirname(assetPath), { recursive: true });
-        fs.writeFileSync(assetPath, response.data);
+        const filename = await storeAsset(fullURL, response.data);
         console.log(`Downloaded asset: ${fullURL}`);
+        return filename;
     } catch (error) {
         console.error(`Failed to download asset ${assetURL}: ${error.message}`);
     }
 }
 
-async function downloadCdnResources(cssContent, cssURL) {
-    const cdnRegex = /https:\/\/cdn\.prod\.website-files\.com\/[^\s]+/g; // Adjust this regex for your CDN
+// Downloads @import-ed stylesheets, url() and image-set() targets of a stylesheet.
+// All assets sit in one folder, so a reference becomes just the file name.
+async function downloadCssDependencies(cssContent, cssURL) {
+    const dependencies = extractCssDependencies(cssContent)
+        .filter(dependency => isExternalReference(dependency.url));
 
-    const matches = cssContent.match(cdnRegex);
-    if (matches) {
-        const downloadPromises = matches.map(async (cdnResource) => {
-            await downloadCdnResource(cdnResource);
-        });
-        await Promise.all(downloadPromises);
-    }
+    const references = await Promise.all(dependencies.map(async (dependency) => {
+        const [resourceURL, fragment] = url.resolve(cssURL, dependency.url).split('#');
+        const filename = dependency.kind === 'import'
+            ? await downloadCSS(resourceURL, cssURL)
+            : await downloadCssResource(resourceURL, cssURL);
+        if (!filename) return null;
+        return fragment === undefined ? filename : `${filename}#${fragment}`;
+    }));
+
+    return rewriteCss(cssContent, dependencies, (dependency, index) => references[index]);
 }
 
-async function downloadCdnResource(cdnResource) {
+async function downloadCssResource(resourceURL, cssURL) {
+    if (assetFiles.has(resourceURL)) return assetFiles.get(resourceURL);
     try {
-        const response = await axios.get(cdnResource, { responseType: 'arraybuffer' });
-        const assetPath = path.join(assetsDir, path.basename(cdnResource));
-        fs.mkdirSync(path.dirname(assetPath), { recursive: true });
-        fs.writeFileSync(assetPath, response.data);
-        console.log(`Downloaded CDN resource: ${cdnResource}`);
+        const destination = /\.(woff2?|ttf|otf|eot)$/i.test(url.parse(resourceURL).pathname) ? 'font' : 'image';
+        const response = await fetchURL(resourceURL, { responseType: 'arraybuffer' }, destination, cssURL);
+        const filename = await storeAsset(resourceURL, response.data);
+        console.log(`Downloaded CSS resource: ${resourceURL}`);
+        return filename;
     } catch (error) {
-        console.error(`Failed to download CDN resource ${cdnResource}: ${error.message}`);
+        console.error(`Failed to download CSS resource ${resourceURL}: ${error.message}`);
+    }
+}
+
+function assetLink(assetFilename, pageFile) {
+    if (linkStyle === 'relative') {
+        return path.relative(path.dirname(pageFile), path.join(assetsDir, assetFilename)).split(path.sep).join('/');
     }
+    return `${basePath}/assets/${assetFilename}`;
 }
 
-function updateAssetLinks(html) {
+function updateAssetLinks(html, pageURL, pageFile) {
     const $ = cheerio.load(html);
 
-    // Update links for stylesheets
-    $('link[rel="stylesheet"]').each((i, elem) => {
-        const href = $(elem).attr('href');
-        if (href) {
-            const assetPath = `/assets/${path.basename(url.resolve(baseURL, href))}`;
-            $(elem).attr('href', assetPath);
+    // Points an attribute at the stored copy of the asset, if there is one
+    const rewrite = (elem, attr) => {
+        const value = $(elem).attr(attr);
+        if (!value) return;
+        const filename = assetFiles.get(url.resolve(pageURL, value));
+        if (filename) {
+            $(elem).attr(attr, assetLink(filename, pageFile));
         }
-    });
+    };
+
+    // Update links for stylesheets
+    $('link[rel="stylesheet"]').each((i, elem) => rewrite(elem, 'href'));
 
     // Update links for scripts
-    $('script').each((i, elem) => {
-        const src = $(elem).attr('src');
-        if (src) {
-            const assetPath = `/assets/${path.basename(url.resolve(baseURL, src))}`;
-            $(elem).attr('src', assetPath);
-        }
-    });
+    $('script').each((i, elem) => rewrite(elem, 'src'));
 
     // Update links for images
-    $('img').each((i, elem) => {
-        const src = $(elem).attr('src');
-        if (src) {
-            const assetPath = `/assets/${path.basename(url.resolve(baseURL, src))}`;
-            $(elem).attr('src', assetPath);
-        }
-    });
+    $('img').each((i, elem) => rewrite(elem, 'src'));
 
     return $.html(); // Return the updated HTML
 }
@@ -181,4 +301,8 @@ function sanitizePath(filePath) {
 // Clear previous downloads
 clearPreviousDownloads();
 // Start the download process
-downloadPage(baseURL);
+loadRobots()
+    .then(() => downloadPage(baseURL))
+    .then(() => downloadSitemapPages())
+    .then(() => renderer && renderer.close())
+    .then(() => console.log('Download finished.'));